@@ -6,17 +6,51 @@
  * Generates style guide pages from template literals
  * and token JSON data. Replaces Pug templates.
  *
+ * Token and style-guide locations come from heavy.config.js (see lib/config.js).
+ * Documented custom property names come from the same naming layer as the
+ * CSS build, with the `hds` preset main.css ships (see lib/naming.js).
+ * The colors page includes a contrast matrix of the pairs the token build
+ * audits (see lib/contrast.js).
+ * Deprecated tokens are struck through with their replacement on the
+ * foundation page they belong to (see lib/deprecation.js). The Changelog
+ * page renders the token changelog written by diff-tokens.js. Ramps
+ * configured in `tokens.ramps` are previewed on the colors page against the
+ * current family stops before they're generated (see lib/ramp.js).
+ * Wide-gamut colors show their sRGB fallback next to the declared color.
+ * Fluid font sizes get a preview at each breakpoint (see lib/fluid.js).
+ * The Breakpoints, Animation and Elevation pages list the breakpoint,
+ * motion and elevation tokens (see lib/foundations.js).
+ *
  * Usage: npm run build:pages
  */
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { createPageBuilder } from '../../../style-guide/src/node/page-builder.js';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DIST_DIR = path.resolve(__dirname, '../../dist');
-const TOKENS_DIR = path.resolve(process.env.HOME, 'Projects/design/tokens');
+import { pathToFileURL } from 'url';
+import { loadConfig } from './lib/config.js';
+import { readSharedSources, collectTokens } from './lib/tokens.js';
+import { collectProblems, formatProblem, getRef } from './lib/resolve.js';
+import { readModes, createModeResolvers, DEFAULT_MODE } from './lib/modes.js';
+import { contrastOptions, auditContrast, resolveColors } from './lib/contrast.js';
+import { toHexString, componentsToHex, formatOklch, parseColorSpace, formatColorSpace } from './lib/color.js';
+import { readRamps, generateRamp } from './lib/ramp.js';
+import { fluidRange, fluidClamp, fluidSizeAt } from './lib/fluid.js';
+import { foundationTokens } from './lib/foundations.js';
+import { getTokenValue } from './lib/css.js';
+import { collectDeprecations } from './lib/deprecation.js';
+import { renderChangelog } from './lib/changelog.js';
+import { createNaming, sourceOf } from './lib/naming.js';
+
+const config = await loadConfig();
+const DIST_DIR = config.distDir;
+const BASE_TOKENS_DIR = config.baseTokensDir;
+const ALIAS_TOKENS_DIR = config.aliasTokensDir;
+// The pages load main.css, so they document its names whatever tokens.css uses
+const naming = createNaming('hds');
+
+const { createPageBuilder } = await import(
+  pathToFileURL(path.join(config.styleGuideDir, 'src/node/page-builder.js')).href
+);
 
 // ===== Pages Registry =====
 
@@ -24,7 +58,9 @@ const PAGES = [
   // Foundations (alphabetical)
   { file: 'index.html', id: 'animation', label: 'Animation', group: 'Foundations' },
   { file: 'breakpoints.html', id: 'breakpoints', label: 'Breakpoints', group: 'Foundations' },
+  { file: 'changelog.html', id: 'changelog', label: 'Changelog', group: 'Foundations' },
   { file: 'colors.html', id: 'colors', label: 'Colors', group: 'Foundations' },
+  { file: 'elevation.html', id: 'elevation', label: 'Elevation', group: 'Foundations' },
   { file: 'layout.html', id: 'layout', label: 'Layout', group: 'Foundations' },
   { file: 'radius.html', id: 'radius', label: 'Radius', group: 'Foundations' },
   { file: 'scale.html', id: 'scale', label: 'Scale', group: 'Foundations' },
@@ -81,75 +117,98 @@ function readJSON(filePath) {
   return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
 }
 
-let _refLookup = {};
-
-function buildRefLookup(colorsTokens, scaleTokens) {
-  const lookup = {};
-  if (colorsTokens) {
-    for (const [family, shades] of Object.entries(colorsTokens)) {
-      if (family.startsWith('$')) continue;
-      for (const [stop, token] of Object.entries(shades)) {
-        if (stop.startsWith('$')) continue;
-        lookup[`${family}.${stop}`] = token.$value;
-      }
-    }
-  }
-  if (scaleTokens) {
-    for (const [group, values] of Object.entries(scaleTokens)) {
-      if (group.startsWith('$')) continue;
-      for (const [name, token] of Object.entries(values)) {
-        if (name.startsWith('$')) continue;
-        lookup[`${group}.${name}`] = token.$value;
-      }
-    }
-  }
-  return lookup;
-}
+// Resolvers for each theme mode's token tree, set by readTokens()
+let _resolvers = {};
 
-function resolveRef(value) {
-  if (typeof value === 'string') {
-    const match = value.match(/^\{(.+)\}$/);
-    if (match && match[1] in _refLookup) return _refLookup[match[1]];
-  }
-  return value;
+function resolveRef(value, resolver = _resolvers[DEFAULT_MODE]) {
+  return resolver ? resolver.resolve(value) : value;
 }
 
 function getRefName(token) {
-  const v = token.$value;
-  if (typeof v === 'string') {
-    const match = v.match(/^\{(.+)\}$/);
-    if (match) return match[1];
-  }
-  return '';
+  return getRef(token.$value) || '';
 }
 
-function getHex(token) {
-  const v = resolveRef(token.$value);
+// sRGB hex of a color token; wide-gamut colors give their fallback
+function getHex(token, resolver) {
+  const v = resolveRef(token.$value, resolver);
   if (typeof v === 'object' && v.hex) return v.hex;
-  if (typeof v === 'object' && v.components) {
-    const [r, g, b] = v.components.map(c => Math.round(c * 255));
-    const toHex = n => n.toString(16).padStart(2, '0').toUpperCase();
-    return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
-  }
+  if (typeof v === 'object' && v.components) return toHexString({ ...v, alpha: 1 });
+  if (typeof v === 'string' && parseColorSpace(v)?.colorSpace !== 'srgb') return toHexString(v) ?? v;
   return v;
 }
 
+// CSS value of a wide-gamut color token, or null for sRGB colors
+function getWideColor(token, resolver) {
+  const v = resolveRef(token.$value, resolver);
+  const declared = parseColorSpace(v);
+  if (!declared || declared.colorSpace === 'srgb') return null;
+  return typeof v === 'string' ? v : formatColorSpace(declared);
+}
+
+function tokenAt(tree, tokenPath) {
+  return tokenPath.split('.').reduce((node, key) => node?.[key], tree);
+}
+
 function getNumericValue(token) {
   const v = resolveRef(token.$value);
   return `${v}px`;
 }
 
+// Foundation page for each token file's deprecated tokens
+const DEPRECATION_PAGES = {
+  'base/colors': 'colors',
+  mode: 'colors',
+  'base/typography': 'typography',
+  'alias/typography': 'typography',
+  'base/scale': 'scale',
+  'alias/spacing': 'spacing',
+  'alias/radius': 'radius',
+};
+
+// Deprecated tokens by custom property name, and grouped by foundation page
+function readDeprecations(modes) {
+  const files = [
+    ...readSharedSources(config).map(({ file, tokens }) => ({ source: sourceOf(file), tokens })),
+    ...modes.map(mode => ({ source: 'mode', tokens: mode.own })),
+  ];
+  const byName = new Map();
+  const byPage = {};
+  for (const { source, tokens } of files) {
+    for (const [tokenPath, { message, replacedBy }] of collectDeprecations(tokens)) {
+      const css = naming.cssVar(source, tokenPath);
+      if (byName.has(css)) continue;
+      const owner = replacedBy && files.find(file => tokenAt(file.tokens, replacedBy)?.$value !== undefined);
+      const replacement = owner ? naming.cssVar(owner.source, replacedBy) : null;
+      const entry = { css, replacement, message };
+      byName.set(css, entry);
+      const page = DEPRECATION_PAGES[source];
+      if (page) (byPage[page] ??= []).push(entry);
+    }
+  }
+  return { byName, byPage };
+}
+
 function readTokens() {
-  const colors = readJSON(path.join(TOKENS_DIR, 'base/colors.tokens.json'));
-  const scale = readJSON(path.join(TOKENS_DIR, 'base/scale.tokens.json'));
-  const baseTypography = readJSON(path.join(TOKENS_DIR, 'base/typography.tokens.json'));
-  const aliasTypography = readJSON(path.join(TOKENS_DIR, 'alias/typography.tokens.json'));
+  const colors = readJSON(path.join(BASE_TOKENS_DIR, 'colors.tokens.json'));
+  const scale = readJSON(path.join(BASE_TOKENS_DIR, 'scale.tokens.json'));
+  const baseTypography = readJSON(path.join(BASE_TOKENS_DIR, 'typography.tokens.json'));
+  const aliasTypography = readJSON(path.join(ALIAS_TOKENS_DIR, 'typography.tokens.json'));
+  const aliasSpacing = readJSON(path.join(ALIAS_TOKENS_DIR, 'spacing.tokens.json'));
+  const aliasRadius = readJSON(path.join(ALIAS_TOKENS_DIR, 'radius.tokens.json'));
+  const modes = readModes(config);
+  const uiDefault = modes[0].tokens;
+  const deprecated = readDeprecations(modes);
+
+  _resolvers = Object.fromEntries(createModeResolvers(modes, readSharedSources(config)));
+  for (const problem of collectProblems(...Object.values(_resolvers))) {
+    console.warn(`  ⚠ ${formatProblem(problem).trim()}`);
+  }
 
-  _refLookup = buildRefLookup(colors, scale);
-  const aliasSpacing = readJSON(path.join(TOKENS_DIR, 'alias/spacing.tokens.json'));
-  const aliasRadius = readJSON(path.join(TOKENS_DIR, 'alias/radius.tokens.json'));
-  const uiLight = readJSON(path.join(TOKENS_DIR, 'alias/light.tokens.json'));
-  const uiDark = readJSON(path.join(TOKENS_DIR, 'alias/dark.tokens.json'));
+  // One comparison column per mode: resolved color and the alias it points at
+  const modeValues = tokenPath => modes.map(mode => {
+    const token = tokenAt(mode.tokens, tokenPath);
+    return token ? { hex: getHex(token, _resolvers[mode.name]), ref: getRefName(token) } : { hex: '', ref: '' };
+  });
 
   // Parse colors into families
   const colorFamilies = [];
@@ -159,12 +218,21 @@ function readTokens() {
       const stops = [];
       for (const [stop, token] of Object.entries(shades)) {
         if (stop.startsWith('$')) continue;
-        stops.push({ stop, hex: getHex(token) });
+        stops.push({ stop, hex: getHex(token), wide: getWideColor(token), css: naming.cssVar('base/colors', `${name}.${stop}`) });
       }
       colorFamilies.push({ name, stops });
     }
   }
 
+  // Parse base space scale
+  const spaceScale = [];
+  if (scale && scale.ui) {
+    for (const [name, token] of Object.entries(scale.ui)) {
+      if (name.startsWith('$')) continue;
+      spaceScale.push({ css: naming.cssVar('base/scale', `ui.${name}`), value: getNumericValue(token) });
+    }
+  }
+
   // Parse type scale
   const typeScale = [];
   if (scale && scale.type) {
@@ -196,7 +264,7 @@ function readTokens() {
   if (aliasTypography && aliasTypography['font-size']) {
     for (const [name, token] of Object.entries(aliasTypography['font-size'])) {
       if (name.startsWith('$')) continue;
-      fontSizes.push({ name: `font-size.${name}`, css: `--hds-font-size-${name}`, value: getNumericValue(token), ref: getRefName(token) });
+      fontSizes.push({ name: `font-size.${name}`, css: naming.cssVar('alias/typography', `font-size.${name}`), value: getNumericValue(token), ref: getRefName(token), fluid: fluidRange(token, _resolvers[DEFAULT_MODE], `font-size.${name}`) });
     }
   }
 
@@ -205,26 +273,28 @@ function readTokens() {
   if (aliasSpacing && aliasSpacing.space) {
     for (const [name, token] of Object.entries(aliasSpacing.space)) {
       if (name.startsWith('$')) continue;
-      const px = getNumericValue(token).replace('px', '');
       const ref = getRefName(token);
-      const scaleRef = ref ? `--base-scale-${ref.replace('ui.', '')}` : '';
-      gaps.push({ name: `hds-spacing-${px}`, css: `--hds-spacing-${px}`, value: getNumericValue(token), scaleRef });
+      const scaleRef = ref.startsWith('ui.') ? naming.cssVar('base/scale', ref) : '';
+      gaps.push({ name: naming.name('alias/spacing', `space.${name}`), css: naming.cssVar('alias/spacing', `space.${name}`), value: getNumericValue(token), scaleRef, fluid: fluidRange(token, _resolvers[DEFAULT_MODE], `space.${name}`) });
     }
   }
 
   // Parse alias radius (tokens may be under 'container' key or at root level)
   const radii = [];
   const radiusSource = aliasRadius?.container || aliasRadius;
+  const radiusPrefix = aliasRadius?.container ? 'container.' : '';
   if (radiusSource) {
     for (const [name, token] of Object.entries(radiusSource)) {
       if (name.startsWith('$') || typeof token !== 'object' || !token.$value) continue;
-      radii.push({ name: `radius.${name}`, css: `--hds-radius-${name}`, value: getNumericValue(token) });
+      const ref = getRefName(token);
+      const scaleRef = ref.startsWith('ui.') ? naming.cssVar('base/scale', ref) : '';
+      radii.push({ name: `radius.${name}`, css: naming.cssVar('alias/radius', `${radiusPrefix}${name}`), value: getNumericValue(token), scaleRef });
     }
   }
 
-  // Parse UI colors (light + dark)
+  // Parse UI colors (one column per mode)
   const uiColorGroups = [];
-  if (uiLight && uiLight.ui) {
+  if (uiDefault && uiDefault.ui) {
     const groupMap = {
       bg: 'Background',
       surface: 'Surface',
@@ -234,50 +304,40 @@ function readTokens() {
       feedback: 'Feedback'
     };
     const groupOrder = ['text', 'bg', 'border'];
-    const sortedKeys = Object.keys(uiLight.ui)
+    const sortedKeys = Object.keys(uiDefault.ui)
       .filter(k => !k.startsWith('$'))
       .sort((a, b) => {
         const ai = groupOrder.indexOf(a);
         const bi = groupOrder.indexOf(b);
         return (ai === -1 ? 999 : ai) - (bi === -1 ? 999 : bi);
       });
-    for (const [groupKey, variants] of sortedKeys.map(k => [k, uiLight.ui[k]])) {
+    for (const [groupKey, variants] of sortedKeys.map(k => [k, uiDefault.ui[k]])) {
       if (groupKey.startsWith('$')) continue;
       const groupName = groupMap[groupKey] || groupKey;
       const tokens = [];
-      for (const [variant, token] of Object.entries(variants)) {
+      for (const variant of Object.keys(variants)) {
         if (variant.startsWith('$')) continue;
         const tokenName = `hds.${groupKey}.${variant}`;
-        const cssVar = `--hds-${groupKey}-${variant}`;
-        const lightHex = getHex(token);
-        const lightRef = getRefName(token);
-        const darkToken = uiDark?.ui?.[groupKey]?.[variant];
-        const darkHex = darkToken ? getHex(darkToken) : '';
-        const darkRef = darkToken ? getRefName(darkToken) : '';
-        tokens.push({ name: tokenName, css: cssVar, lightHex, lightRef, darkHex, darkRef });
+        const cssVar = naming.cssVar('mode', `ui.${groupKey}.${variant}`);
+        tokens.push({ name: tokenName, css: cssVar, modes: modeValues(`ui.${groupKey}.${variant}`), deprecated: deprecated.byName.get(cssVar) });
       }
       uiColorGroups.push({ group: groupName, tokens });
     }
   }
 
   // Parse action colors (nested: action.primary.bg.default, etc.)
-  if (uiLight && uiLight.action) {
-    for (const [actionType, actionVariants] of Object.entries(uiLight.action)) {
+  if (uiDefault && uiDefault.action) {
+    for (const [actionType, actionVariants] of Object.entries(uiDefault.action)) {
       if (actionType.startsWith('$')) continue;
       const groupName = `Action — ${actionType.charAt(0).toUpperCase() + actionType.slice(1)}`;
       const tokens = [];
       for (const [propGroup, propValues] of Object.entries(actionVariants)) {
         if (propGroup.startsWith('$')) continue;
-        for (const [variant, token] of Object.entries(propValues)) {
+        for (const variant of Object.keys(propValues)) {
           if (variant.startsWith('$')) continue;
           const tokenName = `hds.action.${actionType}.${propGroup}.${variant}`;
-          const cssVar = `--hds-action-${actionType}-${propGroup}-${variant}`;
-          const lightHex = getHex(token);
-          const lightRef = getRefName(token);
-          const darkToken = uiDark?.action?.[actionType]?.[propGroup]?.[variant];
-          const darkHex = darkToken ? getHex(darkToken) : '';
-          const darkRef = darkToken ? getRefName(darkToken) : '';
-          tokens.push({ name: tokenName, css: cssVar, lightHex, lightRef, darkHex, darkRef });
+          const cssVar = naming.cssVar('mode', `action.${actionType}.${propGroup}.${variant}`);
+          tokens.push({ name: tokenName, css: cssVar, modes: modeValues(`action.${actionType}.${propGroup}.${variant}`), deprecated: deprecated.byName.get(cssVar) });
         }
       }
       uiColorGroups.push({ group: groupName, tokens });
@@ -285,26 +345,62 @@ function readTokens() {
   }
 
   // Parse feedback colors (flat: feedback.success, etc.)
-  if (uiLight && uiLight.feedback) {
+  if (uiDefault && uiDefault.feedback) {
     const tokens = [];
-    for (const [variant, token] of Object.entries(uiLight.feedback)) {
+    for (const variant of Object.keys(uiDefault.feedback)) {
       if (variant.startsWith('$')) continue;
       const tokenName = `hds.feedback.${variant}`;
-      const cssVar = `--hds-feedback-${variant}`;
-      const lightHex = getHex(token);
-      const lightRef = getRefName(token);
-      const darkToken = uiDark?.feedback?.[variant];
-      const darkHex = darkToken ? getHex(darkToken) : '';
-      const darkRef = darkToken ? getRefName(darkToken) : '';
-      tokens.push({ name: tokenName, css: cssVar, lightHex, lightRef, darkHex, darkRef });
+      const cssVar = naming.cssVar('mode', `feedback.${variant}`);
+      tokens.push({ name: tokenName, css: cssVar, modes: modeValues(`feedback.${variant}`), deprecated: deprecated.byName.get(cssVar) });
     }
     uiColorGroups.push({ group: 'Feedback', tokens });
   }
 
+  // Contrast of the audited foreground/background pairs, per mode
+  const contrastConfig = contrastOptions(config.tokens.contrast);
+  const contrast = modes.map(mode => {
+    const entries = collectTokens(mode.tokens).map(entry => ({ ...entry, deprecated: deprecated.byName.has(naming.cssVar('mode', entry.path)) }));
+    const colors = resolveColors(entries, _resolvers[mode.name]);
+    return {
+      mode: mode.name,
+      pairs: auditContrast([{ name: mode.name, colors }], contrastConfig).map(pair => ({
+        ...pair,
+        fgHex: toHexString(colors.get(pair.foreground)),
+        bgHex: toHexString(colors.get(pair.background)),
+      })),
+    };
+  });
+
+  // Configured ramps as --generate-ramps would write them, next to the current stops
+  const ramps = readRamps(config.tokens.ramps).map(ramp => ({
+    name: ramp.name,
+    seed: ramp.seed,
+    stops: generateRamp(ramp).map(stop => {
+      const current = colors?.[ramp.name]?.[stop.stop];
+      return {
+        stop: stop.stop,
+        hex: componentsToHex(stop.components),
+        oklch: formatOklch(stop.oklch),
+        wide: ramp.colorSpace === 'oklch',
+        css: naming.cssVar('base/colors', `${ramp.name}.${stop.stop}`),
+        mapped: stop.mapped,
+        seed: stop.seed,
+        current: current ? getHex(current) : null,
+      };
+    }),
+  }));
+
+  // Breakpoint, motion and elevation tokens with their resolved CSS values
+  const foundations = Object.fromEntries(Object.entries(foundationTokens(readSharedSources(config), naming)).map(([foundation, entries]) => [
+    foundation,
+    entries.map(entry => ({ ...entry, value: String(getTokenValue(entry.token, _resolvers[DEFAULT_MODE], undefined, { path: entry.path })) })),
+  ]));
+
   return {
-    colorFamilies, typeScale,
+    colorFamilies, spaceScale, typeScale,
     fontFamilies, fontWeights, fontSizes,
-    gaps, radii, uiColorGroups
+    gaps, radii, uiColorGroups, contrast, ramps, foundations, deprecated: deprecated.byPage,
+    modes: modes.map(mode => mode.name),
   };
 }
 
@@ -435,21 +531,135 @@ function colorSample(hex, groupKey, bgHex) {
   return `<div class="style-guide-token-bar" style="background: ${hex}"></div>`;
 }
 
+// Struck-through token name, followed by its replacement when it has one
+function deprecatedName(name, deprecation) {
+  const replacement = deprecation.replacement
+    ? ` → <span class="style-guide-token-copy" role="button" tabindex="0" onclick="copyToken('${esc(deprecation.replacement)}', this)">${esc(deprecation.replacement.slice(2))}</span>`
+    : '';
+  return `<s class="style-guide-token-deprecated" title="${esc(deprecation.message || 'Deprecated')}">${esc(name)}</s>${replacement}`;
+}
+
+function deprecatedSection(entries = []) {
+  if (!entries.length) return '';
+  const rows = entries.map(entry => `          <tr>
+            <td>${deprecatedName(entry.css.slice(2), { ...entry, replacement: null })}</td>
+            <td>${entry.replacement ? `<span class="style-guide-token-copy" role="button" tabindex="0" onclick="copyToken('${esc(entry.replacement)}', this)">${esc(entry.replacement.slice(2))}</span>` : '—'}</td>
+            <td>${esc(entry.message || '')}</td>
+          </tr>`).join('\n');
+  return section('Deprecated', `      <table class="style-guide-data-table">
+        <thead><tr><th>Token</th><th>Replacement</th><th>Note</th></tr></thead>
+        <tbody>
+${rows}
+        </tbody>
+      </table>`);
+}
+
+// One table per mode: foregrounds down, backgrounds across, a sample and ratio where they pair
+function contrastMatrix(contrast, modeLabel) {
+  return contrast.filter(({ pairs }) => pairs.length).map(({ mode, pairs }) => {
+    const foregrounds = [...new Set(pairs.map(pair => pair.foreground))];
+    const backgrounds = [...new Set(pairs.map(pair => pair.background))];
+    const label = tokenPath => {
+      const css = naming.cssVar('mode', tokenPath);
+      return `<span class="style-guide-token-copy" role="button" tabindex="0" onclick="copyToken('${esc(css)}', this)">${esc(css.slice(2))}</span>`;
+    };
+    const cell = pair => {
+      if (!pair) return '            <td></td>';
+      const apca = pair.lc === null ? '' : `<br>Lc ${Math.abs(pair.lc).toFixed(0)}`;
+      return `            <td><span class="style-guide-contrast-sample" style="color: ${pair.fgHex}; background: ${pair.bgHex}">Aa</span> ${pair.ratio.toFixed(2)}${apca}
+              <span class="hds-badge hds-badge--${pair.pass ? 'success' : 'danger'}">${pair.pass ? 'Pass' : 'Fail'}</span></td>`;
+    };
+    const rows = foregrounds.map(fg => `          <tr>
+            <td>${label(fg)}</td>
+${backgrounds.map(bg => cell(pairs.find(pair => pair.foreground === fg && pair.background === bg))).join('\n')}
+          </tr>`).join('\n');
+    return `      <table class="style-guide-data-table style-guide-data-table--matrix" style="--columns: ${backgrounds.length}">
+        <thead><tr><th>${esc(modeLabel(mode))}</th>${backgrounds.map(bg => `<th>${label(bg)}</th>`).join('')}</tr></thead>
+        <tbody>
+${rows}
+        </tbody>
+      </table>`;
+  }).join('\n');
+}
+
+// Generated stops beside the current ones; badges flag the seed, gamut-mapped stops and pending changes
+function rampSections(ramps) {
+  return ramps.map(ramp => {
+    const rows = ramp.stops.map(stop => {
+      const badges = [
+        stop.seed && ['info', 'Seed'],
+        stop.mapped && ['warning', 'Gamut mapped'],
+        !stop.current && ['success', 'New'],
+        stop.current && stop.current.toUpperCase() !== stop.hex && ['danger', 'Changed'],
+      ].filter(Boolean).map(([variant, label]) => `<span class="hds-badge hds-badge--${variant}">${label}</span>`).join(' ');
+      return `          <tr>
+            <td><span class="style-guide-token-copy" role="button" tabindex="0" onclick="copyToken('${esc(stop.css)}', this)">${esc(stop.css.slice(2))}</span></td>
+            <td>${stop.wide ? `<div class="style-guide-token-bar" style="background: ${esc(stop.oklch)}"></div>` : ''}<div class="style-guide-token-bar" style="background: ${stop.hex}"></div></td>
+            <td><code>${stop.hex}</code><br><code>${esc(stop.oklch)}</code></td>
+            <td>${stop.current ? `<div class="style-guide-token-bar" style="background: ${esc(stop.current)}"></div>` : ''}</td>
+            <td>${stop.current ? `<code>${esc(stop.current)}</code>` : '—'}</td>
+            <td>${badges}</td>
+          </tr>`;
+    }).join('\n');
+    return section(`${ramp.name} ramp`, `      <p>Generated from seed <code>${esc(ramp.seed)}</code>. Write it to the token files with <code>npm run build:tokens -- --generate-ramps</code>.</p>
+      <table class="style-guide-data-table">
+        <thead><tr><th>Token</th><th>Generated</th><th>Value</th><th>Current</th><th>Value</th><th></th></tr></thead>
+        <tbody>
+${rows}
+        </tbody>
+      </table>`);
+  }).join('\n');
+}
+
+// A family with wide-gamut stops: the declared color beside its sRGB fallback
+function wideColorTable(stops) {
+  const rows = stops.map(s => `          <tr>
+            <td><span class="style-guide-token-copy" role="button" tabindex="0" onclick="copyToken('${esc(s.css)}', this)">${esc(s.css.slice(2))}</span></td>
+            <td><div class="style-guide-token-bar" style="background: ${esc(s.wide || s.hex)}"></div></td>
+            <td><div class="style-guide-token-bar" style="background: ${esc(s.hex)}"></div></td>
+            <td>${s.wide ? `<code>${esc(s.wide)}</code><br>` : ''}<code>${esc(s.hex)}</code></td>
+          </tr>`).join('\n');
+  return `      <table class="style-guide-data-table">
+        <thead><tr><th>Token</th><th>Wide gamut</th><th>sRGB</th><th>Value</th></tr></thead>
+        <tbody>
+${rows}
+        </tbody>
+      </table>`;
+}
+
+// Viewport widths the fluid type preview renders each size at
+const FLUID_PREVIEW_VIEWPORTS = [480, 768, 1024, 1440];
+
+function fluidSizeTable(sizes) {
+  const px = n => `${+n.toFixed(2)}px`;
+  const rows = sizes.map(s => `          <tr>
+            <td><span class="style-guide-token-copy" role="button" tabindex="0" onclick="copyToken('${esc(s.css)}', this)">${esc(s.css.slice(2))}</span><br><code>${esc(fluidClamp(s.fluid))}</code></td>
+            <td><span style="font-size: var(${esc(s.css)})">Aa</span></td>
+${FLUID_PREVIEW_VIEWPORTS.map(viewport => `            <td><span style="font-size: ${px(fluidSizeAt(s.fluid, viewport))}">Aa</span><br><code>${px(fluidSizeAt(s.fluid, viewport))}</code></td>`).join('\n')}
+          </tr>`).join('\n');
+  return `      <p>Fluid sizes scale with the viewport between their min and max. The live sample follows this window; the others show each size at a breakpoint.</p>
+      <table class="style-guide-data-table">
+        <thead><tr><th>Token</th><th>Live</th>${FLUID_PREVIEW_VIEWPORTS.map(viewport => `<th>${viewport}px</th>`).join('')}</tr></thead>
+        <tbody>
+${rows}
+        </tbody>
+      </table>`;
+}
+
 function colorsContent(tokens) {
   const colorSections = tokens.colorFamilies.map(f =>
-    section(f.name, colorTable(f.stops.map(s => ({
-      tokenName: `base-color-${f.name}-${s.stop}`,
-      copyValue: `--base-color-${f.name}-${s.stop}`,
+    section(f.name, f.stops.some(s => s.wide) ? wideColorTable(f.stops) : colorTable(f.stops.map(s => ({
+      tokenName: s.css.slice(2),
+      copyValue: s.css,
       sampleColor: s.hex,
       value: s.hex,
     }))))
   ).join('\n');
 
-  // Resolve bg hex for border sample contrast
-  const darkBgGroup = tokens.uiColorGroups.find(g => g.group === 'Background');
-  const lightBgGroup = darkBgGroup;
-  const darkBgHex = darkBgGroup?.tokens[0]?.darkHex || '#161616';
-  const lightBgHex = lightBgGroup?.tokens[0]?.lightHex || '#f0f0f0';
+  // Resolve bg hex for border sample contrast, per mode
+  const bgGroup = tokens.uiColorGroups.find(g => g.group === 'Background');
+  const modeBgHex = tokens.modes.map((mode, i) => bgGroup?.tokens[0]?.modes[i].hex || (i ? '#161616' : '#f0f0f0'));
+  const modeLabel = mode => mode.charAt(0).toUpperCase() + mode.slice(1);
 
   const textColorClassRows = [
     ['.hds-text-default', 'var(--hds-text-default)'],
@@ -476,14 +686,16 @@ ${textColorClassRows}
   const uiColorSections = tokens.uiColorGroups.map(group => {
     const groupKey = group.group.toLowerCase();
     const rows = group.tokens.map(t => `          <tr>
-            <td><span class="style-guide-token-copy" role="button" tabindex="0" onclick="copyToken('${esc(t.css)}', this)">${esc(t.name)}</span></td>
-            <td>${colorSample(t.lightHex, groupKey, lightBgHex)}</td>
-            <td><span class="style-guide-token-copy" role="button" tabindex="0" onclick="copyToken('${esc(t.lightRef)}', this)">${esc(t.lightRef)}</span></td>
-            <td>${colorSample(t.darkHex, groupKey, darkBgHex)}</td>
-            <td><span class="style-guide-token-copy" role="button" tabindex="0" onclick="copyToken('${esc(t.darkRef)}', this)">${esc(t.darkRef)}</span></td>
+            <td>${t.deprecated ? deprecatedName(t.name, t.deprecated) : `<span class="style-guide-token-copy" role="button" tabindex="0" onclick="copyToken('${esc(t.css)}', this)">${esc(t.name)}</span>`}</td>
+${t.modes.map((m, i) => `            <td>${colorSample(m.hex, groupKey, modeBgHex[i])}</td>
+            <td><span class="style-guide-token-copy" role="button" tabindex="0" onclick="copyToken('${esc(m.ref)}', this)">${esc(m.ref)}</span></td>`).join('\n')}
           </tr>`).join('\n');
-    const table = `      <table class="style-guide-data-table style-guide-data-table--visual style-guide-data-table--dual">
-        <thead><tr><th>Token</th><th>Light</th><th>Value</th><th>Dark</th><th>Value</th></tr></thead>
+    // Two modes fit the page grid side by side; more get their own column grid
+    const layout = tokens.modes.length === 2
+      ? 'style-guide-data-table--dual"'
+      : `style-guide-data-table--modes" style="--modes: ${tokens.modes.length}"`;
+    const table = `      <table class="style-guide-data-table style-guide-data-table--visual ${layout}>
+        <thead><tr><th>Token</th>${tokens.modes.map(mode => `<th>${esc(modeLabel(mode))}</th><th>Value</th>`).join('')}</tr></thead>
         <tbody>
 ${rows}
         </tbody>
@@ -493,9 +705,18 @@ ${rows}
     return section(group.group, table + extra);
   }).join('\n');
 
-  return foundationPage('Colors', 'Alias color tokens for light and dark themes, referencing base color primitives.', [
+  const contrastTables = contrastMatrix(tokens.contrast, modeLabel);
+  const contrastSection = contrastTables ? section('Contrast', contrastTables) : '';
+
+  const modeList = tokens.modes.length > 1
+    ? `${tokens.modes.slice(0, -1).join(', ')} and ${tokens.modes[tokens.modes.length - 1]}`
+    : tokens.modes[0];
+  return foundationPage('Colors', `Alias color tokens for ${modeList} themes, referencing base color primitives.`, [
     uiColorSections,
+    contrastSection,
     colorSections,
+    rampSections(tokens.ramps),
+    deprecatedSection(tokens.deprecated.colors),
   ]);
 }
 
@@ -566,6 +787,8 @@ function typographyContent(tokens) {
       sampleStyle: `font-size: ${s.value}`,
     })))),
 
+    ...(tokens.fontSizes.some(s => s.fluid) ? [section('Fluid Sizes', fluidSizeTable(tokens.fontSizes.filter(s => s.fluid)))] : []),
+
     section('Font Weights', baseScaleTable([
       { name: 'base-font-weights-light', value: '100' },
       { name: 'base-font-weights-regular', value: '400' },
@@ -590,6 +813,7 @@ function typographyContent(tokens) {
       sampleContent: 'The quick brown fox jumps over the lazy dog. Design tokens maintain consistency across the system.',
     })))),
 
+    deprecatedSection(tokens.deprecated.typography),
   ]);
 }
 
@@ -616,7 +840,7 @@ ${bodyRows}
     section('Spacing Aliases', spacingTable(tokens.gaps.map(g => ({
       tokenName: g.name,
       copyValue: g.css,
-      value: g.scaleRef || g.value,
+      value: g.fluid ? fluidClamp(g.fluid) : g.scaleRef || g.value,
       widthPx: parseInt(g.value),
     })))),
     utilTable('Margin Classes', utilRows([
@@ -673,36 +897,39 @@ ${bodyRows}
       ['.hds-py-5', 'padding-block', 'var(--hds-space-32) &mdash; 32px'],
       ['.hds-py-6', 'padding-block', 'var(--hds-space-48) &mdash; 48px'],
     ])),
+    deprecatedSection(tokens.deprecated.spacing),
   ]);
 }
 
-function radiusContent(tokens) {
-  const baseRadii = [
-    { name: 'hds-radius-sm', value: '--base-scale-4', sampleValue: '4px' },
-    { name: 'hds-radius-md', value: '--base-scale-8', sampleValue: '8px' },
-    { name: 'hds-radius-lg', value: '--base-scale-12', sampleValue: '12px' },
-    { name: 'hds-radius-full', value: '999px' },
-  ];
+// Radii main.css defines whether or not the token files have them
+const MAIN_RADII = [
+  { css: '--hds-radius-sm', scaleRef: '--hds-space-4', value: '4px' },
+  { css: '--hds-radius-md', scaleRef: '--hds-space-8', value: '8px' },
+  { css: '--hds-radius-lg', scaleRef: '--hds-space-12', value: '12px' },
+  { css: '--hds-radius-full', scaleRef: '', value: '9999px' },
+];
 
-  return foundationPage('Radius', 'Four radius tokens from subtle rounding to fully round.', [
-    section('Radius Scale', radiusTable(baseRadii.map(r => ({
-      tokenName: r.name,
-      copyValue: `--${r.name}`,
-      value: r.value,
-      sampleValue: r.sampleValue,
+function radiusContent(tokens) {
+  const radii = [...tokens.radii, ...MAIN_RADII.filter(r => !tokens.radii.some(t => t.css === r.css))];
+  return foundationPage('Radius', 'Radius tokens from subtle rounding to fully round.', [
+    section('Radius Scale', radiusTable(radii.map(r => ({
+      tokenName: r.css.slice(2),
+      copyValue: r.css,
+      value: r.scaleRef || r.value,
+      sampleValue: r.value,
     })))),
+    deprecatedSection(tokens.deprecated.radius),
   ]);
 }
 
-function scaleContent() {
-  const scaleValues = [4, 8, 12, 16, 20, 24, 28, 32, 36, 40, 48, 56, 64, 96, 128];
-
+function scaleContent(tokens) {
   return foundationPage('Scale', 'A shared base scale used by spacing, typography, and layout tokens. Values follow a harmonious structure. Use this scale to create space between objects in product layouts.', [
-    section('Base', spacingTable(scaleValues.map(px => ({
-      tokenName: `base-scale-${px}`,
-      copyValue: `--base-scale-${px}`,
-      value: `${px}px`,
+    section('Base', spacingTable(tokens.spaceScale.map(s => ({
+      tokenName: s.css.slice(2),
+      copyValue: s.css,
+      value: s.value,
     })))),
+    deprecatedSection(tokens.deprecated.scale),
   ]);
 }
 
@@ -764,37 +991,83 @@ ${gridRows}
   ]);
 }
 
-function breakpointsContent() {
-  const layoutRows = (data) => data.map(([a, b, c]) =>
-    `                <tr><td>${a}</td><td>${b}</td><td>${c}</td></tr>`
-  ).join('\n');
+function changelogContent() {
+  const changelogPath = config.tokens.changelog;
+  const releases = fs.existsSync(changelogPath) ? renderChangelog(fs.readFileSync(changelogPath, 'utf-8'), esc) : [];
+  const sections = releases.length
+    ? releases.map(release => section(release.title, `          <div class="style-guide-changelog">\n${release.html}\n          </div>`))
+    : [section('No releases yet', '          <p>Run <code>npm run diff:tokens -- &lt;previous release&gt; --changelog</code> to record the first one.</p>')];
+  return foundationPage('Changelog', 'Token changes per release: breaking changes, additions, deprecations, and changed values in each mode.', sections);
+}
 
-  const rows = layoutRows([
-    ['sm', '480px', 'Small phones'],
-    ['md', '768px', 'Tablets'],
-    ['lg', '1024px', 'Small desktops'],
-    ['xl', '1200px', 'Large desktops'],
-    ['2xl', '1440px', 'Wide screens'],
-  ]);
+// Copyable custom property name
+function tokenChip(css) {
+  return `<span class="style-guide-token-copy" role="button" tabindex="0" onclick="copyToken('${esc(css)}', this)">${esc(css.slice(2))}</span>`;
+}
+
+// Shown in place of a foundation table when the token files have no such group
+function missingTokens(group, type) {
+  return `          <p class="hds-body-sm hds-text-default">No <code>${group}</code> tokens yet. Add a <code>${group}</code> group of <code>${type}</code> tokens to a shared token file, such as <code>alias/effects.tokens.json</code>.</p>`;
+}
 
-  return foundationPage('Breakpoints', 'Mobile-first responsive breakpoints used across the system. Apply via inline media queries with native CSS nesting.', [
+// Under a table that shows DEFAULT_FOUNDATION_TOKENS for groups the token files leave out
+function fallbackNote(entries) {
+  const groups = [...new Set(entries.filter(entry => entry.fallback).map(entry => entry.group))];
+  if (!groups.length) return '';
+  return `\n          <p class="hds-body-sm hds-text-default">Built-in values: the token files have no ${groups.map(group => `<code>${group}</code>`).join(' or ')} group yet. Add one to a shared token file, such as <code>alias/effects.tokens.json</code>, to change them.</p>`;
+}
+
+function breakpointsContent(tokens) {
+  const { breakpoints } = tokens.foundations;
+  const rows = breakpoints.map(b =>
+    `                <tr><td>${esc(b.path.split('.').slice(1).join('.'))}</td><td>${tokenChip(b.name)}</td><td>${esc(b.value)}</td><td><code>@media (${esc(b.name)})</code></td><td>${esc(b.description)}</td></tr>`
+  ).join('\n');
+
+  return foundationPage('Breakpoints', 'Mobile-first responsive breakpoints used across the system. Apply via inline media queries with native CSS nesting, or the generated custom media queries.', [
     section('Breakpoint Scale',
       `          <table class="style-guide-data-table">
             <thead>
               <tr>
                 <th>Name</th>
+                <th>Token</th>
                 <th>Width</th>
+                <th>Custom media</th>
                 <th>Usage</th>
               </tr>
             </thead>
             <tbody>
 ${rows}
             </tbody>
-          </table>`),
+          </table>${fallbackNote(breakpoints)}`),
   ]);
 }
 
-function animationContent() {
+function elevationContent(tokens) {
+  const shadows = tokens.foundations.elevation.filter(e => e.group === 'shadow');
+  const layers = tokens.foundations.elevation.filter(e => e.group === 'z-index');
+  return foundationPage('Elevation', 'Shadows lift surfaces off the page; the z-index scale keeps overlapping layers in a fixed order.', [
+    section('Shadows', shadows.length
+      ? `          <table class="style-guide-data-table">
+            <thead><tr><th>Token</th><th>Sample</th><th>Value</th><th>Use</th></tr></thead>
+            <tbody>
+${shadows.map(e => `              <tr><td>${tokenChip(e.name)}</td><td><div style="width: 64px; height: 40px; border-radius: var(--hds-radius-md); background: var(--hds-bg-default); box-shadow: var(${esc(e.name)})"></div></td><td><code>${esc(e.value)}</code></td><td>${esc(e.description)}</td></tr>`).join('\n')}
+            </tbody>
+          </table>`
+      : missingTokens('shadow', 'shadow')),
+    section('Z-Index Scale', layers.length
+      ? `          <table class="style-guide-data-table">
+            <thead><tr><th>Token</th><th>Value</th><th>Use</th></tr></thead>
+            <tbody>
+${[...layers].sort((a, b) => Number(a.value) - Number(b.value)).map(e => `              <tr><td>${tokenChip(e.name)}</td><td>${esc(e.value)}</td><td>${esc(e.description)}</td></tr>`).join('\n')}
+            </tbody>
+          </table>`
+      : missingTokens('z-index', 'number')),
+  ]);
+}
+
+function animationContent(tokens) {
+  const durations = tokens.foundations.motion.filter(m => m.group !== 'ease');
+  const easings = tokens.foundations.motion.filter(m => m.group === 'ease');
   return foundationPage('Animation', 'Motion tokens, micro-interactions, and entrance animations for consistent, tactile UI across the system.', [
     `          <h3 class="style-guide-section-name">Duration Tokens</h3>
           <div>
@@ -802,24 +1075,17 @@ function animationContent() {
               <table class="style-guide-data-table">
                 <thead><tr><th>Token</th><th>Value</th><th>Use</th></tr></thead>
                 <tbody>
-                  <tr><td><code>--hds-duration-instant</code></td><td>100ms</td><td>Micro-feedback (press, hover)</td></tr>
-                  <tr><td><code>--hds-duration-fast</code></td><td>150ms</td><td>Component transitions (buttons, inputs, toggles)</td></tr>
-                  <tr><td><code>--hds-duration-normal</code></td><td>200ms</td><td>Fade-in, scale-in utilities</td></tr>
-                  <tr><td><code>--hds-duration-slow</code></td><td>300ms</td><td>Entrance animations (slide-up, modal)</td></tr>
-                  <tr><td><code>--hds-duration-slower</code></td><td>500ms</td><td>Large reveals</td></tr>
-                  <tr><td><code>--hds-delay-stagger</code></td><td>50ms</td><td>Stagger increment between children</td></tr>
+${durations.map(d => `                  <tr><td>${tokenChip(d.name)}</td><td>${esc(d.value)}</td><td>${esc(d.description)}</td></tr>`).join('\n')}
                 </tbody>
-              </table>
+              </table>${fallbackNote(durations)}
             </div>
           </div>
           <h3 class="style-guide-section-name">Timing Functions</h3>
           <div>
             <div class="hds-stack hds-stack--lg">
               <div class="hds-stack hds-stack--sm">
-                <div class="hds-kv"><span class="hds-kv-key">--hds-ease-out</span><span class="hds-kv-value">cubic-bezier(0.16, 1, 0.3, 1)</span></div>
-                <div class="hds-kv"><span class="hds-kv-key">--hds-ease-in-out</span><span class="hds-kv-value">cubic-bezier(0.45, 0, 0.55, 1)</span></div>
-                <div class="hds-kv"><span class="hds-kv-key">--hds-ease-spring</span><span class="hds-kv-value">cubic-bezier(0.34, 1.56, 0.64, 1)</span></div>
-              </div>
+${easings.map(e => `                <div class="hds-kv"><span class="hds-kv-key">${esc(e.name)}</span><span class="hds-kv-value">${esc(e.value)}</span></div>`).join('\n')}
+              </div>${fallbackNote(easings)}
               <p class="hds-body-sm hds-text-default">Backward-compatible aliases (<code>--ease-out</code>, <code>--ease-in-out</code>, <code>--ease-spring</code>) still work.</p>
             </div>
           </div>
@@ -3310,10 +3576,12 @@ const contentMap = {
   'typography': (tokens) => typographyContent(tokens),
   'spacing': (tokens) => spacingContent(tokens),
   'radius': (tokens) => radiusContent(tokens),
-  'scale': () => scaleContent(),
+  'scale': (tokens) => scaleContent(tokens),
   'layout': () => layoutContent(),
-  'breakpoints': () => breakpointsContent(),
-  'animation': () => animationContent(),
+  'breakpoints': (tokens) => breakpointsContent(tokens),
+  'changelog': () => changelogContent(),
+  'animation': (tokens) => animationContent(tokens),
+  'elevation': (tokens) => elevationContent(tokens),
   'utilities': () => utilitiesContent(),
   'breadcrumbs': () => breadcrumbsContent(),
   'button': () => buttonsContent(),
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Build Styles
+ *
+ * Copies main.css and fonts into dist, and concatenates the style-guide
+ * framework CSS with the HDS extensions into dist/style-guide.css.
+ *
+ * The style-guide checkout location comes from heavy.config.js (see lib/config.js).
+ *
+ * Usage: npm run build:styles
+ *        npm run build:styles -- --style-guide-dir=/path/to/style-guide
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig } from './lib/config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STYLES_DIR = path.resolve(__dirname, '../styles');
+const FONTS_DIR = path.resolve(__dirname, '../assets/fonts');
+
+const config = await loadConfig();
+const DIST_DIR = config.distDir;
+
+function main() {
+  const fontsOut = path.join(DIST_DIR, 'fonts');
+  fs.mkdirSync(fontsOut, { recursive: true });
+
+  fs.copyFileSync(path.join(STYLES_DIR, 'main.css'), path.join(DIST_DIR, 'main.css'));
+  console.log(`✓ Copied: ${path.relative(process.cwd(), path.join(DIST_DIR, 'main.css'))}`);
+
+  const styleGuideCss = path.join(config.styleGuideDir, 'src/style-guide.css');
+  if (!fs.existsSync(styleGuideCss)) {
+    console.error(`Missing style-guide CSS: ${styleGuideCss}`);
+    console.error('Set styleGuideDir in heavy.config.js, HDS_STYLE_GUIDE_DIR, or --style-guide-dir.');
+    process.exit(1);
+  }
+  const ext = fs.readFileSync(path.join(STYLES_DIR, 'heavy-style-guide-ext.css'), 'utf-8');
+  const outPath = path.join(DIST_DIR, 'style-guide.css');
+  fs.writeFileSync(outPath, fs.readFileSync(styleGuideCss, 'utf-8') + ext);
+  console.log(`✓ Generated: ${path.relative(process.cwd(), outPath)}`);
+
+  const fonts = fs.readdirSync(FONTS_DIR).filter(f => f.endsWith('.woff2'));
+  for (const font of fonts) {
+    fs.copyFileSync(path.join(FONTS_DIR, font), path.join(fontsOut, font));
+  }
+  console.log(`✓ Copied ${fonts.length} fonts to: ${path.relative(process.cwd(), fontsOut)}`);
+}
+
+main();
@@ -3,52 +3,327 @@
 /**
  * Build Theme CSS
  *
- * Concatenates theme variable and component files into distributable CSS.
+ * Builds every theme folder in src/themes to dist/themes/<theme>.css,
+ * concatenating its variables and components.css, and writes
+ * dist/themes/themes.json listing each theme's modes, variables and
+ * file hashes. The default theme is also written to dist/heavy-theme.css,
+ * where it was built before themes had their own folder.
+ *
+ * A theme with a `variables.map.json` gets its variables generated from the
+ * HDS tokens, one block per mapped mode, instead of a hand-written
+ * variables.css; theme-only values stay in the map as literal overrides
+ * (see lib/theme-variables.js). A mapped theme can `extends` another mapped
+ * theme: its map supplies only the differences, and its components.css
+ * (optional) follows the parent's.
+ *
+ * Each build from the tokens also writes the generated variables to the
+ * mapped theme's variables.css. Without the token files a map can't be
+ * resolved, so the theme is built from that last generated variables.css
+ * instead; a theme that has none yet is skipped with a note, and the build
+ * carries on.
+ *
+ * Components can be written in the HDS classes, with the theme's older
+ * class names added to the same rules from `aliases.json` (see
+ * lib/theme-aliases.js).
+ *
+ * Each theme's variables are checked against what its components.css reads:
+ * a variable used but defined nowhere, or defined in a mode block but not
+ * the base block, fails the build; unused and fallback-only variables are
+ * warnings (see lib/theme-check.js).
+ *
+ * Built themes are then copied to `themes.targets` in heavy.config.js:
+ * paths or globs, each skipped with a note when its checkout is missing and
+ * left alone when it already holds the same CSS (see lib/theme-targets.js).
  *
  * Usage: npm run build:themes
+ *        npm run build:themes -- --theme-targets=/path/a.css,/path/b.css
+ *        npm run build:themes -- --dry-run          (build, but only report what would be copied)
+ *        npm run build:themes -- --diff             (show changed lines for each target)
+ *        npm run build:themes -- --version-header   (start each copy with the HDS version and hash)
  */
 
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { loadConfig, getArg, ROOT } from './lib/config.js';
+import { readSharedSources } from './lib/tokens.js';
+import { readModes, createModeResolvers } from './lib/modes.js';
+import { THEME_MAP_FILE, readThemeMapFile, extendThemeMap, readThemeMap, generateThemeVariables, variableModes } from './lib/theme-variables.js';
+import { scanText, usageOptions } from './lib/usage.js';
+import { checkTheme } from './lib/theme-check.js';
+import { THEME_ALIASES_FILE, readThemeAliases, applyThemeAliases } from './lib/theme-aliases.js';
+import { resolveTargets, versionHeader, lineDiff } from './lib/theme-targets.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const THEMES_DIR = path.resolve(__dirname, '../themes');
-const DIST_DIR = path.resolve(__dirname, '../../dist');
-const TEMPLATES_THEME = path.resolve(__dirname, '../../../keith-templates/figma-plugin/heavy-theme.css');
 
-function buildTheme(themeName) {
+const args = process.argv.slice(2);
+const config = await loadConfig(args);
+const DIST_DIR = config.distDir;
+const OUTPUT_DIR = path.join(DIST_DIR, 'themes');
+
+const dryRun = Boolean(getArg(args, '--dry-run'));
+const showDiff = Boolean(getArg(args, '--diff'));
+const withVersionHeader = Boolean(getArg(args, '--version-header') || config.themes.versionHeader);
+
+// The theme copied to `themes.targets` entries that don't name one, and to dist/heavy-theme.css
+const DISTRIBUTED_THEME = 'heavy-plugin';
+const LEGACY_OUTPUT = path.join(DIST_DIR, 'heavy-theme.css');
+
+const rel = file => path.relative(process.cwd(), file);
+const integrity = content => `sha256-${crypto.createHash('sha256').update(content).digest('base64')}`;
+
+// Theme folders, in name order
+function discoverThemes() {
+  return fs.readdirSync(THEMES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * A theme's files, with `extends` followed up the chain.
+ *
+ * @returns {{ name: string, extends: string|null, mapPath: string|null, map: object|null,
+ *   variablesPath: string|null, fallbackPath: string|null, components: string[], aliases: Record<string, string>, sources: string[] }}
+ *   `map` and `aliases` have the parents' applied; `variablesPath` is set for hand-written variables,
+ *   `fallbackPath` (which may not exist yet) for a mapped theme's generated variables.css
+ */
+function readTheme(themeName, chain = []) {
+  if (chain.includes(themeName)) throw new Error(`theme "${themeName}" extends itself (${[...chain, themeName].join(' → ')})`);
   const themeDir = path.join(THEMES_DIR, themeName);
+  if (!fs.existsSync(themeDir)) throw new Error(`"${chain[chain.length - 1]}" extends unknown theme "${themeName}"`);
+
+  const mapPath = path.join(themeDir, THEME_MAP_FILE);
   const variablesPath = path.join(themeDir, 'variables.css');
   const componentsPath = path.join(themeDir, 'components.css');
+  const aliasesPath = path.join(themeDir, THEME_ALIASES_FILE);
 
-  if (!fs.existsSync(variablesPath) || !fs.existsSync(componentsPath)) {
-    console.error(`Missing files for theme: ${themeName}`);
-    process.exit(1);
+  let map = fs.existsSync(mapPath) ? readThemeMapFile(mapPath) : null;
+  const parentName = map?.extends ?? null;
+  const parent = parentName ? readTheme(parentName, [...chain, themeName]) : null;
+  if (parent) {
+    if (!parent.map) throw new Error(`${rel(mapPath)}: extends "${parentName}", which has no ${THEME_MAP_FILE}`);
+    map = extendThemeMap(parent.map, map);
+  }
+  if (!map && !fs.existsSync(variablesPath)) throw new Error(`Missing ${THEME_MAP_FILE} or variables.css for theme: ${themeName}`);
+
+  const components = [...(parent?.components ?? []), componentsPath].filter(file => fs.existsSync(file));
+  if (!components.length) throw new Error(`Missing components.css for theme: ${themeName}`);
+
+  const ownAliases = fs.existsSync(aliasesPath) ? [aliasesPath] : [];
+
+  return {
+    name: themeName,
+    extends: parentName,
+    mapPath: map ? mapPath : null,
+    map,
+    variablesPath: map ? null : variablesPath,
+    fallbackPath: map ? variablesPath : null,
+    components,
+    aliases: { ...parent?.aliases, ...(ownAliases.length ? readThemeAliases(aliasesPath) : {}) },
+    sources: [...new Set([...(parent?.sources ?? []), map ? mapPath : variablesPath, ...components, ...ownAliases])],
+  };
+}
+
+// Modes and their resolvers, read once for every mapped theme
+let tokenModes = null;
+function modeResolvers() {
+  if (!tokenModes) {
+    const modes = readModes(config);
+    const sources = readSharedSources(config);
+    tokenModes = {
+      names: modes.map(mode => mode.name),
+      resolvers: createModeResolvers(modes, sources),
+      found: sources.length > 0 || modes.some(mode => Object.keys(mode.own).length),
+    };
+  }
+  return tokenModes;
+}
+
+// Variables from the theme's token mapping, resolved in each mapped mode
+function mappedVariables(theme) {
+  const { names, resolvers } = modeResolvers();
+  const map = readThemeMap(theme.mapPath, names, theme.map);
+  const css = generateThemeVariables(map, resolvers, { file: rel(theme.mapPath), title: `Heavy Theme (${theme.name})` });
+  const from = theme.extends ? `${THEME_MAP_FILE}, extending ${theme.extends}` : THEME_MAP_FILE;
+  console.log(`✓ Variables: ${theme.name} from ${from} (${map.modes.map(([mode]) => mode).join(', ')})`);
+  return css;
+}
+
+// Keep the variables.css a mapped theme falls back on in step with its map
+function syncFallback({ file, css }) {
+  const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null;
+  if (current === css) return;
+  if (dryRun) {
+    console.log(`→ Would update: ${rel(file)} (fallback variables)`);
+    return;
   }
+  fs.writeFileSync(file, css);
+  console.log(`✓ Synced: ${rel(file)} (fallback variables)`);
+}
 
-  const variables = fs.readFileSync(variablesPath, 'utf-8');
-  const components = fs.readFileSync(componentsPath, 'utf-8');
+/**
+ * Built CSS, completeness check and manifest entry for one theme.
+ */
+function buildTheme(themeName) {
+  const theme = readTheme(themeName);
+  // The map's selectors still name the modes of its fallback variables
+  const knownSelectors = Object.fromEntries(Object.entries(theme.map?.modes ?? {}).map(([mode, selector]) => [selector, mode]));
+  if (theme.map && !modeResolvers().found) {
+    if (!fs.existsSync(theme.fallbackPath)) return null;
+    console.warn(`⚠ Variables: ${theme.name} from ${rel(theme.fallbackPath)}: no token files in ${rel(config.tokensDir)} to resolve ${THEME_MAP_FILE}`);
+    theme.variablesPath = theme.fallbackPath;
+    theme.sources.push(theme.fallbackPath);
+    theme.map = null;
+  }
+  const variables = theme.map ? mappedVariables(theme) : fs.readFileSync(theme.variablesPath, 'utf-8');
+  const components = theme.components.map(file => {
+    const { css, unmatched } = applyThemeAliases(fs.readFileSync(file, 'utf-8'), theme.aliases);
+    return { file: rel(file), text: css, unmatched };
+  });
+  const unmatched = Object.keys(theme.aliases).filter(legacy => components.every(component => component.unmatched.includes(legacy)));
+  if (unmatched.length) {
+    throw new Error(`${THEME_ALIASES_FILE} aliases match no rule: ${unmatched.map(legacy => `${legacy} → ${theme.aliases[legacy]}`).join(', ')}`);
+  }
+  const css = variables + components.map(({ text }) => text).join('\n');
+  // Generated variables open the built file, so their lines match it
+  const variablesFile = rel(theme.variablesPath ?? path.join(OUTPUT_DIR, `${theme.name}.css`));
 
-  return variables + components;
+  return {
+    css,
+    fallback: theme.map ? { file: theme.fallbackPath, css: variables } : null,
+    check: checkTheme({ file: variablesFile, text: variables }, components, usageOptions(config.tokens.usage)),
+    entry: {
+      name: theme.name,
+      file: `${theme.name}.css`,
+      extends: theme.extends,
+      modes: variableModes(variables, knownSelectors),
+      variables: [...new Set(scanText(variables, 'variables.css').definitions.map(({ name }) => name))],
+      aliases: theme.aliases,
+      hash: integrity(css),
+      sources: Object.fromEntries(theme.sources.map(file => [path.relative(THEMES_DIR, file), integrity(fs.readFileSync(file))])),
+    },
+  };
+}
+
+const formatLocations = ({ name, locations }) => `    ${name}  ${locations.slice(0, 3).map(({ file, line }) => `${file}:${line}`).join(', ')}`;
+
+/**
+ * Print a theme's completeness check (see lib/theme-check.js).
+ *
+ * @returns {boolean} Whether the theme has variables missing, outright or in a mode
+ */
+function reportCheck({ missing, partial, fallback, unused }) {
+  const count = (n, noun) => `${n} ${noun}${n === 1 ? '' : 's'}`;
+  if (missing.length) {
+    console.error(`  ✗ ${count(missing.length, 'variable')} used but not defined:`);
+    console.error(missing.map(formatLocations).join('\n'));
+  }
+  if (partial.length) {
+    console.error(`  ✗ ${count(partial.length, 'variable')} missing from the base block, so undefined in the other modes:`);
+    console.error(partial.map(({ name, selectors }) => `    ${name}  only in ${selectors.join(', ')}`).join('\n'));
+  }
+  if (fallback.length) console.warn(`  ⚠ ${count(fallback.length, 'variable')} only ever read with a fallback: ${fallback.map(({ name }) => name).join(', ')}`);
+  if (unused.length) console.warn(`  ⚠ ${count(unused.length, 'variable')} defined but unused: ${unused.map(({ name }) => name).join(', ')}`);
+  return Boolean(missing.length || partial.length);
+}
+
+// Copy built themes to their targets, skipping missing checkouts, unbuilt themes and unchanged files
+function distribute(manifest, built, unbuilt) {
+  if (!config.themes.targets.length) return;
+  const { version } = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf-8'));
+  const counts = { copied: 0, unchanged: 0, skipped: 0 };
+  console.log('');
+
+  for (const { target, theme, files, skipped } of resolveTargets(config.themes.targets, DISTRIBUTED_THEME)) {
+    const entry = manifest.themes.find(({ name }) => name === theme);
+    if (unbuilt.has(theme)) {
+      console.log(`· Skipped ${rel(target)}: ${theme} was not built`);
+      counts.skipped++;
+      continue;
+    }
+    if (!entry) {
+      console.error(`✗ ${rel(target)}: unknown theme "${theme}" (themes: ${manifest.themes.map(({ name }) => name).join(', ')})`);
+      process.exit(1);
+    }
+    if (skipped) {
+      console.log(`· Skipped ${rel(target)}: ${skipped}`);
+      counts.skipped++;
+      continue;
+    }
+
+    const css = (withVersionHeader ? versionHeader({ version, theme, hash: entry.hash }) : '') + built.get(theme);
+    for (const file of files) {
+      const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null;
+      if (current === css) {
+        console.log(`· Unchanged: ${rel(file)}`);
+        counts.unchanged++;
+        continue;
+      }
+      const change = current === null ? 'new' : 'changed';
+      console.log(dryRun ? `→ Would copy ${theme} to: ${rel(file)} (${change})` : `✓ Copied ${theme} to: ${rel(file)} (${change})`);
+      if (showDiff && current !== null) console.log(lineDiff(current, css).map(line => `    ${line}`).join('\n'));
+      if (!dryRun) fs.writeFileSync(file, css);
+      counts.copied++;
+    }
+  }
+
+  const summary = `${counts.copied} ${dryRun ? 'to copy' : 'copied'}, ${counts.unchanged} unchanged, ${counts.skipped} skipped`;
+  console.log(`\n${dryRun ? '→ Dry run' : '✓ Targets'}: ${summary}`);
 }
 
 function main() {
   console.log('Building themes...\n');
 
-  if (!fs.existsSync(DIST_DIR)) {
-    fs.mkdirSync(DIST_DIR, { recursive: true });
+  if (!fs.existsSync(OUTPUT_DIR)) {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
   }
 
-  // Build heavy-plugin theme
-  const heavyTheme = buildTheme('heavy-plugin');
-  const outputPath = path.join(DIST_DIR, 'heavy-theme.css');
-  fs.writeFileSync(outputPath, heavyTheme);
-  console.log(`✓ Generated: ${path.relative(process.cwd(), outputPath)}`);
+  const manifest = { themes: [] };
+  const built = new Map();
+  const failed = [];
+  const fallbacks = [];
+  const unbuilt = new Set();
+  for (const themeName of discoverThemes()) {
+    let theme;
+    try {
+      theme = buildTheme(themeName);
+    } catch (error) {
+      console.error(`Error building theme ${themeName}: ${error.message}`);
+      process.exit(1);
+    }
+    if (!theme) {
+      console.warn(`⚠ Skipped ${themeName}: no token files in ${rel(config.tokensDir)} to resolve its ${THEME_MAP_FILE}, and no variables.css to fall back on`);
+      unbuilt.add(themeName);
+      continue;
+    }
+    const outputPath = path.join(OUTPUT_DIR, theme.entry.file);
+    fs.writeFileSync(outputPath, theme.css);
+    manifest.themes.push(theme.entry);
+    built.set(themeName, theme.css);
+    console.log(`✓ Generated: ${rel(outputPath)}`);
+    if (reportCheck(theme.check)) failed.push(themeName);
+    if (theme.fallback) fallbacks.push(theme.fallback);
+  }
+
+  // Incomplete themes stay in dist/themes for inspection but are never copied out
+  if (failed.length) {
+    console.error(`\n✗ Incomplete theme${failed.length === 1 ? '' : 's'}: ${failed.join(', ')}`);
+    process.exit(1);
+  }
+  fallbacks.forEach(syncFallback);
+
+  const manifestPath = path.join(OUTPUT_DIR, 'themes.json');
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`✓ Generated: ${rel(manifestPath)} (${manifest.themes.length} theme${manifest.themes.length === 1 ? '' : 's'})`);
+  if (built.has(DISTRIBUTED_THEME)) {
+    fs.writeFileSync(LEGACY_OUTPUT, built.get(DISTRIBUTED_THEME));
+    console.log(`✓ Generated: ${rel(LEGACY_OUTPUT)} (copy of ${DISTRIBUTED_THEME})`);
+  }
 
-  // Auto-distribute to keith-templates (all plugins symlink there)
-  fs.copyFileSync(outputPath, TEMPLATES_THEME);
-  console.log(`✓ Copied to: ${path.relative(process.cwd(), TEMPLATES_THEME)}`);
+  distribute(manifest, built, unbuilt);
 }
 
 main();
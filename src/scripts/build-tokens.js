@@ -6,251 +6,661 @@
  * Generates CSS custom properties from token files.
  * Supports project overrides via alias-overrides.json.
  *
+ * With --output-references (or `tokens.outputReferences` in the config),
+ * alias tokens are emitted as var() references to the tokens they point
+ * at, with the resolved value kept as a comment, so overriding a primitive
+ * cascades to every semantic token built on it:
+ *
+ *   --ui-bg-default: var(--color-gray-5); /* #F0F0F0 *\/
+ *
+ * Custom property names follow `tokens.naming` (see lib/naming.js); the
+ * default `legacy` preset keeps the original tokens.css names
+ * (--color-gray-5, --gap-md, --ui-bg-default), `--naming=hds` switches to
+ * the main.css names.
+ *
+ * Theme modes are light (:root), dark and any other alias file, each under
+ * [data-theme="<mode>"] and inheriting from a parent mode; modes with a
+ * media query also apply under data-theme="auto" (see lib/modes.js).
+ *
+ * Unit and composite tokens (dimension, duration, shadow, typography, ...)
+ * become shorthand custom properties (see lib/css.js); typography tokens
+ * also get a `.hds-typography-*` class.
+ *
+ * Breakpoint, motion (duration, delay, ease) and elevation (shadow,
+ * z-index) groups get their own sections, and breakpoints also become
+ * `@custom-media` queries (see lib/foundations.js).
+ *
+ * Number and dimension tokens with `$extensions.hds.fluid` become
+ * clamp() values that scale between two viewport widths (see lib/fluid.js).
+ *
+ * Colors declared in display-p3 or oklch are written as their sRGB
+ * fallback, then re-declared in `@supports` rules (see lib/css.js).
+ *
+ * Deprecated tokens (`$deprecated`, `$extensions.hds.replacedBy`) still
+ * build, as var() aliases of their replacement, with a warning for each
+ * one and for every token that references one (see lib/deprecation.js).
+ *
+ * Declared foreground/background pairs (ui.text.* on ui.bg.*, ...) are
+ * checked in every mode against WCAG 2.x and optionally APCA thresholds;
+ * failures warn, or stop the build with `level: 'error'` / --contrast=error
+ * (see lib/contrast.js).
+ *
+ * With project overrides, the build prints which tokens they changed in
+ * each mode, override keys that matched no token (typos become new
+ * tokens) and contrast pairs they pushed below WCAG AA;
+ * --override-report=<file.json|.html> also writes it (see lib/overrides.js).
+ *
+ * --brands=brands.json (or `tokens.brands`) also builds
+ * dist/brands/<brand>/tokens.css from each brand's overrides file,
+ * optionally scoped under [data-brand="<brand>"] (see lib/brands.js).
+ *
+ * Also writes dist/tokens.js + tokens.d.ts: the same tokens as nested
+ * objects with resolved values and var() references (see lib/module.js).
+ *
+ * Every token file is validated first (see lib/validate.js and
+ * src/schemas/tokens.schema.json); problems stop the build with their
+ * file:line:column and token path.
+ *
+ * Designer tools: --import-figma / --import-tokens-studio convert an
+ * export into the DTCG files below (then build as usual); --export-figma /
+ * --export-tokens-studio write the current files back out (see lib/figma.js,
+ * lib/tokens-studio.js).
+ *
+ * --generate-ramps rewrites the base color families listed in
+ * `tokens.ramps` from their seed colors — 20 OKLCH stops plus black and
+ * white, gamut mapped to sRGB — then builds as usual (see lib/ramp.js).
+ *
+ * Token locations come from heavy.config.js (see lib/config.js).
+ *
  * Usage: npm run build:tokens
  *        npm run build:tokens -- --project-overrides=/path/to/alias-overrides.json
+ *        npm run build:tokens -- --project-overrides=alias-overrides.json --override-report=report.html
+ *        npm run build:tokens -- --brands=brands.json
+ *        npm run build:tokens -- --tokens-dir=/path/to/tokens
+ *        npm run build:tokens -- --output-references
+ *        npm run build:tokens -- --naming=hds
+ *        npm run build:tokens -- --sync-main     (regenerate the main.css token block)
+ *        npm run build:tokens -- --check         (validate token files, no output)
+ *        npm run build:tokens -- --contrast=error (fail on contrast below threshold)
+ *        npm run build:tokens -- --check-main    (fail if main.css has drifted)
+ *        npm run build:tokens -- --import-figma=variables.json
+ *        npm run build:tokens -- --import-tokens-studio=tokens.json
+ *        npm run build:tokens -- --export-figma=variables.json
+ *        npm run build:tokens -- --export-tokens-studio=tokens.json
+ *        npm run build:tokens -- --generate-ramps
  */
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const SHARED_TOKENS_DIR = path.resolve(process.env.HOME, 'Projects/design/tokens');
-const BASE_TOKENS_DIR = path.join(SHARED_TOKENS_DIR, 'base');
-const ALIAS_TOKENS_DIR = path.join(SHARED_TOKENS_DIR, 'alias');
-const DIST_DIR = path.resolve(__dirname, '../../dist');
+import { loadConfig, getArg, getValueArg } from './lib/config.js';
+import { SHARED_TOKEN_FILES, readTokenFile, readTokenSource, readSharedSources, tokenFilePath, writeTokenFile, deepMerge, flattenTokens, collectTokens } from './lib/tokens.js';
+import { collectProblems, TokenReferenceError } from './lib/resolve.js';
+import { validateTokenSources, referenceIssues, formatIssue, TokenValidationError } from './lib/validate.js';
+import { getTokenValue, referenceValue, typographyLetterSpacing, wideGamutRules, COMPOSITE_TYPES } from './lib/css.js';
+import { createNaming, sourceOf } from './lib/naming.js';
+import { readModes, modeChain, createModeResolvers, AUTO_MODE } from './lib/modes.js';
+import { readBrands, brandSelector } from './lib/brands.js';
+import { overrideImpact, formatImpact, impactHTML } from './lib/overrides.js';
+import { collectDeprecations, deprecationWarnings } from './lib/deprecation.js';
+import { contrastOptions, auditContrast, resolveColors, formatContrast, ContrastError } from './lib/contrast.js';
+import { generateTokenModule } from './lib/module.js';
+import { importFigmaVariables, exportFigmaVariables } from './lib/figma.js';
+import { importTokensStudio, exportTokensStudio } from './lib/tokens-studio.js';
+import { readRamps, generateRamp, rampTokens } from './lib/ramp.js';
+import { fluidOf } from './lib/fluid.js';
+import { FOUNDATIONS, foundationTokens, customMediaRules } from './lib/foundations.js';
+import { MAIN_CSS_PATH, generateMainVariables, syncMainCss, checkMainCss } from './lib/main-css.js';
 
-// Parse command line args for project overrides
 const args = process.argv.slice(2);
-const overridesArg = args.find(arg => arg.startsWith('--project-overrides='));
-const projectOverridesPath = overridesArg ? overridesArg.split('=')[1] : null;
+const config = await loadConfig(args);
+const BASE_TOKENS_DIR = config.baseTokensDir;
+const ALIAS_TOKENS_DIR = config.aliasTokensDir;
+const DIST_DIR = config.distDir;
 
-function readTokenFile(dir, filename) {
-  const filePath = path.join(dir, filename);
-  if (!fs.existsSync(filePath)) {
-    return null;
+// Parse command line args for project overrides
+const projectOverridesPath = getValueArg(args, '--project-overrides') || null;
+const overrideReportPath = getValueArg(args, '--override-report');
+
+// Contrast audit level: error | warn | off (overrides tokens.contrast.level)
+const contrastLevel = getValueArg(args, '--contrast');
+
+// Brands manifest: one tokens.css per brand's overrides (see lib/brands.js)
+const brandsArg = getValueArg(args, '--brands') || process.env.HDS_BRANDS;
+const brandsManifest = brandsArg ? path.resolve(String(brandsArg)) : config.tokens.brands;
+
+// Keep aliases as var() chains instead of flattening them to literals
+const outputReferences = Boolean(getArg(args, '--output-references') || config.tokens.outputReferences);
+
+const naming = createNaming(config.tokens.naming);
+
+// Validate token files without building (--check)
+const checkMode = Boolean(getArg(args, '--check'));
+
+// Regenerate (--sync-main) or verify (--check-main) the main.css token block
+const syncMainMode = Boolean(getArg(args, '--sync-main'));
+const checkMainMode = Boolean(getArg(args, '--check-main'));
+
+// Designer tool interchange files
+const importFigmaPath = getValueArg(args, '--import-figma');
+const importTokensStudioPath = getValueArg(args, '--import-tokens-studio');
+const exportFigmaPath = getValueArg(args, '--export-figma');
+const exportTokensStudioPath = getValueArg(args, '--export-tokens-studio');
+
+// Regenerate the tokens.ramps color families from their seeds
+const generateRampsMode = Boolean(getArg(args, '--generate-ramps'));
+
+// Custom property name for every emitted token, keyed by dot path
+function groupEntries(group, pathPrefix, source) {
+  const entries = [];
+  if (!group) return entries;
+  for (const [name, token] of Object.entries(group)) {
+    if (name.startsWith('$') || !token || typeof token !== 'object' || !('$value' in token)) continue;
+    const tokenPath = `${pathPrefix}.${name}`;
+    // Tokens inherit the group's $type
+    const typed = token.$type || !group.$type ? token : { ...token, $type: group.$type };
+    entries.push({ path: tokenPath, name: naming.cssVar(source, tokenPath), segments: naming.segments(source, tokenPath), token: typed });
   }
-  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return entries;
+}
+
+function modeEntries(tokens) {
+  return collectTokens(tokens).map(({ path: tokenPath, token, type }) => ({
+    path: tokenPath,
+    name: naming.cssVar('mode', tokenPath),
+    segments: naming.segments('mode', tokenPath),
+    token: { ...token, $type: type },
+  }));
 }
 
-function deepMerge(target, source) {
-  const result = { ...target };
-  for (const key of Object.keys(source)) {
-    if (key.startsWith('$')) continue;
-    if (source[key] && typeof source[key] === 'object' && !('$value' in source[key])) {
-      result[key] = deepMerge(result[key] || {}, source[key]);
-    } else {
-      result[key] = source[key];
+// A token's literal value, and the var() reference emitted in its place when there is one.
+// `options.srgb` writes wide-gamut colors as their sRGB fallback (see lib/css.js)
+function tokenValue(entry, resolver, names, options) {
+  const value = getTokenValue(entry.token, resolver, undefined, { ...options, path: entry.path });
+  if (entry.deprecated?.replacedBy) return { value, reference: referenceValue(entry.token.$value, names) };
+  let reference = null;
+  // A fluid token's clamp() is its own value, not its $value's
+  if (outputReferences && !fluidOf(entry.token)) {
+    reference = referenceValue(entry.token.$value, names);
+    // Composites keep var() references to their parts (border color, shadow offsets, ...)
+    if (!reference && COMPOSITE_TYPES.includes(entry.token.$type)) {
+      const composite = getTokenValue(entry.token, resolver, names, options);
+      if (composite !== value) reference = composite;
     }
   }
-  return result;
+  return { value, reference };
 }
 
-function flattenTokens(obj, prefix = '') {
-  const result = [];
-
-  for (const [key, value] of Object.entries(obj)) {
-    if (key.startsWith('$')) continue;
+function declaration(entry, resolver, names) {
+  const { value, reference } = tokenValue(entry, resolver, names, { srgb: true });
+  const replacedBy = entry.deprecated?.replacedBy;
+  if (replacedBy) {
+    return `  ${entry.name}: ${reference || value}; /* deprecated: use ${names.get(replacedBy)} */`;
+  }
+  const note = entry.deprecated ? ' /* deprecated */' : '';
+  if (reference) return `  ${entry.name}: ${reference}; /* ${value} */${note}`;
+  return `  ${entry.name}: ${value};${note}`;
+}
 
-    const tokenPath = prefix ? `${prefix}-${key}` : key;
+// Declarations whose wide-gamut value differs from the sRGB fallback declaration() wrote
+function wideDeclarations(entries, resolver, names) {
+  return entries.flatMap(entry => {
+    const srgb = tokenValue(entry, resolver, names, { srgb: true });
+    const wide = tokenValue(entry, resolver, names);
+    const value = String(wide.reference || wide.value);
+    return value === String(srgb.reference || srgb.value) ? [] : [{ name: entry.name, value }];
+  });
+}
 
-    if (value && typeof value === 'object' && '$type' in value) {
-      result.push({ name: tokenPath, token: value });
-    } else if (value && typeof value === 'object') {
-      result.push(...flattenTokens(value, tokenPath));
+// Unit and composite tokens in the shared files, grouped by type (any group, any file)
+const TYPE_SECTIONS = [
+  ['dimension', 'Dimensions'],
+  ['duration', 'Durations'],
+  ['cubicBezier', 'Easings'],
+  ['transition', 'Transitions'],
+  ['shadow', 'Shadows'],
+  ['border', 'Borders'],
+  ['gradient', 'Gradients'],
+  ['typography', 'Typography'],
+];
+
+function typedSections(sharedSources, emitted) {
+  const byType = new Map(TYPE_SECTIONS.map(([type]) => [type, []]));
+  for (const { file, tokens } of sharedSources) {
+    const source = sourceOf(file);
+    for (const { path: tokenPath, token, type } of collectTokens(tokens)) {
+      if (!byType.has(type) || emitted.has(tokenPath)) continue;
+      byType.get(type).push({
+        path: tokenPath,
+        name: naming.cssVar(source, tokenPath),
+        segments: naming.segments(source, tokenPath),
+        token: { ...token, $type: type },
+      });
     }
   }
+  return TYPE_SECTIONS.map(([type, comment]) => ({ comment, entries: byType.get(type) }));
+}
 
-  return result;
+// `.hds-typography-*` classes applying each typography composite, named
+// after the token path (a leading `typography` group is dropped)
+function typographyClassName(tokenPath) {
+  const segments = tokenPath.split('.');
+  if (segments[0] === 'typography' && segments.length > 1) segments.shift();
+  return `hds-typography-${segments.join('-')}`;
 }
 
-function buildRefLookup(colorsTokens, scaleTokens) {
-  const lookup = {};
-  if (colorsTokens) {
-    for (const [family, shades] of Object.entries(colorsTokens)) {
-      if (family.startsWith('$')) continue;
-      for (const [stop, token] of Object.entries(shades)) {
-        if (stop.startsWith('$')) continue;
-        lookup[`${family}.${stop}`] = token.$value;
-      }
-    }
-  }
-  if (scaleTokens) {
-    for (const [group, values] of Object.entries(scaleTokens)) {
-      if (group.startsWith('$')) continue;
-      for (const [name, token] of Object.entries(values)) {
-        if (name.startsWith('$')) continue;
-        lookup[`${group}.${name}`] = token.$value;
-      }
-    }
+function typographyClasses(entries, resolver, names) {
+  const lines = [];
+  for (const entry of entries) {
+    if (entry.token.$type !== 'typography') continue;
+    const letterSpacing = typographyLetterSpacing(entry.token, resolver, outputReferences ? names : undefined);
+    lines.push('', `.${typographyClassName(entry.path)} {`, `  font: var(${entry.name});`);
+    if (letterSpacing) lines.push(`  letter-spacing: ${letterSpacing};`);
+    lines.push('}');
   }
-  return lookup;
+  return lines.length ? ['', '/* Typography Styles */', ...lines.slice(1)] : [];
 }
 
-function resolveRef(value, lookup) {
-  if (typeof value === 'string') {
-    const match = value.match(/^\{(.+)\}$/);
-    if (match && match[1] in lookup) return lookup[match[1]];
-  }
-  return value;
+// One resolver per mode (see lib/modes.js), with an overrides file on top
+function modeResolvers(modes, overrides) {
+  const resolvers = createModeResolvers(modes, readSharedSources(config), overrides ? [overrides] : []);
+
+  const problems = collectProblems(...resolvers.values());
+  if (problems.length) throw new TokenReferenceError(problems);
+
+  return resolvers;
 }
 
-function getTokenValue(token, refLookup) {
-  const value = refLookup ? resolveRef(token.$value, refLookup) : token.$value;
-  const type = token.$type;
-
-  // Handle color tokens
-  if (type === 'color') {
-    if (typeof value === 'object') {
-      if (value.hex) return value.hex;
-      if (value.components) {
-        const [r, g, b] = value.components.map(c => Math.round(c * 255));
-        const a = value.alpha ?? 1;
-        if (a < 1) return `rgba(${r}, ${g}, ${b}, ${a})`;
-        const toHex = n => n.toString(16).padStart(2, '0').toUpperCase();
-        return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
-      }
+// Deprecated token paths in the token files and overrides; the first file to deprecate a path wins
+function modelDeprecations(modes, overrides) {
+  const deprecations = new Map();
+  const trees = [...readSharedSources(config).map(source => source.tokens), ...modes.map(mode => mode.own), overrides?.tokens];
+  for (const tree of trees) {
+    for (const [tokenPath, deprecation] of collectDeprecations(tree)) {
+      if (!deprecations.has(tokenPath)) deprecations.set(tokenPath, deprecation);
     }
-    return value;
   }
+  return deprecations;
+}
 
-  // Handle number tokens (spacing, radius, font-size)
-  if (type === 'number') {
-    return `${value}px`;
-  }
+// Every emitted token with its custom property name, for tokens.css and tokens.js.
+// `overrides` is a project or brand overrides file: { file, tokens }
+function buildModel(modes, overrides) {
+  const colorsTokens = readTokenFile(BASE_TOKENS_DIR, 'colors.tokens.json');
+  const scaleTokens = readTokenFile(BASE_TOKENS_DIR, 'scale.tokens.json');
+  const typographyAliasTokens = readTokenFile(ALIAS_TOKENS_DIR, 'typography.tokens.json');
+  const spacingAliasTokens = readTokenFile(ALIAS_TOKENS_DIR, 'spacing.tokens.json');
+  const radiusAliasTokens = readTokenFile(ALIAS_TOKENS_DIR, 'radius.tokens.json');
+
+  const resolvers = modeResolvers(modes, overrides);
 
-  // Handle string tokens (font-family)
-  if (type === 'string') {
-    return value;
+  // Shared sections, emitted in this order into :root
+  const colorEntries = [];
+  if (colorsTokens) {
+    for (const [colorName, shades] of Object.entries(colorsTokens)) {
+      if (colorName.startsWith('$')) continue;
+      colorEntries.push(...groupEntries(shades, colorName, 'base/colors'));
+    }
+  }
+  const sections = [
+    { comment: 'Colors', entries: colorEntries },
+    { comment: 'Space Scale', entries: groupEntries(scaleTokens?.ui, 'ui', 'base/scale') },
+    { comment: 'Type Scale', entries: groupEntries(scaleTokens?.type, 'type', 'base/scale') },
+    { comment: 'Font Sizes', entries: groupEntries(typographyAliasTokens?.['font-size'], 'font-size', 'alias/typography') },
+    { comment: 'Spacing Aliases', entries: groupEntries(spacingAliasTokens?.space, 'space', 'alias/spacing') },
+    { comment: 'Screen Spacing', entries: groupEntries(spacingAliasTokens?.screen, 'screen', 'alias/spacing') },
+    { comment: 'Radius', entries: groupEntries(radiusAliasTokens?.container, 'container', 'alias/radius') },
+  ];
+  const foundations = foundationTokens(readSharedSources(config), naming);
+  for (const [foundation, { comment }] of Object.entries(FOUNDATIONS)) {
+    sections.push({ comment, foundation, entries: foundations[foundation].map(({ path, name, segments, token }) => ({ path, name, segments, token })) });
+  }
+  const emitted = new Set(sections.flatMap(section => section.entries.map(entry => entry.path)));
+  sections.push(...typedSections(readSharedSources(config), emitted));
+  const nonEmpty = sections.filter(section => section.entries.length);
+
+  // Each mode emits its full token set (inherited included), so a mode whose
+  // parent isn't the default still works on its own
+  const modeModels = modes.map(mode => ({
+    name: mode.name,
+    media: mode.media,
+    entries: modeEntries(overrides ? deepMerge(mode.tokens, overrides.tokens) : mode.tokens),
+    resolver: resolvers.get(mode.name),
+  }));
+
+  // A replaced token takes its replacement's value, so it aliases it in every mode
+  const deprecations = modelDeprecations(modes, overrides);
+  const names = new Map();
+  for (const entry of [...nonEmpty.flatMap(section => section.entries), ...modeModels.flatMap(mode => mode.entries)]) {
+    names.set(entry.path, entry.name);
+    const deprecation = deprecations.get(entry.path);
+    if (!deprecation) continue;
+    entry.deprecated = deprecation;
+    if (deprecation.replacedBy) entry.token = { ...entry.token, $value: `{${deprecation.replacedBy}}` };
   }
 
-  return value;
+  return { sections: nonEmpty, modes: modeModels, names };
 }
 
-function generateCSS(lightTokens, darkTokens, overrides) {
+function modeBlock(mode, names, indent = '') {
+  return [
+    `${indent}  /* UI Colors (${mode.name}) */`,
+    ...mode.entries.map(entry => indent + declaration(entry, mode.resolver, names)),
+  ];
+}
+
+// `brand` (from the brands manifest) labels the file and, when scoped,
+// moves every block under its [data-brand] attribute
+function generateCSS({ sections, modes, names }, brand = null) {
+  const [defaultMode, ...otherModes] = modes;
+  const select = (selector, indent = '') => {
+    const scoped = brand?.scope ? brandSelector(selector, brand.name) : selector;
+    return `${indent}${scoped.replace(/\n/g, `\n${indent}`)} {`;
+  };
   const lines = [
     '/* Auto-generated from token files - DO NOT EDIT */',
     '/* Run `npm run build` to regenerate */',
+    ...(brand ? [`/* Brand: ${brand.name} */`] : []),
     ''
   ];
 
-  const colorsTokens = readTokenFile(BASE_TOKENS_DIR, 'colors.tokens.json');
-  const scaleTokens = readTokenFile(BASE_TOKENS_DIR, 'scale.tokens.json');
-  const typographyAliasTokens = readTokenFile(ALIAS_TOKENS_DIR, 'typography.tokens.json');
-  const spacingAliasTokens = readTokenFile(ALIAS_TOKENS_DIR, 'spacing.tokens.json');
-  const radiusAliasTokens = readTokenFile(ALIAS_TOKENS_DIR, 'radius.tokens.json');
-
-  const refLookup = buildRefLookup(colorsTokens, scaleTokens);
+  lines.push(select(':root'));
 
-  const finalLightTokens = overrides ? deepMerge(lightTokens, overrides) : lightTokens;
-  const finalDarkTokens = overrides ? deepMerge(darkTokens, overrides) : darkTokens;
-  const lightFlat = flattenTokens(finalLightTokens);
-  const darkFlat = flattenTokens(finalDarkTokens);
+  for (const section of sections) {
+    lines.push(`  /* ${section.comment} */`);
+    for (const entry of section.entries) {
+      lines.push(declaration(entry, defaultMode.resolver, names));
+    }
+    lines.push('');
+  }
 
-  lines.push(':root {');
+  // UI tokens (default mode)
+  lines.push(...modeBlock(defaultMode, names));
+  lines.push('}');
+  const rootEntries = [...sections.flatMap(section => section.entries), ...defaultMode.entries];
+  lines.push(...wideGamutRules(select(':root', '  '), wideDeclarations(rootEntries, defaultMode.resolver, names)));
 
-  // Base colors
-  if (colorsTokens) {
-    lines.push('  /* Colors */');
-    for (const [colorName, shades] of Object.entries(colorsTokens)) {
-      if (colorName.startsWith('$')) continue;
-      for (const [shade, token] of Object.entries(shades)) {
-        if (shade.startsWith('$')) continue;
-        const value = getTokenValue(token);
-        lines.push(`  --color-${colorName}-${shade}: ${value};`);
-      }
-    }
+  // Other modes
+  for (const mode of otherModes) {
     lines.push('');
+    lines.push(select(`[data-theme="${mode.name}"]`));
+    lines.push(...modeBlock(mode, names));
+    lines.push('}');
+    lines.push(...wideGamutRules(select(`[data-theme="${mode.name}"]`, '  '), wideDeclarations(mode.entries, mode.resolver, names)));
   }
 
-  // Scale tokens
-  if (scaleTokens) {
-    if (scaleTokens.ui) {
-      lines.push('  /* Space Scale */');
-      for (const [name, token] of Object.entries(scaleTokens.ui)) {
-        if (name.startsWith('$')) continue;
-        const value = getTokenValue(token);
-        lines.push(`  --space-${name}: ${value};`);
-      }
-      lines.push('');
-    }
-    if (scaleTokens.type) {
-      lines.push('  /* Type Scale */');
-      for (const [name, token] of Object.entries(scaleTokens.type)) {
-        if (name.startsWith('$')) continue;
-        const value = getTokenValue(token);
-        lines.push(`  --type-${name}: ${value};`);
-      }
-      lines.push('');
-    }
+  // data-theme="auto": modes with a media query, later ones winning
+  const automatic = otherModes.filter(mode => mode.media);
+  if (automatic.length) {
+    lines.push('', `/* data-theme="${AUTO_MODE}" follows the user's system preferences */`);
+    automatic.forEach((mode, i) => {
+      if (i) lines.push('');
+      lines.push(`@media ${mode.media} {`);
+      lines.push(select(`[data-theme="${AUTO_MODE}"]`, '  '));
+      lines.push(...modeBlock(mode, names, '  '));
+      lines.push('  }');
+      lines.push(...wideGamutRules(select(`[data-theme="${AUTO_MODE}"]`, '    '), wideDeclarations(mode.entries, mode.resolver, names), '  '));
+      lines.push('}');
+    });
   }
 
-  // Alias typography
-  if (typographyAliasTokens) {
-    if (typographyAliasTokens['font-size']) {
-      lines.push('  /* Font Sizes */');
-      for (const [name, token] of Object.entries(typographyAliasTokens['font-size'])) {
-        if (name.startsWith('$')) continue;
-        const value = getTokenValue(token);
-        lines.push(`  --font-size-${name}: ${value};`);
-      }
-      lines.push('');
-    }
+  lines.push(...typographyClasses(rootEntries, defaultMode.resolver, names));
+
+  const breakpoints = sections.find(section => section.foundation === 'breakpoints')?.entries || [];
+  if (breakpoints.length) {
+    lines.push('', '/* Breakpoints as custom media queries (PostCSS Custom Media, or browsers that support them) */');
+    lines.push(...customMediaRules(breakpoints.map(entry => ({ name: entry.name, value: getTokenValue(entry.token, defaultMode.resolver) }))));
   }
 
-  // Alias spacing
-  if (spacingAliasTokens) {
-    if (spacingAliasTokens.space) {
-      lines.push('  /* Spacing Aliases */');
-      for (const [name, token] of Object.entries(spacingAliasTokens.space)) {
-        if (name.startsWith('$')) continue;
-        const value = getTokenValue(token, refLookup);
-        lines.push(`  --gap-${name}: ${value};`);
-      }
-      lines.push('');
-    }
-    if (spacingAliasTokens.screen) {
-      lines.push('  /* Screen Spacing */');
-      for (const [name, token] of Object.entries(spacingAliasTokens.screen)) {
-        if (name.startsWith('$')) continue;
-        const value = getTokenValue(token, refLookup);
-        lines.push(`  --screen-${name}: ${value};`);
-      }
-      lines.push('');
+  return lines.join('\n');
+}
+
+// Resolved values for tokens.js; mode tokens carry their value in every mode
+function moduleEntries({ sections, modes, names }) {
+  // JSDoc @deprecated text for tokens.d.ts
+  const deprecated = ({ deprecated: d }) => (d
+    ? { deprecated: [d.replacedBy && `Use ${names.get(d.replacedBy)}.`, d.message].filter(Boolean).join(' ') || 'No replacement.' }
+    : {});
+  const entries = new Map();
+  for (const entry of sections.flatMap(section => section.entries)) {
+    entries.set(entry.name, { name: entry.name, segments: entry.segments, value: String(getTokenValue(entry.token, modes[0].resolver)), ...deprecated(entry) });
+  }
+  for (const mode of modes) {
+    for (const entry of mode.entries) {
+      const value = String(getTokenValue(entry.token, mode.resolver));
+      const existing = entries.get(entry.name) || { name: entry.name, segments: entry.segments, value, modes: {}, ...deprecated(entry) };
+      existing.modes[mode.name] = value;
+      entries.set(entry.name, existing);
     }
   }
+  return [...entries.values()];
+}
+
+// Regenerate the main.css token block (project overrides never apply to main.css).
+// main.css only knows light and dark; each mode file overrides :root as written.
+function generateMainBlock(modes) {
+  const colors = readTokenFile(BASE_TOKENS_DIR, 'colors.tokens.json');
+  const resolvers = modeResolvers(modes, null);
+  const [light, dark] = ['light', 'dark'].map(name => modes.find(mode => mode.name === name));
+  return generateMainVariables({
+    colors,
+    motion: foundationTokens(readSharedSources(config), naming).motion,
+    light: { tokens: light.own, resolver: resolvers.get('light') },
+    dark: { tokens: dark?.own || {}, resolver: resolvers.get(dark ? 'dark' : 'light') },
+  });
+}
+
+function checkMain(modes) {
+  const block = generateMainBlock(modes);
+  const drift = checkMainCss(fs.readFileSync(MAIN_CSS_PATH, 'utf-8'), block);
+  if (!drift) {
+    console.log('· main.css has no @generated-tokens block yet; `npm run build:tokens -- --sync-main` adds it');
+    return;
+  }
+  if (drift.length) {
+    console.error(`✗ main.css has drifted from the token JSON (${drift.length}):`);
+    for (const line of drift) console.error(`  ${line}`);
+    console.error('\n  Run `npm run build:tokens -- --sync-main` to regenerate it.');
+    process.exit(1);
+  }
+  console.log('✓ main.css token block matches the token JSON');
+}
 
-  // Alias radius
-  if (radiusAliasTokens && radiusAliasTokens.container) {
-    lines.push('  /* Radius */');
-    for (const [name, token] of Object.entries(radiusAliasTokens.container)) {
-      if (name.startsWith('$')) continue;
-      const value = getTokenValue(token, refLookup);
-      lines.push(`  --radius-${name}: ${value};`);
+// Every token file with source positions, in resolver order
+function readValidationSources(modes, brands) {
+  const dirs = { base: BASE_TOKENS_DIR, alias: ALIAS_TOKENS_DIR };
+  const sources = [];
+  for (const [layer, filename] of SHARED_TOKEN_FILES) {
+    const source = readTokenSource(path.join(dirs[layer], filename), `${layer}/${filename}`);
+    if (source) sources.push(source);
+  }
+  for (const mode of modes) {
+    const source = readTokenSource(path.join(ALIAS_TOKENS_DIR, `${mode.name}.tokens.json`), mode.file);
+    if (source) sources.push({ ...source, mode: true });
+  }
+  if (projectOverridesPath && fs.existsSync(projectOverridesPath)) {
+    sources.push({ ...readTokenSource(projectOverridesPath, path.basename(projectOverridesPath)), mode: true, overrides: true });
+  }
+  for (const brand of brands) {
+    sources.push({ ...readTokenSource(brand.overridesPath, brandOverridesLabel(brand)), mode: true, overrides: true });
+  }
+  return sources;
+}
+
+// --check: schema problems plus unresolved / circular references, then contrast
+function check(sources, modes, contrast) {
+  const issues = validateTokenSources(sources, naming);
+  // The token files alone, then under each overrides file; shared problems are reported once
+  const referenceProblems = new Map();
+  for (const overrides of [null, ...sources.filter(source => source.overrides)]) {
+    try {
+      modeResolvers(modes, overrides);
+    } catch (error) {
+      if (!(error instanceof TokenReferenceError)) throw error;
+      for (const issue of referenceIssues(error.problems, sources)) referenceProblems.set(formatIssue(issue), issue);
     }
-    lines.push('');
   }
+  issues.push(...referenceProblems.values());
 
-  // UI tokens (light mode default)
-  lines.push('  /* UI Colors (light) */');
-  for (const { name, token } of lightFlat) {
-    const value = getTokenValue(token, refLookup);
-    lines.push(`  --${name}: ${value};`);
+  if (issues.length) {
+    console.error(`✗ ${issues.length} token problem${issues.length === 1 ? '' : 's'}:`);
+    for (const issue of issues) console.error(formatIssue(issue));
+    process.exit(1);
   }
+  const count = sources.reduce((sum, { tokens }) => sum + collectTokens(tokens).length, 0);
+  console.log(`✓ ${sources.length} token files valid (${count} tokens)`);
+  const model = buildModel(modes, null);
+  warnDeprecations(sources, model.names);
+  auditModels([{ model }], contrast);
+}
 
-  lines.push('}');
-  lines.push('');
+// Deprecated tokens, and tokens (overrides included) still referencing them
+function warnDeprecations(sources, names) {
+  const { deprecated, references } = deprecationWarnings(sources, tokenPath => names.get(tokenPath) || tokenPath);
+  if (deprecated.length) {
+    console.log(`⚠ ${deprecated.length} deprecated token${deprecated.length === 1 ? '' : 's'}:`);
+    for (const issue of deprecated) console.log(formatIssue(issue));
+  }
+  if (references.length) {
+    console.log(`⚠ ${references.length} reference${references.length === 1 ? '' : 's'} to deprecated tokens:`);
+    for (const issue of references) console.log(formatIssue(issue));
+  }
+}
 
-  // Dark mode
-  lines.push('[data-theme="dark"] {');
-  lines.push('  /* UI Colors (dark) */');
-  for (const { name, token } of darkFlat) {
-    const value = getTokenValue(token, refLookup);
-    lines.push(`  --${name}: ${value};`);
+// Contrast of the declared pairs in every mode of every model; brand models prefix their modes
+function auditModels(models, contrast) {
+  if (contrast.level === 'off') return;
+  const modes = models.flatMap(({ model, brand }) => model.modes.map(mode => ({
+    name: brand ? `${brand.name}/${mode.name}` : mode.name,
+    colors: resolveColors(mode.entries, mode.resolver),
+  })));
+  const results = auditContrast(modes, contrast);
+  if (!results.length) return;
+  const failures = results.filter(result => !result.pass);
+  if (!failures.length) {
+    console.log(`✓ Contrast: ${results.length} pairs pass in ${modes.length} modes`);
+    return;
   }
-  lines.push('}');
+  if (contrast.level === 'error') throw new ContrastError(failures);
+  console.log(`⚠ Contrast: ${failures.length} of ${results.length} pairs below threshold:`);
+  for (const failure of failures) console.log(formatContrast(failure));
+}
 
-  return lines.join('\n');
+function brandOverridesLabel(brand) {
+  return path.relative(process.cwd(), brand.overridesPath);
+}
+
+// What the project overrides change, compared with the token files alone
+function reportOverrides(modes, overrides, model, contrast) {
+  const base = buildModel(modes, null);
+  const knownPaths = new Set([
+    ...base.names.keys(),
+    ...readSharedSources(config).flatMap(source => collectTokens(source.tokens).map(entry => entry.path)),
+  ]);
+  const report = overrideImpact(base, model, overrides, knownPaths, contrast.level === 'off' ? null : contrast.pairs);
+  console.log(formatImpact(report).join('\n') + '\n');
+
+  if (overrideReportPath) {
+    const html = path.extname(overrideReportPath) === '.html';
+    fs.writeFileSync(overrideReportPath, html ? impactHTML(report) : JSON.stringify(report, null, 2) + '\n');
+    console.log(`✓ Override report: ${path.relative(process.cwd(), overrideReportPath)}\n`);
+  }
+}
+
+// One model per brand in the manifest, each over its own overrides file
+function buildBrandModels(modes, brands) {
+  return brands.map(brand => {
+    const tokens = readTokenFile(path.dirname(brand.overridesPath), path.basename(brand.overridesPath));
+    return { brand, overridden: collectTokens(tokens).length, model: buildModel(modes, { file: brandOverridesLabel(brand), tokens }) };
+  });
+}
+
+function writeBrands(brandModels) {
+  console.log('');
+  for (const { brand, overridden, model, css } of brandModels) {
+    const cssPath = path.join(DIST_DIR, 'brands', brand.name, 'tokens.css');
+    fs.mkdirSync(path.dirname(cssPath), { recursive: true });
+    fs.writeFileSync(cssPath, css);
+    const scope = brand.scope ? `, scoped to [data-brand="${brand.name}"]` : '';
+    console.log(`✓ Brand ${brand.name}: ${path.relative(process.cwd(), cssPath)} (${model.names.size} tokens, ${overridden} overridden${scope})`);
+  }
+}
+
+function readJSONArg(flag, filePath) {
+  if (!fs.existsSync(filePath)) throw new Error(`${flag}: file not found: ${filePath}`);
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// Write imported token files (keyed by label) into the token directories
+function importTokens() {
+  const known = new Set(SHARED_TOKEN_FILES.map(([layer, filename]) => `${layer}/${filename.replace(/\.tokens\.json$/, '')}`));
+  // Any other alias file is a mode, unless tokens.modes lists them
+  const isMode = label => label.startsWith('alias/') && (!config.tokens.modes || label.slice('alias/'.length) in config.tokens.modes);
+  const imports = [
+    [importFigmaPath, '--import-figma', importFigmaVariables],
+    [importTokensStudioPath, '--import-tokens-studio', importTokensStudio],
+  ];
+  for (const [filePath, flag, importer] of imports) {
+    if (!filePath) continue;
+    const { files, warnings } = importer(readJSONArg(flag, filePath), config.tokens.importMap);
+    for (const warning of warnings) console.warn(`  ⚠ ${warning}`);
+    for (const [label, tokens] of Object.entries(files)) {
+      const target = tokenFilePath(config, label);
+      writeTokenFile(target, tokens);
+      console.log(`✓ Imported: ${label} → ${path.relative(process.cwd(), target)} (${collectTokens(tokens).length} tokens)`);
+      if (!known.has(label) && !isMode(label)) console.warn(`  ⚠ ${label} is not read by the build — map it in tokens.importMap`);
+    }
+  }
+  console.log('');
+}
+
+// Replace each configured family in base/colors, keeping every other family in place
+function generateRamps() {
+  const ramps = readRamps(config.tokens.ramps);
+  if (!ramps.length) throw new Error('--generate-ramps: no ramps configured (tokens.ramps in heavy.config.js)');
+  const target = tokenFilePath(config, 'base/colors');
+  const colors = fs.existsSync(target) ? JSON.parse(fs.readFileSync(target, 'utf-8')) : {};
+  for (const ramp of ramps) {
+    const stops = generateRamp(ramp);
+    colors[ramp.name] = rampTokens(ramp, stops);
+    const mapped = stops.filter(stop => stop.mapped).length;
+    console.log(`✓ Ramp: ${ramp.name} from ${ramp.seed} (${stops.length} stops${mapped ? `, ${mapped} gamut mapped` : ''})`);
+  }
+  writeTokenFile(target, colors);
+  console.log(`✓ Wrote ${path.relative(process.cwd(), target)}\n`);
+}
+
+// Shared files are single-mode; the theme modes are the modes of one "Theme"
+function exportTokens(modes) {
+  const resolvers = modeResolvers(modes, null);
+  const defaultResolver = resolvers.get(modes[0].name);
+  const shared = readSharedSources(config).map(({ file, tokens }) => ({ label: file.replace(/\.tokens\.json$/, ''), tokens }));
+
+  if (exportFigmaPath) {
+    // Figma modes can't inherit, so each one carries its full token set
+    const themeModes = modes.map(mode => ({
+      name: mode.name.charAt(0).toUpperCase() + mode.name.slice(1),
+      tokens: mode.tokens,
+      resolver: resolvers.get(mode.name),
+    }));
+    const { data, warnings } = exportFigmaVariables([
+      ...shared.map(({ label, tokens }) => ({ name: label, modes: [{ name: 'Value', tokens, resolver: defaultResolver }] })),
+      { name: 'Theme', modes: themeModes },
+    ]);
+    for (const warning of warnings) console.warn(`  ⚠ ${warning}`);
+    fs.writeFileSync(exportFigmaPath, JSON.stringify(data, null, 2) + '\n');
+    console.log(`✓ Exported Figma variables: ${path.relative(process.cwd(), exportFigmaPath)} (${Object.keys(data.meta.variables).length} variables)`);
+  }
+
+  if (exportTokensStudioPath) {
+    const data = exportTokensStudio(shared, modes.map(mode => ({
+      name: mode.name,
+      label: mode.file.replace(/\.tokens\.json$/, ''),
+      tokens: mode.own,
+      sets: modeChain(modes, mode).map(m => m.file.replace(/\.tokens\.json$/, '')),
+    })));
+    fs.writeFileSync(exportTokensStudioPath, JSON.stringify(data, null, 2) + '\n');
+    console.log(`✓ Exported Tokens Studio: ${path.relative(process.cwd(), exportTokensStudioPath)} (${data.$metadata.tokenSetOrder.length} sets)`);
+  }
 }
 
 function main() {
@@ -262,27 +672,79 @@ function main() {
       fs.mkdirSync(DIST_DIR, { recursive: true });
     }
 
+    if (importFigmaPath || importTokensStudioPath) {
+      importTokens();
+    }
+
+    if (generateRampsMode) {
+      generateRamps();
+    }
+
     // Read token files
-    const lightTokens = readTokenFile(ALIAS_TOKENS_DIR, 'light.tokens.json') || {};
-    const darkTokens = readTokenFile(ALIAS_TOKENS_DIR, 'dark.tokens.json') || {};
+    const modes = readModes(config);
+    const brands = brandsManifest ? readBrands(brandsManifest, path.dirname(config.configPath || '.')) : [];
+    const sources = readValidationSources(modes, brands);
+    const contrast = contrastOptions(config.tokens.contrast, contrastLevel);
+
+    if (checkMode || checkMainMode) {
+      if (checkMode) check(sources, modes, contrast);
+      if (checkMainMode) checkMain(modes);
+      return;
+    }
+
+    const issues = validateTokenSources(sources, naming);
+    if (issues.length) throw new TokenValidationError(issues);
+
+    if (exportFigmaPath || exportTokensStudioPath) {
+      exportTokens(modes);
+      return;
+    }
 
     // Read project overrides if specified
     let overrides = null;
     if (projectOverridesPath && fs.existsSync(projectOverridesPath)) {
-      overrides = JSON.parse(fs.readFileSync(projectOverridesPath, 'utf-8'));
+      overrides = { file: path.basename(projectOverridesPath), tokens: JSON.parse(fs.readFileSync(projectOverridesPath, 'utf-8')) };
       console.log(`✓ Loaded project overrides from: ${projectOverridesPath}`);
     }
 
-    // Generate CSS
-    const css = generateCSS(lightTokens, darkTokens, overrides);
+    // Generate CSS (every brand is resolved first, so a broken brand writes nothing)
+    const model = buildModel(modes, overrides);
+    const brandModels = buildBrandModels(modes, brands);
+    if (overrides) {
+      reportOverrides(modes, overrides, model, contrast);
+    }
+    warnDeprecations(sources, model.names);
+    auditModels([{ model }, ...brandModels], contrast);
+    console.log('');
+
+    // Every output is built before the first write, so a failure leaves dist/ as it was
+    const css = generateCSS(model);
+    const { js, dts } = generateTokenModule(moduleEntries(model), modes.map(mode => mode.name));
+    const brandOutputs = brandModels.map(brandModel => ({ ...brandModel, css: generateCSS(brandModel.model, brandModel.brand) }));
+    const mainCss = syncMainMode ? syncMainCss(fs.readFileSync(MAIN_CSS_PATH, 'utf-8'), generateMainBlock(modes)) : null;
+
     const cssPath = path.join(DIST_DIR, 'tokens.css');
     fs.writeFileSync(cssPath, css);
     console.log(`✓ Generated: ${path.relative(process.cwd(), cssPath)}`);
 
+    // JS module + type declarations
+    const jsPath = path.join(DIST_DIR, 'tokens.js');
+    fs.writeFileSync(jsPath, js);
+    fs.writeFileSync(path.join(DIST_DIR, 'tokens.d.ts'), dts);
+    console.log(`✓ Generated: ${path.relative(process.cwd(), jsPath)} (+ tokens.d.ts)`);
+
+    if (brandOutputs.length) {
+      writeBrands(brandOutputs);
+    }
+
+    if (mainCss) {
+      fs.writeFileSync(MAIN_CSS_PATH, mainCss);
+      console.log(`✓ Synced: ${path.relative(process.cwd(), MAIN_CSS_PATH)} (token block)`);
+    }
+
     // Count tokens
-    const lightCount = flattenTokens(lightTokens).length;
-    const darkCount = flattenTokens(darkTokens).length;
-    console.log(`\n  UI tokens: ${lightCount} (light) / ${darkCount} (dark)`);
+    const counts = modes.map(mode => `${flattenTokens(mode.own).length} (${mode.name})`);
+    console.log(`\n  UI tokens: ${counts.join(' / ')}`);
 
   } catch (error) {
     console.error('Error building tokens:', error.message);
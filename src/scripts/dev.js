@@ -43,6 +43,10 @@ function onChange(filepath) {
       run('npm run build:tokens', 'build:tokens');
     } else if (rel.startsWith('scripts/build-themes')) {
       run('npm run build:themes', 'build:themes');
+    } else if (rel.startsWith('scripts/build-styles')) {
+      run('npm run build:styles', 'build:styles');
+    } else if (rel.startsWith('scripts/lib')) {
+      run('npm run build', 'build');
     } else if (rel.startsWith('themes')) {
       run('npm run build:themes', 'build:themes');
     }
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Diff Token Snapshots
+ *
+ * Reports what changed between two versions of the token files — added,
+ * removed, renamed, retyped, deprecated and value-changed tokens, per
+ * mode — and suggests a semver bump (see lib/diff.js).
+ *
+ * Each snapshot is a token directory (containing base/ and alias/) or a
+ * git revision of the tokens repo; the second defaults to the current
+ * token files. --changelog adds the release to the token changelog
+ * (`tokens.changelog`, default <tokensDir>/CHANGELOG.md), which the
+ * style guide renders as its Changelog page (see lib/changelog.js).
+ *
+ * Usage: npm run diff:tokens -- v1.2.0
+ *        npm run diff:tokens -- v1.2.0 HEAD
+ *        npm run diff:tokens -- ../tokens-old ../tokens-new
+ *        npm run diff:tokens -- v1.2.0 --changelog --release=1.3.0
+ *        npm run diff:tokens -- v1.2.0 --changelog=CHANGELOG.md
+ *        npm run diff:tokens -- v1.2.0 --json
+ */
+
+import path from 'path';
+import { loadConfig, getArg } from './lib/config.js';
+import { createNaming } from './lib/naming.js';
+import { checkoutSnapshot, readSnapshot, diffSnapshots, suggestBump, bumpVersion } from './lib/diff.js';
+import { changelogEntry, prependChangelog } from './lib/changelog.js';
+
+const args = process.argv.slice(2);
+const config = await loadConfig(args);
+const naming = createNaming(config.tokens.naming);
+
+const [fromSpec, toSpec] = args.filter(arg => !arg.startsWith('--'));
+const changelogArg = getArg(args, '--changelog');
+const changelogPath = changelogArg === true ? config.tokens.changelog : changelogArg && path.resolve(changelogArg);
+const releaseArg = getArg(args, '--release');
+const jsonMode = Boolean(getArg(args, '--json'));
+
+const KIND_LABELS = {
+  removed: 'removed',
+  renamed: 'renamed',
+  retyped: 'type changed',
+  added: 'added',
+  deprecated: 'deprecated',
+  changed: 'value changed',
+};
+
+function summary(diff) {
+  const counts = Object.entries(KIND_LABELS)
+    .map(([kind, label]) => [diff.changes.filter(change => change.kind === kind).length, label])
+    .filter(([count]) => count)
+    .map(([count, label]) => `${count} ${label}`);
+  if (diff.modesAdded.length) counts.push(`mode${diff.modesAdded.length === 1 ? '' : 's'} added: ${diff.modesAdded.join(', ')}`);
+  if (diff.modesRemoved.length) counts.push(`mode${diff.modesRemoved.length === 1 ? '' : 's'} removed: ${diff.modesRemoved.join(', ')}`);
+  return counts;
+}
+
+function main() {
+  if (!fromSpec) {
+    console.error('Usage: npm run diff:tokens -- <from> [<to>]   (token directories or git revisions)');
+    process.exit(1);
+  }
+
+  const snapshots = [];
+  try {
+    const from = checkoutSnapshot(fromSpec, config.tokensDir);
+    snapshots.push(from);
+    const to = toSpec
+      ? checkoutSnapshot(toSpec, config.tokensDir)
+      : { dir: config.tokensDir, label: 'working tree', cleanup: () => {} };
+    snapshots.push(to);
+
+    const diff = diffSnapshots(readSnapshot(config, from.dir, naming), readSnapshot(config, to.dir, naming));
+    const bump = suggestBump(diff);
+
+    if (jsonMode) {
+      console.log(JSON.stringify({ from: from.label, to: to.label, bump, ...diff }, null, 2));
+    } else {
+      console.log(`Token changes ${from.label} → ${to.label}:\n`);
+      const counts = summary(diff);
+      console.log(counts.length ? counts.map(line => `  ${line}`).join('\n') : '  none');
+      console.log(`\n  Suggested bump: ${bump || 'none'}${bumpVersion(fromSpec, bump) ? ` (${fromSpec} → ${bumpVersion(fromSpec, bump)})` : ''}`);
+    }
+
+    if (changelogPath) {
+      const release = releaseArg && releaseArg !== true ? releaseArg : bumpVersion(fromSpec, bump) || 'Unreleased';
+      const date = new Date().toISOString().slice(0, 10);
+      prependChangelog(changelogPath, changelogEntry(diff, { release, date, bump, from: from.label, to: to.label }));
+      console.log(`\n✓ Changelog: ${path.relative(process.cwd(), changelogPath)} (${release})`);
+    }
+  } catch (error) {
+    console.error('Error diffing tokens:', error.message);
+    process.exitCode = 1;
+  } finally {
+    for (const snapshot of snapshots) snapshot.cleanup();
+  }
+}
+
+main();
@@ -0,0 +1,57 @@
+/**
+ * Brands Manifest
+ *
+ * Lists the products built from one token set, each with its own project
+ * overrides file. `build-tokens.js --brands=brands.json` writes
+ * dist/brands/<brand>/tokens.css for every entry:
+ *
+ *   {
+ *     "keith-slides": "keith-slides/alias-overrides.json",
+ *     "notes-plugin": { "overrides": "notes/alias-overrides.json", "scope": true }
+ *   }
+ *
+ * Override paths resolve against the manifest file. With `scope: true` the
+ * brand's tokens apply under [data-brand="<brand>"] instead of :root, so
+ * several brands' stylesheets can coexist on one page.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const BRAND_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Read a brands manifest.
+ *
+ * @param {string|object} manifest - Path to the manifest JSON, or the manifest itself
+ * @param {string} baseDir - Where relative override paths resolve when `manifest` is an object
+ * @returns {{ name: string, overridesPath: string, scope: boolean }[]}
+ */
+export function readBrands(manifest, baseDir) {
+  if (typeof manifest === 'string') {
+    if (!fs.existsSync(manifest)) throw new Error(`Brands manifest not found: ${manifest}`);
+    return readBrands(JSON.parse(fs.readFileSync(manifest, 'utf-8')), path.dirname(manifest));
+  }
+  const brands = Object.entries(manifest || {}).filter(([name]) => !name.startsWith('$'));
+  if (!brands.length) throw new Error('Brands manifest lists no brands');
+
+  return brands.map(([name, entry]) => {
+    if (!BRAND_NAME.test(name)) throw new Error(`Brand "${name}": names may only use letters, digits, - and _`);
+    const options = typeof entry === 'string' ? { overrides: entry } : entry || {};
+    if (typeof options.overrides !== 'string') throw new Error(`Brand "${name}": needs an "overrides" file`);
+    const overridesPath = path.resolve(baseDir, options.overrides);
+    if (!fs.existsSync(overridesPath)) throw new Error(`Brand "${name}": overrides file not found: ${overridesPath}`);
+    return { name, overridesPath, scope: Boolean(options.scope) };
+  });
+}
+
+/**
+ * Scope a tokens.css selector to one brand. `:root` becomes the brand
+ * attribute; a mode selector matches the brand and the mode on the same
+ * element or either one inside the other.
+ */
+export function brandSelector(selector, brand) {
+  const attr = `[data-brand="${brand}"]`;
+  if (selector === ':root') return attr;
+  return [`${attr}${selector}`, `${selector} ${attr}`, `${attr} ${selector}`].join(',\n');
+}
@@ -0,0 +1,131 @@
+/**
+ * Token Changelog
+ *
+ * Markdown release notes from a token diff (see lib/diff.js), newest
+ * release first under one title, and the HTML the style guide's Changelog
+ * page renders from them:
+ *
+ *   # Token Changelog
+ *
+ *   ## 1.3.0 — 2026-10-19
+ *
+ *   Suggested bump: **minor** (v1.2.0 → working tree)
+ *
+ *   ### Added
+ *   - `--hds-bg-card` (light, dark)
+ */
+
+import fs from 'fs';
+import { SHARED_SCOPE } from './diff.js';
+
+const TITLE = '# Token Changelog';
+
+// Changelog sections in order, and the change kinds each lists
+const SECTIONS = [
+  ['Breaking', ['removed', 'renamed', 'retyped']],
+  ['Added', ['added']],
+  ['Deprecated', ['deprecated']],
+  ['Changed', ['changed']],
+];
+
+const code = value => `\`${String(value).replace(/`/g, "'")}\``;
+
+// "(light, dark)" for mode tokens; shared tokens apply everywhere
+function scopeNote(scopes) {
+  const modes = scopes.filter(scope => scope !== SHARED_SCOPE);
+  return modes.length ? ` (${modes.join(', ')})` : '';
+}
+
+function changeLine(change) {
+  switch (change.kind) {
+    case 'removed': return `Removed ${code(change.name)}${scopeNote(change.scopes)}`;
+    case 'renamed': return `Renamed ${code(change.name)} → ${code(change.toName)}${scopeNote(change.scopes)}`;
+    case 'retyped': return `${code(change.name)} changed type: ${change.before} → ${change.after}`;
+    case 'added': return `${code(change.name)}${scopeNote(change.scopes)}`;
+    case 'deprecated': return `${code(change.name)}${scopeNote(change.scopes)}`;
+    default: {
+      const values = Object.entries(change.values).map(([scope, { before, after }]) =>
+        `${scope === SHARED_SCOPE ? '' : `${scope} `}${code(before)} → ${code(after)}`);
+      return `${code(change.name)}: ${values.join('; ')}`;
+    }
+  }
+}
+
+/**
+ * Markdown for one release.
+ *
+ * @param {object} diff - From diffSnapshots()
+ * @param {{ release: string, date: string, bump: string|null, from: string, to: string }} info
+ */
+export function changelogEntry(diff, { release, date, bump, from, to }) {
+  const lines = [`## ${release} — ${date}`, ''];
+  lines.push(bump ? `Suggested bump: **${bump}** (${from} → ${to})` : `No token changes (${from} → ${to})`);
+
+  const modeLines = [
+    ...diff.modesRemoved.map(mode => ['Breaking', `Removed mode ${code(mode)}`]),
+    ...diff.modesAdded.map(mode => ['Added', `Mode ${code(mode)}`]),
+  ];
+  for (const [heading, kinds] of SECTIONS) {
+    const items = [
+      ...modeLines.filter(([section]) => section === heading).map(([, line]) => line),
+      ...diff.changes.filter(change => kinds.includes(change.kind)).map(changeLine),
+    ];
+    if (!items.length) continue;
+    lines.push('', `### ${heading}`, ...items.map(item => `- ${item}`));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Add a release at the top of a changelog file, creating it if needed.
+ */
+export function prependChangelog(filePath, entry) {
+  const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : `${TITLE}\n`;
+  const [title, ...rest] = existing.split('\n');
+  const body = rest.join('\n').replace(/^\n+/, '');
+  fs.writeFileSync(filePath, `${title}\n\n${entry}${body ? `\n${body}` : ''}`);
+}
+
+function inline(text, esc) {
+  return esc(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+}
+
+/**
+ * The changelog's releases as HTML: one `{ title, html }` per `## ` heading.
+ * Only the Markdown changelogEntry() writes is understood.
+ *
+ * @param {string} markdown
+ * @param {(text: string) => string} esc - HTML escaper
+ */
+export function renderChangelog(markdown, esc) {
+  const releases = [];
+  let list = false;
+  const close = () => {
+    if (list) releases[releases.length - 1].html.push('</ul>');
+    list = false;
+  };
+  for (const line of markdown.split('\n')) {
+    if (line.startsWith('## ')) {
+      close();
+      releases.push({ title: line.slice(3).trim(), html: [] });
+      continue;
+    }
+    const release = releases[releases.length - 1];
+    if (!release || !line.trim()) continue;
+    if (line.startsWith('### ')) {
+      close();
+      release.html.push(`<h4>${inline(line.slice(4).trim(), esc)}</h4>`);
+    } else if (line.startsWith('- ')) {
+      if (!list) release.html.push('<ul>');
+      list = true;
+      release.html.push(`<li>${inline(line.slice(2), esc)}</li>`);
+    } else {
+      close();
+      release.html.push(`<p>${inline(line, esc)}</p>`);
+    }
+  }
+  close();
+  return releases.map(release => ({ title: release.title, html: release.html.join('\n') }));
+}
@@ -0,0 +1,305 @@
+/**
+ * Color Helpers
+ *
+ * Conversions between the color shapes the pipeline meets: CSS hex and
+ * rgb() strings, Figma `{ r, g, b, a }`, and the DTCG color object the
+ * base token files use:
+ *
+ *   { colorSpace: 'srgb', components: [0.4, 0.4, 0.4], alpha: 1, hex: '#666666' }
+ *
+ * Colors may also be declared wide-gamut, as a `display-p3` or `oklch`
+ * color object (components `[L, C, H]`) or an `oklch()` /
+ * `color(display-p3 …)` string. parseColor() always returns sRGB: the
+ * object's `hex` when it has one, otherwise the color gamut mapped into
+ * sRGB. parseColorSpace() keeps the declared space.
+ */
+
+const round = n => Math.round(n * 10000) / 10000;
+
+/**
+ * Components (0–1) → `#RRGGBB`, uppercase.
+ */
+export function componentsToHex(components) {
+  const toHex = c => Math.round(c * 255).toString(16).padStart(2, '0').toUpperCase();
+  return `#${components.slice(0, 3).map(toHex).join('')}`;
+}
+
+/**
+ * DTCG color object from sRGB components (0–1).
+ */
+export function colorValue(components, alpha = 1) {
+  const rounded = components.slice(0, 3).map(round);
+  return { colorSpace: 'srgb', components: rounded, alpha: round(alpha), hex: componentsToHex(rounded) };
+}
+
+// Color spaces a DTCG color object may declare
+export const COLOR_SPACES = ['srgb', 'display-p3', 'oklch'];
+
+const parseAlpha = a => (a === undefined ? 1 : a.endsWith('%') ? parseFloat(a) / 100 : parseFloat(a));
+
+function parseWideString(value) {
+  const oklch = value.trim().match(/^oklch\(\s*([\d.]+)(%?)\s+([\d.]+)\s+([\d.]+)(?:deg)?\s*(?:\/\s*([\d.]+%?))?\s*\)$/i);
+  if (oklch) {
+    const L = parseFloat(oklch[1]) / (oklch[2] ? 100 : 1);
+    return { colorSpace: 'oklch', components: [L, parseFloat(oklch[3]), parseFloat(oklch[4])], alpha: parseAlpha(oklch[5]) };
+  }
+  const p3 = value.trim().match(/^color\(\s*display-p3\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)\s*(?:\/\s*([\d.]+%?))?\s*\)$/i);
+  if (p3) return { colorSpace: 'display-p3', components: p3.slice(1, 4).map(parseFloat), alpha: parseAlpha(p3[4]) };
+  return null;
+}
+
+/**
+ * Parse any supported color into `{ colorSpace, components, alpha }` in
+ * its declared color space, or null (also for an unknown `colorSpace`).
+ */
+export function parseColorSpace(value) {
+  if (value && typeof value === 'object' && Array.isArray(value.components) && value.colorSpace && value.colorSpace !== 'srgb') {
+    if (!COLOR_SPACES.includes(value.colorSpace)) return null;
+    return { colorSpace: value.colorSpace, components: value.components, alpha: value.alpha ?? 1 };
+  }
+  const wide = typeof value === 'string' ? parseWideString(value) : null;
+  if (wide) return wide;
+  const srgb = parseSrgb(value);
+  return srgb && { colorSpace: 'srgb', ...srgb };
+}
+
+/**
+ * Parse any supported color into sRGB `{ components, alpha }`, or null.
+ * Accepts DTCG color objects, Figma `{ r, g, b, a }`, `#RGB`, `#RRGGBB`,
+ * `#RRGGBBAA`, `rgb()` / `rgba()`, `oklch()` and `color(display-p3 …)` strings.
+ */
+export function parseColor(value) {
+  const color = parseColorSpace(value);
+  if (!color || color.colorSpace === 'srgb') return color && { components: color.components, alpha: color.alpha };
+  // A wide-gamut color object's hex is its sRGB fallback
+  if (typeof value.hex === 'string') return parseSrgb(value.hex);
+  return { components: toSrgb(color), alpha: color.alpha };
+}
+
+function parseSrgb(value) {
+  if (value && typeof value === 'object') {
+    if (Array.isArray(value.components)) return { components: value.components, alpha: value.alpha ?? 1 };
+    if (typeof value.hex === 'string') return parseSrgb(value.hex);
+    if ('r' in value && 'g' in value && 'b' in value) {
+      return { components: [value.r, value.g, value.b], alpha: value.a ?? 1 };
+    }
+    return null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const hex = value.trim().match(/^#([0-9a-f]{3,8})$/i);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length === 3 || digits.length === 4) digits = [...digits].map(d => d + d).join('');
+    if (digits.length !== 6 && digits.length !== 8) return null;
+    const bytes = digits.match(/../g).map(b => parseInt(b, 16) / 255);
+    return { components: bytes.slice(0, 3), alpha: bytes.length === 4 ? round(bytes[3]) : 1 };
+  }
+
+  const rgb = value.trim().match(/^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i);
+  if (rgb) {
+    return { components: [rgb[1], rgb[2], rgb[3]].map(c => parseFloat(c) / 255), alpha: parseAlpha(rgb[4]) };
+  }
+
+  return null;
+}
+
+/**
+ * Color → `#RRGGBB`, or `#RRGGBBAA` when translucent.
+ */
+export function toHexString(value) {
+  const color = parseColor(value);
+  if (!color) return null;
+  const hex = componentsToHex(color.components);
+  if (color.alpha >= 1) return hex;
+  return hex + Math.round(color.alpha * 255).toString(16).padStart(2, '0').toUpperCase();
+}
+
+// sRGB channel (0–1) → linear light, and back (sign kept for out-of-gamut values)
+const linear = c => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+const gamma = c => (Math.abs(c) <= 0.0031308 ? c * 12.92 : Math.sign(c) * (1.055 * Math.abs(c) ** (1 / 2.4) - 0.055));
+
+/**
+ * sRGB components (0–1) → OKLCH `[L, C, H]`: lightness 0–1, chroma, hue in degrees.
+ */
+export function toOklch(components) {
+  return linearToOklch(components.map(linear));
+}
+
+function linearToOklch([r, g, b]) {
+  const [l, m, s] = [
+    0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b,
+    0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b,
+    0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b,
+  ].map(Math.cbrt);
+  const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  const A = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  const B = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+  const C = Math.hypot(A, B);
+  // Grays have no meaningful hue
+  const H = C < 1e-4 ? 0 : (Math.atan2(B, A) * 180 / Math.PI + 360) % 360;
+  return [L, C, H];
+}
+
+/**
+ * OKLCH `[L, C, H]` → sRGB components. Colors outside sRGB come back with
+ * components below 0 or above 1 (see gamutMap()).
+ */
+export function fromOklch([L, C, H]) {
+  const hue = H * Math.PI / 180;
+  const A = C * Math.cos(hue);
+  const B = C * Math.sin(hue);
+  const [l, m, s] = [
+    L + 0.3963377774 * A + 0.2158037573 * B,
+    L - 0.1055613458 * A - 0.0638541728 * B,
+    L - 0.0894841775 * A - 1.2914855480 * B,
+  ].map(c => c ** 3);
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+  ].map(gamma);
+}
+
+// Just-noticeable difference and search precision for gamut mapping
+const JND = 0.02;
+const EPSILON = 0.0001;
+
+const inGamut = components => components.every(c => c >= -EPSILON && c <= 1 + EPSILON);
+const clip = components => components.map(c => Math.min(1, Math.max(0, c)));
+
+function deltaEOK([L1, C1, H1], [L2, C2, H2]) {
+  const ab = (C, H) => [C * Math.cos(H * Math.PI / 180), C * Math.sin(H * Math.PI / 180)];
+  const [a1, b1] = ab(C1, H1);
+  const [a2, b2] = ab(C2, H2);
+  return Math.hypot(L1 - L2, a1 - a2, b1 - b2);
+}
+
+/**
+ * OKLCH color → sRGB components, reducing chroma until clipping the color
+ * into sRGB is no longer noticeable (the CSS Color 4 algorithm).
+ *
+ * @returns {{ components: number[], mapped: boolean }}
+ */
+export function gamutMap([L, C, H]) {
+  if (L >= 1) return { components: [1, 1, 1], mapped: C > 0 };
+  if (L <= 0) return { components: [0, 0, 0], mapped: C > 0 };
+  const origin = fromOklch([L, C, H]);
+  if (inGamut(origin)) return { components: clip(origin), mapped: false };
+
+  let clipped = clip(origin);
+  if (deltaEOK(toOklch(clipped), [L, C, H]) < JND) return { components: clipped, mapped: true };
+
+  let min = 0;
+  let max = C;
+  let minInGamut = true;
+  while (max - min > EPSILON) {
+    const chroma = (min + max) / 2;
+    const current = fromOklch([L, chroma, H]);
+    if (minInGamut && inGamut(current)) {
+      min = chroma;
+      continue;
+    }
+    clipped = clip(current);
+    const E = deltaEOK(toOklch(clipped), [L, chroma, H]);
+    if (E < JND) {
+      if (JND - E < EPSILON) break;
+      minInGamut = false;
+      min = chroma;
+    } else {
+      max = chroma;
+    }
+  }
+  return { components: clipped, mapped: true };
+}
+
+// Linear display-p3 → linear sRGB
+const P3_TO_SRGB = [
+  [1.2249401, -0.2249404, 0],
+  [-0.0420569, 1.0420571, 0],
+  [-0.0196376, -0.0786361, 1.0982735],
+];
+
+// sRGB components of a parseColorSpace() color, gamut mapped when it falls outside sRGB
+function toSrgb({ colorSpace, components }) {
+  if (colorSpace === 'oklch') return gamutMap(components).components;
+  const p3 = components.map(linear);
+  const rgb = P3_TO_SRGB.map(row => row.reduce((sum, k, i) => sum + k * p3[i], 0));
+  const encoded = rgb.map(gamma);
+  return inGamut(encoded) ? clip(encoded) : gamutMap(linearToOklch(rgb)).components;
+}
+
+/**
+ * OKLCH `[L, C, H]` → CSS `oklch()` string, e.g. `oklch(0.569 0.215 25.3)`.
+ */
+export function formatOklch([L, C, H], alpha = 1) {
+  const body = `${+L.toFixed(3)} ${+C.toFixed(3)} ${+H.toFixed(1)}`;
+  return alpha >= 1 ? `oklch(${body})` : `oklch(${body} / ${+alpha.toFixed(3)})`;
+}
+
+/**
+ * A wide-gamut parseColorSpace() color → its CSS color function:
+ * `oklch(…)` or `color(display-p3 …)`.
+ */
+export function formatColorSpace({ colorSpace, components, alpha = 1 }) {
+  if (colorSpace === 'oklch') return formatOklch(components, alpha);
+  const body = components.map(c => +c.toFixed(4)).join(' ');
+  return alpha >= 1 ? `color(${colorSpace} ${body})` : `color(${colorSpace} ${body} / ${+alpha.toFixed(3)})`;
+}
+
+/**
+ * WCAG 2.x relative luminance of sRGB components (0–1).
+ */
+export function relativeLuminance(components) {
+  const [r, g, b] = components.map(linear);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// Foreground and background components, a translucent foreground composited over the background
+function composite(foreground, background) {
+  const fg = parseColor(foreground);
+  const bg = parseColor(background);
+  if (!fg || !bg) return null;
+  return [fg.components.map((c, i) => c * fg.alpha + bg.components[i] * (1 - fg.alpha)), bg.components];
+}
+
+/**
+ * WCAG 2.x contrast ratio (1–21) of a foreground on a background, or null
+ * when either isn't a color. A translucent foreground is composited over
+ * the background first.
+ */
+export function contrastRatio(foreground, background) {
+  const pair = composite(foreground, background);
+  if (!pair) return null;
+  const [lighter, darker] = pair.map(relativeLuminance).sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// APCA-W3 0.0.98G constants
+const APCA = {
+  blackThreshold: 0.022, blackClamp: 1.414, deltaYMin: 0.0005, scale: 1.14, offset: 0.027, clip: 0.1,
+  normal: { bg: 0.56, text: 0.57 }, reverse: { bg: 0.65, text: 0.62 },
+};
+
+function apcaLuminance([r, g, b]) {
+  const y = 0.2126729 * r ** 2.4 + 0.7151522 * g ** 2.4 + 0.0721750 * b ** 2.4;
+  return y > APCA.blackThreshold ? y : y + (APCA.blackThreshold - y) ** APCA.blackClamp;
+}
+
+/**
+ * APCA lightness contrast (Lc, about -108 to 106) of text on a background,
+ * or null when either isn't a color. Positive for dark text on light,
+ * negative for light text on dark; compare thresholds against the absolute value.
+ */
+export function apcaContrast(foreground, background) {
+  const pair = composite(foreground, background);
+  if (!pair) return null;
+  const [text, bg] = pair.map(apcaLuminance);
+  if (Math.abs(bg - text) < APCA.deltaYMin) return 0;
+  if (bg > text) {
+    const sapc = (bg ** APCA.normal.bg - text ** APCA.normal.text) * APCA.scale;
+    return sapc < APCA.clip ? 0 : (sapc - APCA.offset) * 100;
+  }
+  const sapc = (bg ** APCA.reverse.bg - text ** APCA.reverse.text) * APCA.scale;
+  return sapc > -APCA.clip ? 0 : (sapc + APCA.offset) * 100;
+}
@@ -0,0 +1,179 @@
+/**
+ * Build Config
+ *
+ * Resolves the paths every build script needs (token sources, dist,
+ * style-guide framework, theme copy targets) from, in order of precedence:
+ *
+ *   1. CLI flags            --tokens-dir=/path
+ *   2. Environment          HDS_TOKENS_DIR=/path
+ *   3. Project config file  heavy.config.js or heavy.config.json
+ *   4. Defaults             (the original ~/Projects layout)
+ *
+ * Relative paths in the config file resolve against the file's directory;
+ * relative paths from flags and env resolve against the working directory.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const ROOT = path.resolve(__dirname, '../../..');
+
+const CONFIG_FILES = ['heavy.config.js', 'heavy.config.json'];
+
+const DEFAULTS = {
+  tokensDir: '~/Projects/design/tokens',
+  baseTokensDir: null,  // defaults to <tokensDir>/base
+  aliasTokensDir: null, // defaults to <tokensDir>/alias
+  distDir: 'dist',
+  styleGuideDir: '../style-guide',
+  tokens: {
+    outputReferences: false, // emit aliases as var() chains (see build-tokens.js)
+    naming: 'legacy',        // custom property naming preset or options (see lib/naming.js)
+    importMap: {},           // Figma collection / Tokens Studio set → token file label
+    modes: null,             // theme modes; null discovers them from the alias dir (see lib/modes.js)
+    brands: null,            // brands manifest path, or the manifest itself (see lib/brands.js)
+    contrast: null,          // contrast audit pairs and thresholds (see lib/contrast.js)
+    ramps: null,             // base color families generated from seed colors (see lib/ramp.js)
+    changelog: null,         // token changelog Markdown; null uses <tokensDir>/CHANGELOG.md (see diff-tokens.js)
+    usage: null,             // custom property usage scan: ignored names and failing findings (see lib/usage.js)
+  },
+  themes: {
+    targets: ['../keith-templates/figma-plugin/heavy-theme.css'], // paths, globs or { path, theme } (see lib/theme-targets.js)
+    versionHeader: false, // start each copy with the HDS version, theme and hash
+  },
+};
+
+// Path options: config key → [CLI flag, env var]
+const PATH_OPTIONS = {
+  tokensDir: ['--tokens-dir', 'HDS_TOKENS_DIR'],
+  baseTokensDir: ['--base-tokens-dir', 'HDS_BASE_TOKENS_DIR'],
+  aliasTokensDir: ['--alias-tokens-dir', 'HDS_ALIAS_TOKENS_DIR'],
+  distDir: ['--dist-dir', 'HDS_DIST_DIR'],
+  styleGuideDir: ['--style-guide-dir', 'HDS_STYLE_GUIDE_DIR'],
+};
+
+/**
+ * Read a `--name=value` flag. Returns `true` for a bare `--name`,
+ * `null` when absent.
+ */
+export function getArg(args, name) {
+  for (const arg of args) {
+    if (arg === name) return true;
+    if (arg.startsWith(`${name}=`)) return arg.slice(name.length + 1);
+  }
+  return null;
+}
+
+/**
+ * Read a flag that needs a value. A bare `--name` is a usage error: the
+ * script stops with a message instead of using `true` as the value.
+ */
+export function getValueArg(args, name) {
+  const value = getArg(args, name);
+  if (value === true || value === '') {
+    console.error(`Usage error: ${name} needs a value (${name}=<value>)`);
+    process.exit(2);
+  }
+  return value;
+}
+
+/**
+ * Read every occurrence of a repeatable `--name=value` flag.
+ */
+export function getArgs(args, name) {
+  return args
+    .filter(arg => arg.startsWith(`${name}=`))
+    .map(arg => arg.slice(name.length + 1));
+}
+
+function expandPath(value, baseDir) {
+  if (!value) return value;
+  if (value === '~' || value.startsWith('~/')) {
+    return path.join(os.homedir(), value.slice(1));
+  }
+  return path.resolve(baseDir, value);
+}
+
+function splitList(value) {
+  return value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+async function readConfigFile(configPath) {
+  if (configPath.endsWith('.json')) {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  }
+  const mod = await import(pathToFileURL(configPath).href);
+  return mod.default || {};
+}
+
+function findConfigFile(args) {
+  const explicit = getValueArg(args, '--config') || process.env.HDS_CONFIG;
+  if (explicit) {
+    const configPath = path.resolve(explicit);
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return configPath;
+  }
+  for (const name of CONFIG_FILES) {
+    const configPath = path.join(ROOT, name);
+    if (fs.existsSync(configPath)) return configPath;
+  }
+  return null;
+}
+
+/**
+ * Load the build config for this run.
+ *
+ * @param {string[]} [args] - CLI arguments (defaults to process.argv)
+ * @returns {Promise<object>} Config with every path resolved to absolute
+ */
+export async function loadConfig(args = process.argv.slice(2)) {
+  const configPath = findConfigFile(args);
+  const fileConfig = configPath ? await readConfigFile(configPath) : {};
+  const fileDir = configPath ? path.dirname(configPath) : ROOT;
+
+  const config = { ...DEFAULTS, ...fileConfig, configPath };
+  for (const section of ['tokens', 'themes']) {
+    config[section] = { ...DEFAULTS[section], ...fileConfig[section] };
+  }
+
+  // Path options: file values resolve against the config file, overrides against cwd
+  for (const [key, [flag, envVar]] of Object.entries(PATH_OPTIONS)) {
+    const override = getValueArg(args, flag) || process.env[envVar];
+    if (override) {
+      config[key] = expandPath(override, process.cwd());
+    } else if (config[key]) {
+      config[key] = expandPath(config[key], key in fileConfig ? fileDir : ROOT);
+    }
+  }
+  config.baseTokensDir = config.baseTokensDir || path.join(config.tokensDir, 'base');
+  config.aliasTokensDir = config.aliasTokensDir || path.join(config.tokensDir, 'alias');
+
+  // Brands manifest and changelog paths resolve against the config file (--brands resolves in build-tokens.js)
+  if (typeof config.tokens.brands === 'string') config.tokens.brands = expandPath(config.tokens.brands, fileDir);
+  config.tokens.changelog = config.tokens.changelog
+    ? expandPath(config.tokens.changelog, fileDir)
+    : path.join(config.tokensDir, 'CHANGELOG.md');
+
+  // Naming preset (--naming=hds); objects only come from the config file
+  const naming = getValueArg(args, '--naming') || process.env.HDS_NAMING;
+  if (naming) config.tokens.naming = naming;
+
+  // Theme copy targets
+  const targetsOverride = getArg(args, '--theme-targets') ?? process.env.HDS_THEME_TARGETS;
+  if (targetsOverride != null) {
+    config.themes.targets = splitList(String(targetsOverride === true ? '' : targetsOverride))
+      .map(t => expandPath(t, process.cwd()));
+  } else {
+    const targetsDir = fileConfig.themes?.targets ? fileDir : ROOT;
+    config.themes.targets = (config.themes.targets || []).map(t => (
+      typeof t === 'string' ? expandPath(t, targetsDir) : { ...t, path: expandPath(t.path, targetsDir) }
+    ));
+  }
+
+  return config;
+}
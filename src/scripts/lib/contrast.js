@@ -0,0 +1,161 @@
+/**
+ * Contrast Pairs
+ *
+ * Which semantic colors are drawn on which. A pair is two token path
+ * patterns: `*` matches one path segment, and `$1`, `$2`, ... in the
+ * background repeat what the foreground's wildcards matched.
+ *
+ *   { foreground: 'ui.text.*', background: 'ui.bg.*' }                 // every text on every bg
+ *   { foreground: 'action.*.text.*', background: 'action.$1.bg.$2' }   // each action's own bg
+ *
+ * The build audits every pair in every mode against `tokens.contrast` in
+ * heavy.config.js:
+ *
+ *   contrast: {
+ *     pairs: [...],   // replaces DEFAULT_CONTRAST_PAIRS
+ *     minRatio: 4.5,  // WCAG 2.x ratio
+ *     minLc: 60,      // APCA lightness contrast; null skips APCA
+ *     level: 'warn',  // 'error' fails the build, 'off' skips the audit
+ *   }
+ *
+ * A pair can set its own `minRatio` / `minLc`, e.g. 3 for borders or large text,
+ * and `except` foreground patterns it leaves out. Disabled and placeholder
+ * text are left out of the defaults: WCAG 1.4.3 exempts inactive controls.
+ */
+
+import { contrastRatio, apcaContrast } from './color.js';
+
+const INACTIVE_TEXT = ['ui.text.disabled', 'ui.text.placeholder'];
+
+export const DEFAULT_CONTRAST_PAIRS = [
+  { foreground: 'ui.text.*', background: 'ui.bg.*', except: INACTIVE_TEXT },
+  { foreground: 'ui.text.*', background: 'ui.surface.*', except: INACTIVE_TEXT },
+  { foreground: 'action.*.text.*', background: 'action.$1.bg.$2' },
+  { foreground: 'feedback.*', background: 'ui.surface.*' },
+];
+
+// WCAG 2.x AA for body text
+export const WCAG_AA = 4.5;
+
+const CONTRAST_LEVELS = ['error', 'warn', 'off'];
+
+export class ContrastError extends Error {
+  constructor(failures) {
+    super(`${failures.length} contrast pair${failures.length === 1 ? '' : 's'} below threshold:\n${failures.map(formatContrast).join('\n')}`);
+    this.name = 'ContrastError';
+    this.failures = failures;
+  }
+}
+
+/**
+ * Audit options from `tokens.contrast`, with defaults filled in.
+ *
+ * @param {object|null} options - From heavy.config.js
+ * @param {string|null} [level] - Overrides `options.level` (--contrast=error|warn|off)
+ */
+export function contrastOptions(options, level = null) {
+  const resolved = {
+    pairs: DEFAULT_CONTRAST_PAIRS,
+    minRatio: WCAG_AA,
+    minLc: null,
+    level: 'warn',
+    ...options,
+  };
+  if (level) resolved.level = level;
+  if (!CONTRAST_LEVELS.includes(resolved.level)) {
+    throw new Error(`Contrast level must be one of ${CONTRAST_LEVELS.join(', ')}, got "${resolved.level}"`);
+  }
+  return resolved;
+}
+
+function patternRegex(pattern) {
+  const source = pattern.split('.').map(segment => (segment === '*' ? '([^.]+)' : segment.replace(/[$^\\()[\]{}|+?]/g, '\\$&'))).join('\\.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Expand pair patterns against the token paths that exist.
+ *
+ * @param {{ foreground: string, background: string }[]} pairs
+ * @param {string[]} paths - Color token paths
+ * @returns {{ foreground: string, background: string }[]} Concrete pairs, each once (a later pattern's thresholds win)
+ */
+export function expandPairs(pairs, paths) {
+  const result = new Map();
+  for (const pair of pairs) {
+    const fgPattern = patternRegex(pair.foreground);
+    const except = (pair.except || []).map(patternRegex);
+    for (const foreground of paths) {
+      const match = foreground.match(fgPattern);
+      if (!match || except.some(pattern => pattern.test(foreground))) continue;
+      const background = pair.background.replace(/\$(\d+)/g, (_, n) => match[Number(n)] ?? '');
+      const bgPattern = patternRegex(background);
+      for (const bg of paths) {
+        if (bg !== foreground && bgPattern.test(bg)) result.set(`${foreground}|${bg}`, { ...pair, foreground, background: bg });
+      }
+    }
+  }
+  return [...result.values()];
+}
+
+/**
+ * WCAG ratio of every pair in one mode.
+ *
+ * @param {{ foreground: string, background: string }[]} pairs - From expandPairs()
+ * @param {Map<string, *>} colors - Token path → resolved color value
+ * @returns {{ foreground: string, background: string, ratio: number }[]} Pairs that are both colors
+ */
+export function measurePairs(pairs, colors) {
+  return pairs
+    .map(pair => ({ ...pair, ratio: contrastRatio(colors.get(pair.foreground), colors.get(pair.background)) }))
+    .filter(pair => pair.ratio !== null);
+}
+
+/**
+ * Resolved color of every color token among `entries` ({ path, token }).
+ * Deprecated entries are skipped; they repeat the token that replaced them.
+ *
+ * @returns {Map<string, *>} Token path → resolved color value
+ */
+export function resolveColors(entries, resolver) {
+  const colors = new Map();
+  for (const { path: tokenPath, token, deprecated } of entries) {
+    if (token.$type === 'color' && !deprecated) colors.set(tokenPath, resolver.resolve(token.$value));
+  }
+  return colors;
+}
+
+/**
+ * Check every pair in every mode against the thresholds.
+ *
+ * @param {{ name: string, colors: Map<string, *> }[]} modes
+ * @param {object} options - From contrastOptions()
+ * @returns {{ mode: string, foreground: string, background: string, ratio: number, lc: number|null, minRatio: number, minLc: number|null, pass: boolean }[]}
+ */
+export function auditContrast(modes, options) {
+  const results = [];
+  for (const mode of modes) {
+    const pairs = expandPairs(options.pairs, [...mode.colors.keys()]);
+    for (const pair of measurePairs(pairs, mode.colors)) {
+      const minRatio = pair.minRatio ?? options.minRatio;
+      const minLc = pair.minLc ?? options.minLc;
+      const lc = minLc == null ? null : apcaContrast(mode.colors.get(pair.foreground), mode.colors.get(pair.background));
+      results.push({
+        mode: mode.name,
+        foreground: pair.foreground,
+        background: pair.background,
+        ratio: pair.ratio,
+        lc,
+        minRatio,
+        minLc,
+        pass: pair.ratio >= minRatio && (lc === null || Math.abs(lc) >= minLc),
+      });
+    }
+  }
+  return results;
+}
+
+export function formatContrast(result) {
+  const apca = result.lc === null ? '' : `, Lc ${Math.abs(result.lc).toFixed(1)} (needs ${result.minLc})`;
+  return `  ${result.mode}: ${result.foreground} on ${result.background} ${result.ratio.toFixed(2)}:1 (needs ${result.minRatio}:1)${apca}`;
+}
@@ -0,0 +1,201 @@
+/**
+ * Token → CSS Value Helpers
+ *
+ * Converts resolved token values to CSS and expresses aliases as var()
+ * references. Shared by the tokens.css emitter and the main.css generator.
+ *
+ * Beyond color / number (px) / string, the DTCG unit and composite types
+ * are supported: dimension, duration, cubicBezier, shadow, border,
+ * transition, gradient, and typography (as a `font` shorthand).
+ *
+ * Colors keep their declared color space (`oklch()`, `color(display-p3 …)`);
+ * with `{ srgb: true }` they become their sRGB fallback instead, and
+ * wideGamutRules() puts the wide-gamut values behind `@supports`.
+ *
+ * Tokens with `$extensions.hds.fluid` become `clamp()` (see lib/fluid.js).
+ */
+
+import { getRef } from './resolve.js';
+import { componentsToHex, parseColor, parseColorSpace, formatColorSpace } from './color.js';
+import { fluidRange, fluidClamp } from './fluid.js';
+
+function formatColor(value, srgb) {
+  const declared = parseColorSpace(value);
+  if (declared && declared.colorSpace !== 'srgb') {
+    if (!srgb) return typeof value === 'string' ? value : formatColorSpace(declared);
+    // The declared hex, or the color gamut mapped into sRGB
+    value = parseColor(value);
+  }
+  if (value && typeof value === 'object') {
+    if (value.hex) return value.hex;
+    if (value.components) {
+      const a = value.alpha ?? 1;
+      if (a < 1) {
+        const [r, g, b] = value.components.map(c => Math.round(c * 255));
+        return `rgba(${r}, ${g}, ${b}, ${a})`;
+      }
+      return componentsToHex(value.components);
+    }
+  }
+  return value;
+}
+
+// Bare numbers are px (dimension) or ms (duration); `{ value, unit }` objects and strings pass through
+const withUnit = unit => value => {
+  if (typeof value === 'number') return value === 0 && unit === 'px' ? '0' : `${value}${unit}`;
+  if (value && typeof value === 'object' && 'value' in value) return `${value.value}${value.unit ?? unit}`;
+  return value;
+};
+
+function formatFontFamily(value) {
+  const quote = name => (/\s/.test(name) && !/^["']/.test(name) ? `"${name}"` : name);
+  return Array.isArray(value) ? value.map(quote).join(', ') : quote(value);
+}
+
+// Sub-value types inside each composite
+const COMPOSITE_FIELDS = {
+  shadow: { offsetX: 'dimension', offsetY: 'dimension', blur: 'dimension', spread: 'dimension', color: 'color' },
+  border: { width: 'dimension', style: 'string', color: 'color' },
+  transition: { duration: 'duration', timingFunction: 'cubicBezier', delay: 'duration' },
+  typography: { fontWeight: 'fontWeight', fontSize: 'dimension', lineHeight: 'lineHeight', fontFamily: 'fontFamily', letterSpacing: 'dimension' },
+};
+
+// Composite layouts: object of formatted fields → CSS shorthand
+const SHORTHANDS = {
+  shadow: (f, raw) => [raw.inset ? 'inset' : null, f.offsetX, f.offsetY, f.blur ?? '0', f.spread ?? '0', f.color].filter(Boolean).join(' '),
+  border: f => [f.width, typeof f.style === 'string' ? f.style : 'solid', f.color].join(' '),
+  transition: f => [f.duration, f.timingFunction, f.delay].filter(Boolean).join(' '),
+  // `font` shorthand; letterSpacing is emitted separately (see typographyLetterSpacing)
+  typography: f => [f.fontWeight, f.lineHeight ? `${f.fontSize}/${f.lineHeight}` : f.fontSize, f.fontFamily].filter(Boolean).join(' '),
+};
+
+const UNITLESS_PARTS = new Set(['fontWeight', 'lineHeight']);
+
+const FORMATTERS = {
+  color: (value, ctx) => formatColor(value, ctx.srgb),
+  number: value => `${value}px`,
+  string: value => value,
+  dimension: withUnit('px'),
+  duration: withUnit('ms'),
+  cubicBezier: value => (Array.isArray(value) ? `cubic-bezier(${value.join(', ')})` : value),
+  fontFamily: formatFontFamily,
+  fontWeight: value => String(value),
+  lineHeight: value => String(value),
+};
+
+/**
+ * Format one value of a given type. Exact references to tokens that have
+ * their own custom property become var() when `names` is given.
+ */
+function formatPart(type, raw, ctx) {
+  const ref = getRef(raw);
+  // Unitless parts stay literal: a `number` token's custom property carries px
+  if (ref && ctx.names?.has(ref) && !UNITLESS_PARTS.has(type)) return `var(${ctx.names.get(ref)})`;
+  const value = ctx.resolver ? ctx.resolver.resolve(raw) : raw;
+
+  // Composites format their raw fields so inner references can stay var();
+  // a resolved alias to another composite arrives as a plain object instead
+  const source = ref ? value : raw;
+  const inner = ref ? { resolver: ctx.resolver, srgb: ctx.srgb } : ctx;
+
+  if (type === 'gradient') {
+    if (!Array.isArray(source)) return source;
+    const stops = source.map(stop => {
+      const position = inner.resolver ? inner.resolver.resolve(stop.position) : stop.position;
+      return `${formatPart('color', stop.color, inner)} ${Math.round(Number(position) * 100)}%`;
+    });
+    return `linear-gradient(${stops.join(', ')})`;
+  }
+  if (COMPOSITE_FIELDS[type]) {
+    if (Array.isArray(source)) return source.map(item => formatPart(type, item, inner)).join(', ');
+    if (!source || typeof source !== 'object') return source;
+    const fields = {};
+    for (const [field, fieldType] of Object.entries(COMPOSITE_FIELDS[type])) {
+      if (source[field] !== undefined) fields[field] = formatPart(fieldType, source[field], inner);
+    }
+    return SHORTHANDS[type](fields, source);
+  }
+  return (FORMATTERS[type] || FORMATTERS.string)(value, ctx);
+}
+
+/**
+ * CSS value for a token.
+ *
+ * @param {object} token - `{ $type, $value }`
+ * @param {object} [resolver] - Resolves `{references}` (see lib/resolve.js)
+ * @param {Map<string, string>} [names] - Token path → custom property; when
+ *   given, references inside composites stay var() references
+ * @param {{ srgb?: boolean, path?: string }} [options] - `srgb` writes wide-gamut colors as their sRGB
+ *   fallback; `path` names the token in errors
+ */
+export function getTokenValue(token, resolver, names, { srgb = false, path } = {}) {
+  const fluid = fluidRange(token, resolver, path);
+  if (fluid) return fluidClamp(fluid);
+  return formatPart(token.$type, token.$value, { resolver, names, srgb });
+}
+
+/**
+ * The `letter-spacing` of a typography token, which the `font` shorthand can't carry.
+ */
+export function typographyLetterSpacing(token, resolver, names) {
+  const value = resolver && getRef(token.$value) ? resolver.resolve(token.$value) : token.$value;
+  if (!value || typeof value !== 'object' || value.letterSpacing === undefined) return null;
+  return formatPart('dimension', value.letterSpacing, { resolver, names });
+}
+
+export const COMPOSITE_TYPES = ['shadow', 'border', 'transition', 'gradient', 'typography'];
+
+/**
+ * Express a token's raw `$value` as var() references to other emitted tokens.
+ * Returns null when the value is not an alias, or references a token that
+ * has no custom property of its own (the caller falls back to the literal).
+ *
+ * @param {*} raw - Unresolved `$value`
+ * @param {Map<string, string>} names - Token dot path → custom property name
+ */
+export function referenceValue(raw, names) {
+  if (typeof raw !== 'string' || !raw.includes('{')) return null;
+  const ref = getRef(raw);
+  if (ref) return names.has(ref) ? `var(${names.get(ref)})` : null;
+
+  let complete = true;
+  const value = raw.replace(/\{([^{}]+)\}/g, (match, embedded) => {
+    if (!names.has(embedded)) complete = false;
+    return `var(${names.get(embedded)})`;
+  });
+  return complete ? value : null;
+}
+
+// Feature queries for the wide-gamut color functions getTokenValue() emits
+const WIDE_GAMUT_FEATURES = [
+  ['oklch(', '(color: oklch(0 0 0))'],
+  ['color(display-p3', '(color: color(display-p3 0 0 0))'],
+];
+
+/**
+ * `@supports` rules that re-declare custom properties with their
+ * wide-gamut values, after a rule declaring the sRGB fallbacks. Custom
+ * properties accept any value, so a second declaration in the same rule
+ * would hide the fallback from browsers without the color function.
+ *
+ * @param {string} selectorLine - The rule's opening line as the caller indents it, e.g. `  :root {`
+ * @param {{ name: string, value: string }[]} declarations - Declarations whose value differs from the fallback
+ * @param {string} [indent] - Indent of the `@supports` rule itself
+ * @returns {string[]} CSS lines, each rule preceded by a blank line
+ */
+export function wideGamutRules(selectorLine, declarations, indent = '') {
+  const byCondition = new Map();
+  for (const declaration of declarations) {
+    const features = WIDE_GAMUT_FEATURES.filter(([fn]) => declaration.value.includes(fn)).map(([, query]) => query);
+    if (!features.length) continue;
+    const condition = features.join(' and ');
+    if (!byCondition.has(condition)) byCondition.set(condition, []);
+    byCondition.get(condition).push(declaration);
+  }
+  const lines = [];
+  for (const [condition, list] of byCondition) {
+    lines.push('', `${indent}@supports ${condition} {`, selectorLine);
+    lines.push(...list.map(({ name, value }) => `${indent}    ${name}: ${value};`), `${indent}  }`, `${indent}}`);
+  }
+  return lines;
+}
@@ -0,0 +1,117 @@
+/**
+ * Token Deprecation
+ *
+ * `$deprecated` (true, or a message) on a token or group marks it for
+ * removal; `$extensions.hds.replacedBy` names the token that replaces it:
+ *
+ *   "muted": {
+ *     "$value": "{gray.45}",
+ *     "$deprecated": "Muted text is the default text color now",
+ *     "$extensions": { "hds": { "replacedBy": "ui.text.default" } }
+ *   }
+ *
+ * A deprecated token keeps its custom property, as a var() alias of its
+ * replacement when it has one, so renaming a token doesn't break
+ * consumers. The build warns about each deprecated token and about every
+ * token that still references one. `$deprecated: false` on a token opts it
+ * out of a deprecated group.
+ */
+
+import { getRef } from './resolve.js';
+
+/**
+ * Token path that replaces a token, or null.
+ * `$extensions.replacedBy` without the `hds` namespace is read too.
+ */
+export function replacementOf(token) {
+  const extensions = token?.$extensions;
+  return extensions?.hds?.replacedBy ?? extensions?.replacedBy ?? null;
+}
+
+/**
+ * Every deprecated token in a token tree, with group `$deprecated` inherited.
+ *
+ * @returns {Map<string, { message: string|null, replacedBy: string|null }>}
+ */
+export function collectDeprecations(tree, prefix = '', inherited = false, result = new Map()) {
+  for (const [key, node] of Object.entries(tree || {})) {
+    if (key.startsWith('$') || !node || typeof node !== 'object') continue;
+    const tokenPath = prefix ? `${prefix}.${key}` : key;
+    const deprecated = node.$deprecated ?? inherited;
+    if (!('$value' in node)) {
+      collectDeprecations(node, tokenPath, deprecated, result);
+    } else if (deprecated !== false) {
+      result.set(tokenPath, { message: typeof deprecated === 'string' ? deprecated : null, replacedBy: replacementOf(node) });
+    }
+  }
+  return result;
+}
+
+// Token paths referenced anywhere in a $value, including inside strings and composites
+function referencesIn(value, refs = []) {
+  if (typeof value === 'string') {
+    const whole = getRef(value);
+    if (whole) refs.push(whole);
+    else for (const match of value.matchAll(/\{([^{}]+)\}/g)) refs.push(match[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach(v => referencesIn(v, refs));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(v => referencesIn(v, refs));
+  }
+  return refs;
+}
+
+/**
+ * Deprecated tokens across several token files, and every non-deprecated
+ * token that references one, as validation-style issues (see lib/validate.js).
+ *
+ * @param {{ file: string, tokens: object, positions?: Map }[]} sources
+ * @param {(tokenPath: string) => string} cssName - Custom property name for a path
+ * @returns {{ deprecated: object[], references: object[] }}
+ */
+export function deprecationWarnings(sources, cssName) {
+  const found = new Map();
+  for (const source of sources) {
+    for (const [tokenPath, deprecation] of collectDeprecations(source.tokens)) {
+      if (!found.has(tokenPath)) found.set(tokenPath, { ...deprecation, file: source.file, positions: source.positions });
+    }
+  }
+
+  const deprecated = [...found].map(([tokenPath, { message, replacedBy, file, positions }]) => {
+    const advice = replacedBy ? `use ${cssName(replacedBy)}` : 'no replacement';
+    return {
+      file,
+      path: tokenPath,
+      ...positions?.get(tokenPath),
+      message: `${cssName(tokenPath)} is deprecated, ${advice}${message ? ` (${message})` : ''}`,
+    };
+  });
+
+  const references = [];
+  for (const { file, tokens, positions } of sources) {
+    const visit = (node, prefix) => {
+      for (const [key, child] of Object.entries(node || {})) {
+        if (key.startsWith('$') || !child || typeof child !== 'object') continue;
+        const tokenPath = prefix ? `${prefix}.${key}` : key;
+        if (!('$value' in child)) {
+          visit(child, tokenPath);
+          continue;
+        }
+        if (found.has(tokenPath)) continue;
+        for (const ref of new Set(referencesIn(child.$value))) {
+          const target = found.get(ref);
+          if (!target) continue;
+          references.push({
+            file,
+            path: tokenPath,
+            ...(positions?.get(`${tokenPath}.$value`) || positions?.get(tokenPath)),
+            message: `references deprecated {${ref}}${target.replacedBy ? `, use {${target.replacedBy}}` : ''}`,
+          });
+        }
+      }
+    };
+    visit(tokens, '');
+  }
+
+  return { deprecated, references };
+}
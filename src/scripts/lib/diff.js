@@ -0,0 +1,216 @@
+/**
+ * Token Diff
+ *
+ * Compares two snapshots of the token files — directories, or git
+ * revisions of the tokens repo — after resolving them the same way the
+ * build does: every shared token once, and every mode's full token set.
+ *
+ * Changes are classified for a semver suggestion:
+ *
+ *   major  a token or mode removed, renamed, or its $type changed
+ *   minor  a token or mode added, or a token deprecated
+ *   patch  a resolved value changed
+ *
+ * A removed and an added token with the same type and value count as a
+ * rename when the match is unambiguous in at least one mode.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { readSharedSources, collectTokens } from './tokens.js';
+import { readModes, createModeResolvers } from './modes.js';
+import { getTokenValue } from './css.js';
+import { sourceOf } from './naming.js';
+import { collectDeprecations } from './deprecation.js';
+
+// Scope of the tokens every mode shares
+export const SHARED_SCOPE = 'shared';
+
+/**
+ * Resolve a snapshot argument to a token directory. Anything that isn't a
+ * directory is read as a git revision of the repo holding `tokensDir`,
+ * and its token files are written to a temporary directory.
+ *
+ * @returns {{ dir: string, label: string, cleanup: () => void }}
+ */
+export function checkoutSnapshot(spec, tokensDir) {
+  if (fs.existsSync(spec) && fs.statSync(spec).isDirectory()) {
+    return { dir: path.resolve(spec), label: spec, cleanup: () => {} };
+  }
+
+  const git = (...args) => execFileSync('git', ['-C', tokensDir, ...args], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+  let prefix;
+  try {
+    prefix = git('rev-parse', '--show-prefix').trim();
+    git('rev-parse', '--verify', '--quiet', `${spec}^{commit}`);
+  } catch {
+    throw new Error(`"${spec}" is neither a token directory nor a git revision of ${tokensDir}`);
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hds-tokens-'));
+  const files = git('ls-tree', '-r', '--name-only', '--full-name', spec, '--', '.').split('\n').filter(file => file.endsWith('.json'));
+  for (const file of files) {
+    const target = path.join(dir, file.slice(prefix.length));
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, git('show', `${spec}:${file}`));
+  }
+  return { dir, label: spec, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * Read and resolve every token in a token directory.
+ *
+ * @param {object} config - From loadConfig(); its modes and naming apply to the snapshot
+ * @param {string} dir - Contains base/ and alias/
+ * @param {object} naming - From createNaming()
+ * @returns {Map<string, Map<string, { name: string, type: string, value: string, deprecated: boolean }>>}
+ *   Scope (`shared` or a mode name) → token path → token
+ */
+export function readSnapshot(config, dir, naming) {
+  const snapshotConfig = { ...config, tokensDir: dir, baseTokensDir: path.join(dir, 'base'), aliasTokensDir: path.join(dir, 'alias') };
+  const sources = readSharedSources(snapshotConfig);
+  const modes = readModes(snapshotConfig);
+  const resolvers = createModeResolvers(modes, sources);
+
+  const read = (tokens, source, resolver) => {
+    const deprecations = collectDeprecations(tokens);
+    const result = new Map();
+    for (const { path: tokenPath, token, type } of collectTokens(tokens)) {
+      result.set(tokenPath, {
+        name: naming.cssVar(source, tokenPath),
+        type,
+        value: String(getTokenValue({ ...token, $type: type }, resolver, undefined, { path: tokenPath })),
+        deprecated: deprecations.has(tokenPath),
+      });
+    }
+    return result;
+  };
+
+  const scopes = new Map([[SHARED_SCOPE, new Map()]]);
+  for (const { file, tokens } of sources) {
+    for (const [tokenPath, token] of read(tokens, sourceOf(file), resolvers.get(modes[0].name))) {
+      scopes.get(SHARED_SCOPE).set(tokenPath, token);
+    }
+  }
+  for (const mode of modes) {
+    // A group-level $deprecated is only in the mode's own file
+    const tokens = read(mode.tokens, 'mode', resolvers.get(mode.name));
+    for (const tokenPath of collectDeprecations(mode.own).keys()) tokens.get(tokenPath).deprecated = true;
+    scopes.set(mode.name, tokens);
+  }
+  return scopes;
+}
+
+const parentOf = tokenPath => tokenPath.split('.').slice(0, -1).join('.');
+
+// Removed → added pairs with the same type and value, when the match is
+// unambiguous (ties go to the token in the same group)
+function findRenames(removed, added, before, after) {
+  const key = token => `${token.type}|${token.value}`;
+  const renames = new Map();
+  for (const from of removed) {
+    const k = key(before.get(from));
+    const sameKey = removed.filter(other => key(before.get(other)) === k);
+    let candidates = added.filter(to => key(after.get(to)) === k);
+    if (candidates.length > 1) candidates = candidates.filter(to => parentOf(to) === parentOf(from));
+    if (sameKey.length === 1 && candidates.length === 1) renames.set(from, candidates[0]);
+  }
+  return renames;
+}
+
+/**
+ * Every change between two snapshots from readSnapshot().
+ *
+ * @returns {{ modesAdded: string[], modesRemoved: string[], changes: object[] }}
+ *   Each change has a `kind` (added, removed, renamed, retyped, deprecated,
+ *   changed), the token `path` and `name`, and `scopes` it applies to;
+ *   `changed` carries `values` per scope, `renamed` the new `to` path and name.
+ */
+export function diffSnapshots(before, after) {
+  const modesAdded = [...after.keys()].filter(scope => !before.has(scope));
+  const modesRemoved = [...before.keys()].filter(scope => !after.has(scope));
+  const changes = new Map();
+
+  const record = (kind, tokenPath, scope, fields) => {
+    const id = `${kind}|${tokenPath}`;
+    const change = changes.get(id) || { kind, path: tokenPath, scopes: [], ...fields };
+    change.scopes.push(scope);
+    changes.set(id, change);
+    return change;
+  };
+
+  const scopes = [...before].filter(([scope]) => after.has(scope)).map(([scope, previous]) => {
+    const next = after.get(scope);
+    return {
+      scope,
+      previous,
+      next,
+      removed: [...previous.keys()].filter(tokenPath => !next.has(tokenPath)),
+      added: [...next.keys()].filter(tokenPath => !previous.has(tokenPath)),
+    };
+  });
+
+  // A rename found in one mode applies wherever both paths changed (values may differ per mode)
+  const renames = new Map();
+  for (const { removed, added, previous, next } of scopes) {
+    for (const [from, to] of findRenames(removed, added, previous, next)) {
+      if (!renames.has(from)) renames.set(from, to);
+    }
+  }
+
+  for (const { scope, previous, next, removed, added } of scopes) {
+    const renamedTo = new Set();
+    for (const tokenPath of removed) {
+      const to = renames.get(tokenPath);
+      if (to && added.includes(to)) {
+        renamedTo.add(to);
+        record('renamed', tokenPath, scope, { name: previous.get(tokenPath).name, to, toName: next.get(to).name });
+      } else {
+        record('removed', tokenPath, scope, { name: previous.get(tokenPath).name });
+      }
+    }
+    for (const tokenPath of added.filter(p => !renamedTo.has(p))) record('added', tokenPath, scope, { name: next.get(tokenPath).name });
+
+    for (const [tokenPath, token] of next) {
+      const old = previous.get(tokenPath);
+      if (!old) continue;
+      if (old.type !== token.type) {
+        record('retyped', tokenPath, scope, { name: token.name, before: old.type, after: token.type });
+      } else if (old.value !== token.value) {
+        const change = record('changed', tokenPath, scope, { name: token.name, values: {} });
+        change.values[scope] = { before: old.value, after: token.value };
+      }
+      if (token.deprecated && !old.deprecated) record('deprecated', tokenPath, scope, { name: token.name });
+    }
+  }
+
+  return { modesAdded, modesRemoved, changes: [...changes.values()] };
+}
+
+const MAJOR = ['removed', 'renamed', 'retyped'];
+const MINOR = ['added', 'deprecated'];
+
+/**
+ * Semver bump for a diff: 'major', 'minor', 'patch', or null when nothing changed.
+ */
+export function suggestBump({ modesAdded, modesRemoved, changes }) {
+  const kinds = new Set(changes.map(change => change.kind));
+  if (modesRemoved.length || MAJOR.some(kind => kinds.has(kind))) return 'major';
+  if (modesAdded.length || MINOR.some(kind => kinds.has(kind))) return 'minor';
+  if (kinds.has('changed')) return 'patch';
+  return null;
+}
+
+/**
+ * Apply a bump to a version string (`1.2.3` or `v1.2.3`).
+ */
+export function bumpVersion(version, bump) {
+  const match = /^(v?)(\d+)\.(\d+)\.(\d+)$/.exec(version || '');
+  if (!match || !bump) return null;
+  const [, prefix, major, minor, patch] = match;
+  if (bump === 'major') return `${prefix}${Number(major) + 1}.0.0`;
+  if (bump === 'minor') return `${prefix}${major}.${Number(minor) + 1}.0`;
+  return `${prefix}${major}.${minor}.${Number(patch) + 1}`;
+}
@@ -0,0 +1,196 @@
+/**
+ * Figma Variables ⇄ DTCG
+ *
+ * Converts a local Figma Variables export (the `GET /v1/files/:key/variables/local`
+ * response, or its `meta` object) into token files, and back.
+ *
+ * Collections map to token files by name:
+ *
+ *   - a collection with several modes writes one file per mode (`Light` → alias/light)
+ *   - a collection named like a file label (`base/colors`) writes that file
+ *   - any other collection writes base/<name>, or alias/<name> when it contains aliases
+ *
+ * `tokens.importMap` in heavy.config.js overrides this per collection:
+ *   { 'Primitives': 'base/colors', 'Theme': { Light: 'alias/light', Dark: 'alias/dark' } }
+ */
+
+import { collectTokens, setTokenAtPath, slug, defaultFileLabel } from './tokens.js';
+import { getRef } from './resolve.js';
+import { colorValue, parseColor } from './color.js';
+import { getTokenValue } from './css.js';
+
+const TYPES = { COLOR: 'color', FLOAT: 'number', STRING: 'string', BOOLEAN: 'boolean' };
+const RESOLVED_TYPES = { color: 'COLOR', number: 'FLOAT', boolean: 'BOOLEAN' };
+
+function variablePath(variable) {
+  return variable.name.split('/').map(s => s.trim()).join('.');
+}
+
+function isAlias(value) {
+  return value && typeof value === 'object' && value.type === 'VARIABLE_ALIAS';
+}
+
+/**
+ * Figma Variables export → token files.
+ *
+ * @param {object} data - Parsed export JSON
+ * @param {object} [importMap] - Collection name → label, or mode name → label
+ * @returns {{ files: Object<string, object>, warnings: string[] }} Files keyed by label
+ */
+export function importFigmaVariables(data, importMap = {}) {
+  const source = data.meta ?? data;
+  const variables = Object.values(source.variables || {});
+  const collections = Object.values(source.variableCollections || {});
+  if (!collections.length) throw new Error('No variable collections found in the Figma export');
+
+  const byId = new Map(variables.map(v => [v.id, v]));
+  const files = {};
+  const warnings = [];
+
+  for (const collection of collections) {
+    const members = variables.filter(v => v.variableCollectionId === collection.id);
+    const hasAliases = members.some(v => Object.values(v.valuesByMode || {}).some(isAlias));
+    const mapping = importMap[collection.name];
+
+    // modeId → file label
+    const targets = new Map();
+    if (typeof mapping === 'string') {
+      targets.set(collection.defaultModeId ?? collection.modes[0].modeId, mapping);
+    } else if (mapping) {
+      for (const mode of collection.modes) {
+        if (mapping[mode.name]) targets.set(mode.modeId, mapping[mode.name]);
+      }
+    } else if (collection.modes.length > 1) {
+      for (const mode of collection.modes) targets.set(mode.modeId, `alias/${slug(mode.name)}`);
+    } else {
+      targets.set(collection.modes[0].modeId, defaultFileLabel(collection.name, hasAliases));
+    }
+
+    for (const [modeId, label] of targets) {
+      const tree = files[label] ??= {};
+      for (const variable of members) {
+        const value = variable.valuesByMode?.[modeId];
+        if (value === undefined) continue;
+        const where = `${collection.name} → ${variable.name}`;
+
+        let $value;
+        if (isAlias(value)) {
+          const target = byId.get(value.id);
+          if (!target) {
+            warnings.push(`${where}: alias to unknown variable ${value.id}, skipped`);
+            continue;
+          }
+          $value = `{${variablePath(target)}}`;
+        } else if (variable.resolvedType === 'COLOR') {
+          const color = parseColor(value);
+          if (!color) {
+            warnings.push(`${where}: unsupported color ${JSON.stringify(value)}, skipped`);
+            continue;
+          }
+          $value = colorValue(color.components, color.alpha);
+        } else {
+          $value = value;
+        }
+
+        setTokenAtPath(tree, variablePath(variable), {
+          $type: TYPES[variable.resolvedType] || 'string',
+          $value,
+          ...(variable.description ? { $description: variable.description } : {}),
+        });
+      }
+    }
+  }
+
+  return { files, warnings };
+}
+
+/**
+ * Token files → Figma Variables export.
+ *
+ * @param {{ name: string, modes: { name: string, tokens: object, resolver: object }[] }[]} collections
+ * @returns {{ data: object, warnings: string[] }}
+ */
+export function exportFigmaVariables(collections) {
+  const variableCollections = {};
+  const variables = {};
+  const idByPath = new Map();
+  const warnings = [];
+
+  // First pass: ids for every variable, so aliases can point anywhere
+  const planned = collections.map((collection, c) => {
+    const collectionId = `VariableCollectionId:${c + 1}:0`;
+    const modes = collection.modes.map((mode, m) => ({
+      ...mode,
+      modeId: `${c + 1}:${m}`,
+      index: new Map(collectTokens(mode.tokens || {}).map(entry => [entry.path, entry])),
+    }));
+    const members = new Map();
+    for (const mode of modes) {
+      for (const entry of mode.index.values()) {
+        if (!members.has(entry.path)) {
+          const id = `VariableID:${c + 1}:${members.size + 1}`;
+          members.set(entry.path, { id, type: entry.type, description: entry.token.$description });
+          if (!idByPath.has(entry.path)) idByPath.set(entry.path, id);
+        }
+      }
+    }
+    return { collection, collectionId, modes, members };
+  });
+
+  for (const { collection, collectionId, modes, members } of planned) {
+    variableCollections[collectionId] = {
+      id: collectionId,
+      name: collection.name,
+      modes: modes.map(mode => ({ modeId: mode.modeId, name: mode.name })),
+      defaultModeId: modes[0].modeId,
+      variableIds: [...members.values()].map(member => member.id),
+    };
+
+    for (const [tokenPath, member] of members) {
+      const resolvedType = RESOLVED_TYPES[member.type] || 'STRING';
+      const valuesByMode = {};
+
+      for (const mode of modes) {
+        // Figma needs a value in every mode: fall back to the first mode's token
+        const entry = mode.index.get(tokenPath) || modes[0].index.get(tokenPath);
+        if (!entry) {
+          warnings.push(`${collection.name} → ${tokenPath}: no value in mode ${mode.name}, skipped`);
+          continue;
+        }
+        const ref = getRef(entry.token.$value);
+        if (ref && idByPath.has(ref)) {
+          valuesByMode[mode.modeId] = { type: 'VARIABLE_ALIAS', id: idByPath.get(ref) };
+          continue;
+        }
+        const value = mode.resolver ? mode.resolver.resolve(entry.token.$value) : entry.token.$value;
+        if (resolvedType === 'COLOR') {
+          const color = parseColor(value);
+          if (!color) {
+            warnings.push(`${collection.name} → ${tokenPath}: unsupported color ${JSON.stringify(value)}, skipped`);
+            continue;
+          }
+          const [r, g, b] = color.components;
+          valuesByMode[mode.modeId] = { r, g, b, a: color.alpha };
+        } else if (resolvedType === 'FLOAT') {
+          valuesByMode[mode.modeId] = Number(value);
+        } else if (resolvedType === 'BOOLEAN') {
+          valuesByMode[mode.modeId] = Boolean(value);
+        } else {
+          // Units and composites travel as their CSS value
+          valuesByMode[mode.modeId] = typeof value === 'string' ? value : getTokenValue({ $type: member.type, $value: value });
+        }
+      }
+
+      variables[member.id] = {
+        id: member.id,
+        name: tokenPath.replace(/\./g, '/'),
+        variableCollectionId: collectionId,
+        resolvedType,
+        valuesByMode,
+        description: member.description || '',
+      };
+    }
+  }
+
+  return { data: { meta: { variableCollections, variables } }, warnings };
+}
@@ -0,0 +1,98 @@
+/**
+ * Fluid Sizes
+ *
+ * A number or dimension token opts in to scaling with the viewport through
+ * `$extensions.hds.fluid`:
+ *
+ *   "h1": {
+ *     "$type": "number",
+ *     "$value": "{type.40}",
+ *     "$extensions": { "hds": { "fluid": { "min": "{type.28}" } } }
+ *   }
+ *
+ * The token is `min` wide at `minViewport` and `max` (default: its $value)
+ * at `maxViewport`, growing linearly in between, and is emitted as
+ * `clamp(28px, 22px + 1.25vw, 40px)`. The viewport range defaults to the
+ * sm and 2xl breakpoints, 480px–1440px. Sizes are numbers (px), px or rem
+ * dimensions, or references to them; rem is taken as 16px for the slope.
+ */
+
+// Viewport widths (px) a fluid token scales between unless it sets its own
+export const FLUID_MIN_VIEWPORT = 480;
+export const FLUID_MAX_VIEWPORT = 1440;
+
+const ROOT_FONT_SIZE = 16;
+
+/**
+ * A token's `$extensions.hds.fluid` options, or null.
+ */
+export function fluidOf(token) {
+  return token?.$extensions?.hds?.fluid ?? null;
+}
+
+// Number, "<n>px" / "<n>rem", or { value, unit } → { value, unit }, or null
+function readSize(value) {
+  if (typeof value === 'number') return { value, unit: 'px' };
+  if (typeof value === 'string') {
+    const match = /^(-?\d*\.?\d+)(px|rem)$/.exec(value.trim());
+    return match ? { value: Number(match[1]), unit: match[2] } : null;
+  }
+  if (value && typeof value === 'object' && typeof value.value === 'number' && ['px', 'rem', undefined].includes(value.unit)) {
+    return { value: value.value, unit: value.unit ?? 'px' };
+  }
+  return null;
+}
+
+const toPx = size => (size.unit === 'rem' ? size.value * ROOT_FONT_SIZE : size.value);
+
+/**
+ * Resolved fluid range of a token, or null when it isn't fluid.
+ *
+ * @param {object} token - `{ $value, $extensions }`
+ * @param {object} [resolver] - Resolves `{references}` in $value, min and max
+ * @param {string} [tokenPath] - Names the token in errors
+ * @returns {{ min: number, max: number, minViewport: number, maxViewport: number, unit: string } | null}
+ *   Sizes in px; `unit` is rem when both ends are rem
+ */
+export function fluidRange(token, resolver, tokenPath) {
+  const fluid = fluidOf(token);
+  if (!fluid) return null;
+  const where = tokenPath ? `${tokenPath}: ` : '';
+  const resolve = value => (resolver ? resolver.resolve(value) : value);
+  const min = readSize(resolve(fluid.min));
+  const max = readSize(resolve(fluid.max ?? token.$value));
+  if (!min || !max) throw new Error(`${where}fluid min and max must be px or rem sizes, got ${JSON.stringify(fluid.min)} and ${JSON.stringify(fluid.max ?? token.$value)}`);
+  const minViewport = fluid.minViewport ?? FLUID_MIN_VIEWPORT;
+  const maxViewport = fluid.maxViewport ?? FLUID_MAX_VIEWPORT;
+  // An empty or inverted range has no slope (fluidClamp would divide by zero)
+  if (!(minViewport < maxViewport)) throw new Error(`${where}fluid minViewport (${minViewport}) must be below maxViewport (${maxViewport})`);
+  return {
+    min: toPx(min),
+    max: toPx(max),
+    minViewport,
+    maxViewport,
+    unit: min.unit === 'rem' && max.unit === 'rem' ? 'rem' : 'px',
+  };
+}
+
+/**
+ * Size (px) of a fluid range at a viewport width.
+ */
+export function fluidSizeAt({ min, max, minViewport, maxViewport }, viewport) {
+  const t = Math.min(Math.max((viewport - minViewport) / (maxViewport - minViewport), 0), 1);
+  return min + (max - min) * t;
+}
+
+const round = n => +n.toFixed(4);
+
+/**
+ * `clamp()` for a fluid range from fluidRange().
+ */
+export function fluidClamp(range) {
+  const { min, max, minViewport, maxViewport, unit } = range;
+  const slope = (max - min) / (maxViewport - minViewport);
+  const intercept = min - slope * minViewport;
+  const size = px => `${round(unit === 'rem' ? px / ROOT_FONT_SIZE : px)}${unit}`;
+  const preferred = `${size(intercept)} ${slope < 0 ? '-' : '+'} ${round(Math.abs(slope) * 100)}vw`;
+  return `clamp(${size(Math.min(min, max))}, ${preferred}, ${size(Math.max(min, max))})`;
+}
@@ -0,0 +1,119 @@
+/**
+ * Foundation Token Groups
+ *
+ * Breakpoints, motion and elevation are top-level token groups, in any
+ * shared token file (alias/effects.tokens.json is a good home for motion
+ * and elevation):
+ *
+ *   "breakpoint": { "$type": "dimension", "md": { "$value": "768px", "$description": "Tablets" } }
+ *   "duration":   { "$type": "duration", "fast": { "$value": "150ms" } }
+ *   "delay":      { "$type": "duration", "stagger": { "$value": "50ms" } }
+ *   "ease":       { "$type": "cubicBezier", "out": { "$value": [0.16, 1, 0.3, 1] } }
+ *   "shadow":     { "$type": "shadow", "sm": { "$value": { ... } } }
+ *   "z-index":    { "$type": "number", "modal": { "$value": 100 } }
+ *
+ * tokens.css emits each set as its own section, breakpoints also as
+ * `@custom-media` queries, and the Breakpoints, Animation and Elevation
+ * pages are generated from the same tokens, as is the motion part of the
+ * main.css token block (see lib/main-css.js).
+ *
+ * A breakpoint or motion group no shared file defines falls back to
+ * DEFAULT_FOUNDATION_TOKENS, the values main.css has always used.
+ */
+
+import { collectTokens } from './tokens.js';
+import { sourceOf } from './naming.js';
+
+// Foundation → top-level group → the $type its tokens must have
+export const FOUNDATIONS = {
+  breakpoints: { comment: 'Breakpoints', groups: { breakpoint: 'dimension' } },
+  motion: { comment: 'Motion', groups: { duration: 'duration', delay: 'duration', ease: 'cubicBezier' } },
+  elevation: { comment: 'Elevation', groups: { shadow: 'shadow', 'z-index': 'number' } },
+};
+
+// Stand-ins for groups the token files don't define yet, read as if from this file
+const DEFAULT_FOUNDATION_FILE = 'alias/effects.tokens.json';
+
+export const DEFAULT_FOUNDATION_TOKENS = {
+  breakpoint: {
+    $type: 'dimension',
+    sm: { $value: '480px', $description: 'Small phones' },
+    md: { $value: '768px', $description: 'Tablets' },
+    lg: { $value: '1024px', $description: 'Small desktops' },
+    xl: { $value: '1200px', $description: 'Large desktops' },
+    '2xl': { $value: '1440px', $description: 'Wide screens' },
+  },
+  duration: {
+    $type: 'duration',
+    instant: { $value: '100ms', $description: 'Micro-feedback (press, hover)' },
+    fast: { $value: '150ms', $description: 'Component transitions (buttons, inputs, toggles)' },
+    normal: { $value: '200ms', $description: 'Fade-in, scale-in utilities' },
+    slow: { $value: '300ms', $description: 'Entrance animations (slide-up, modal)' },
+    slower: { $value: '500ms', $description: 'Large reveals' },
+  },
+  delay: {
+    $type: 'duration',
+    stagger: { $value: '50ms', $description: 'Stagger increment between children' },
+  },
+  ease: {
+    $type: 'cubicBezier',
+    out: { $value: [0.16, 1, 0.3, 1] },
+    'in-out': { $value: [0.45, 0, 0.55, 1] },
+    spring: { $value: [0.34, 1.56, 0.64, 1] },
+  },
+};
+
+// Group → expected $type, across every foundation
+export const FOUNDATION_TYPES = Object.fromEntries(Object.values(FOUNDATIONS).flatMap(({ groups }) => Object.entries(groups)));
+
+/**
+ * Foundation tokens in the shared token files, by group, in file order within a group.
+ *
+ * @param {{ file: string, tokens: object }[]} sources - From readSharedSources()
+ * @param {object} naming - From createNaming()
+ * @returns {Record<string, { group: string, path: string, source: string, name: string, segments: string[], description: string, token: object, fallback: boolean }[]>}
+ *   Foundation name → tokens; each `token` carries its (inherited) $type, `fallback` marks DEFAULT_FOUNDATION_TOKENS
+ */
+export function foundationTokens(sources, naming) {
+  const result = Object.fromEntries(Object.keys(FOUNDATIONS).map(foundation => [foundation, []]));
+  const defined = new Set(sources.flatMap(({ tokens }) => collectTokens(tokens || {}).map(entry => entry.path.split('.')[0])));
+  const fallbacks = Object.entries(DEFAULT_FOUNDATION_TOKENS)
+    .filter(([group]) => !defined.has(group))
+    .map(([group, tokens]) => ({ file: DEFAULT_FOUNDATION_FILE, tokens: { [group]: tokens }, fallback: true }));
+
+  for (const { file, tokens, fallback = false } of [...sources, ...fallbacks]) {
+    const source = sourceOf(file);
+    for (const { path: tokenPath, token, type } of collectTokens(tokens)) {
+      const group = tokenPath.split('.')[0];
+      const foundation = Object.keys(FOUNDATIONS).find(name => group in FOUNDATIONS[name].groups);
+      if (!foundation) continue;
+      result[foundation].push({
+        group,
+        path: tokenPath,
+        source,
+        name: naming.cssVar(source, tokenPath),
+        segments: naming.segments(source, tokenPath),
+        description: token.$description || '',
+        // Stacking order is unitless; a `number` would be written as px
+        token: { ...token, $type: group === 'z-index' ? 'string' : type },
+        fallback,
+      });
+    }
+  }
+  // Fallbacks come last; put each foundation back in its group order
+  for (const [foundation, { groups }] of Object.entries(FOUNDATIONS)) {
+    const order = Object.keys(groups);
+    result[foundation].sort((a, b) => order.indexOf(a.group) - order.indexOf(b.group));
+  }
+  return result;
+}
+
+/**
+ * `@custom-media` rules for breakpoint tokens, mobile first:
+ * `@custom-media --hds-breakpoint-md (min-width: 768px);`
+ *
+ * @param {{ name: string, value: string }[]} breakpoints - Name and resolved CSS width
+ */
+export function customMediaRules(breakpoints) {
+  return breakpoints.map(({ name, value }) => `@custom-media ${name} (min-width: ${value});`);
+}
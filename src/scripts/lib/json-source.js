@@ -0,0 +1,141 @@
+/**
+ * JSON With Source Positions
+ *
+ * A small JSON parser that also records where every key sits, so token
+ * problems can point at `file:line:column`. It reports duplicate keys,
+ * which JSON.parse silently resolves to the last one.
+ */
+
+export class JSONSourceError extends Error {
+  constructor(file, line, column, message) {
+    super(`${file}:${line}:${column}: ${message}`);
+    this.name = 'JSONSourceError';
+    this.file = file;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * @param {string} text - JSON source
+ * @param {string} file - Label used in error messages
+ * @returns {{ value: *, positions: Map<string, { line: number, column: number }>, duplicates: { path: string, line: number, column: number }[] }}
+ *   `positions` is keyed by dot path (`gray.45.$value`); the root is ''.
+ */
+export function parseJSONSource(text, file) {
+  const positions = new Map();
+  const duplicates = [];
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const here = () => ({ line, column: i - lineStart + 1 });
+
+  function fail(message) {
+    const { line: l, column } = here();
+    throw new JSONSourceError(file, l, column, message);
+  }
+
+  function skipWhitespace() {
+    while (i < text.length) {
+      const ch = text[i];
+      if (ch === '\n') {
+        line++;
+        lineStart = i + 1;
+      } else if (ch !== ' ' && ch !== '\t' && ch !== '\r') {
+        break;
+      }
+      i++;
+    }
+  }
+
+  function expect(ch) {
+    if (text[i] !== ch) fail(i >= text.length ? `Unexpected end of input, expected '${ch}'` : `Unexpected '${text[i]}', expected '${ch}'`);
+    i++;
+  }
+
+  function parseString() {
+    const start = i;
+    expect('"');
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === '\\') i++;
+      else if (text[i] === '\n') fail('Unterminated string');
+      i++;
+    }
+    expect('"');
+    return JSON.parse(text.slice(start, i));
+  }
+
+  function parseLiteral() {
+    const match = text.slice(i).match(/^(-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/);
+    if (!match) fail(i >= text.length ? 'Unexpected end of input' : `Unexpected '${text[i]}'`);
+    i += match[0].length;
+    return JSON.parse(match[0]);
+  }
+
+  function parseValue(path) {
+    skipWhitespace();
+    if (!positions.has(path)) positions.set(path, here());
+    const ch = text[i];
+    if (ch === '{') return parseObject(path);
+    if (ch === '[') return parseArray(path);
+    if (ch === '"') return parseString();
+    return parseLiteral();
+  }
+
+  function parseObject(path) {
+    expect('{');
+    const result = {};
+    skipWhitespace();
+    if (text[i] === '}') {
+      i++;
+      return result;
+    }
+    for (;;) {
+      skipWhitespace();
+      const keyPosition = here();
+      const key = parseString();
+      const keyPath = path ? `${path}.${key}` : key;
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        duplicates.push({ path: keyPath, ...keyPosition });
+      } else {
+        positions.set(keyPath, keyPosition);
+      }
+      skipWhitespace();
+      expect(':');
+      result[key] = parseValue(keyPath);
+      skipWhitespace();
+      if (text[i] === ',') {
+        i++;
+        continue;
+      }
+      expect('}');
+      return result;
+    }
+  }
+
+  function parseArray(path) {
+    expect('[');
+    const result = [];
+    skipWhitespace();
+    if (text[i] === ']') {
+      i++;
+      return result;
+    }
+    for (;;) {
+      result.push(parseValue(`${path}.${result.length}`));
+      skipWhitespace();
+      if (text[i] === ',') {
+        i++;
+        continue;
+      }
+      expect(']');
+      return result;
+    }
+  }
+
+  const value = parseValue('');
+  skipWhitespace();
+  if (i < text.length) fail(`Unexpected '${text[i]}' after the end of the document`);
+  return { value, positions, duplicates };
+}
@@ -0,0 +1,269 @@
+/**
+ * main.css Token Block
+ *
+ * Generates the token-derived part of main.css section "1. VARIABLES" —
+ * the base color families, the motion tokens (`--hds-duration-*`,
+ * `--hds-delay-*`, `--hds-ease-*`, see lib/foundations.js) and every
+ * `--hds-*` semantic color token for light, dark, and nested light — and
+ * keeps the hand-written file in sync.
+ *
+ * The generated block sits between two marker comments. Everything outside
+ * the markers (typography, spacing, grid, style-guide contract tokens, ...)
+ * stays hand-written. Wide-gamut colors are written as their sRGB
+ * fallback, re-declared in `@supports` rules after each block.
+ *
+ *   build-tokens.js --sync-main    rewrite the block from token JSON; the
+ *                                  first run adds the markers and drops the
+ *                                  hand-written declarations they replace
+ *   build-tokens.js --check-main   exit non-zero when main.css has drifted
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { collectTokens } from './tokens.js';
+import { getTokenValue, referenceValue, wideGamutRules } from './css.js';
+import { createNaming } from './naming.js';
+import { replacementOf } from './deprecation.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const MAIN_CSS_PATH = path.resolve(__dirname, '../../styles/main.css');
+
+export const GENERATED_START = '/* @generated-tokens:start — built from token JSON by `npm run build:tokens -- --sync-main`. DO NOT EDIT by hand */';
+export const GENERATED_END = '/* @generated-tokens:end */';
+
+// Components consume the `hds` names, so main.css never follows the configured naming
+const naming = createNaming('hds');
+
+/**
+ * HDS custom property name for a semantic token path.
+ * `ui.bg.default` → `--hds-bg-default`, `action.primary.bg.default` → `--hds-action-primary-bg-default`
+ */
+export function hdsName(tokenPath) {
+  return naming.cssVar('mode', tokenPath);
+}
+
+function baseColorName(family, stop) {
+  return naming.cssVar('base/colors', `${family}.${stop}`);
+}
+
+function groupLabel(key) {
+  return key === 'ui' ? 'UI' : key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+// main.css writes hex colors in lowercase. The sRGB fallback of a wide-gamut
+// color is written; its own value goes to `wide` for the @supports rules
+function literal(token, resolver, name, wide) {
+  const value = getTokenValue(token, resolver, undefined, { srgb: true });
+  const declared = getTokenValue(token, resolver);
+  if (declared !== value) wide.push({ name, value: declared });
+  return typeof value === 'string' && value.startsWith('#') ? value.toLowerCase() : value;
+}
+
+function baseColorLines(colors, resolver, wide) {
+  const lines = [];
+  for (const [family, shades] of Object.entries(colors || {})) {
+    if (family.startsWith('$')) continue;
+    const description = shades.$description ? ` (${shades.$description})` : '';
+    if (lines.length) lines.push('');
+    lines.push(`  /* Base Colors — ${groupLabel(family)}${description} */`);
+    for (const [stop, token] of Object.entries(shades)) {
+      if (stop.startsWith('$')) continue;
+      const name = baseColorName(family, stop);
+      lines.push(`  ${name}: ${literal({ $type: 'color', ...token }, resolver, name, wide)};`);
+    }
+  }
+  return lines;
+}
+
+const MOTION_LABELS = { duration: 'Duration', delay: 'Delay', ease: 'Easing' };
+
+// Motion is the same in every mode, so it only goes in :root
+function motionLines(motion, resolver, wide) {
+  const lines = [];
+  let group = null;
+  for (const { group: key, source, path: tokenPath, token } of motion || []) {
+    if (key !== group) {
+      if (group) lines.push('');
+      lines.push(`  /* Motion — ${MOTION_LABELS[key] || groupLabel(key)} */`);
+      group = key;
+    }
+    const name = naming.cssVar(source, tokenPath);
+    lines.push(`  ${name}: ${literal(token, resolver, name, wide)};`);
+  }
+  return lines;
+}
+
+function semanticLines(mode, names, wide) {
+  const lines = [];
+  let group = null;
+  for (const { path: tokenPath, token, type } of collectTokens(mode.tokens || {})) {
+    const top = tokenPath.split('.')[0];
+    if (top !== group) {
+      if (group) lines.push('');
+      lines.push(`  /* ${groupLabel(top)} Tokens */`);
+      group = top;
+    }
+    // A replaced token aliases its replacement (see lib/deprecation.js)
+    const replacedBy = replacementOf(token);
+    const name = hdsName(tokenPath);
+    const value = referenceValue(replacedBy ? `{${replacedBy}}` : token.$value, names) || literal({ ...token, $type: type }, mode.resolver, name, wide);
+    lines.push(`  ${name}: ${value};`);
+  }
+  return lines;
+}
+
+/**
+ * Build the generated block, markers included.
+ *
+ * @param {object} colors - base/colors.tokens.json
+ * @param {{ tokens: object, resolver: object }} light
+ * @param {{ tokens: object, resolver: object }} dark
+ * @param {object[]} [motion] - foundationTokens().motion
+ */
+export function generateMainVariables({ colors, light, dark, motion = [] }) {
+  const names = new Map();
+  for (const [family, shades] of Object.entries(colors || {})) {
+    if (family.startsWith('$')) continue;
+    for (const stop of Object.keys(shades)) {
+      if (!stop.startsWith('$')) names.set(`${family}.${stop}`, baseColorName(family, stop));
+    }
+  }
+  for (const mode of [light, dark]) {
+    for (const { path: tokenPath } of collectTokens(mode.tokens || {})) {
+      names.set(tokenPath, hdsName(tokenPath));
+    }
+  }
+
+  const wide = { base: [], light: [], dark: [] };
+  const lightLines = semanticLines(light, names, wide.light);
+  const darkLines = semanticLines(dark, names, wide.dark);
+  const rootLines = [];
+  for (const lines of [baseColorLines(colors, light.resolver, wide.base), motionLines(motion, light.resolver, wide.base), lightLines]) {
+    if (rootLines.length && lines.length) rootLines.push('');
+    rootLines.push(...lines);
+  }
+
+  return [
+    GENERATED_START,
+    '',
+    ':root {',
+    ...rootLines,
+    '}',
+    ...wideGamutRules('  :root {', [...wide.base, ...wide.light]),
+    '',
+    '/* Dark Mode */',
+    '[data-theme="dark"] {',
+    ...darkLines,
+    '}',
+    ...wideGamutRules('  [data-theme="dark"] {', wide.dark),
+    '',
+    '/* Light Mode (nested inside a dark page) */',
+    '[data-theme="light"] {',
+    ...lightLines,
+    '}',
+    ...wideGamutRules('  [data-theme="light"] {', wide.light),
+    '',
+    GENERATED_END,
+  ].join('\n');
+}
+
+/**
+ * Split main.css around the generated block. Returns null when the markers are missing.
+ */
+export function extractGeneratedBlock(css) {
+  const start = css.indexOf(GENERATED_START);
+  const end = css.indexOf(GENERATED_END);
+  if (start === -1 || end === -1 || end < start) return null;
+  return {
+    before: css.slice(0, start),
+    block: css.slice(start, end + GENERATED_END.length),
+    after: css.slice(end + GENERATED_END.length),
+  };
+}
+
+export function syncMainCss(css, block) {
+  const parts = extractGeneratedBlock(css);
+  if (!parts) return adoptGeneratedBlock(css, block);
+  return parts.before + block + parts.after;
+}
+
+// First sync of a main.css without markers: the block goes to the top of
+// section 1, and the hand-written declarations it now owns are dropped from
+// the top-level rules of the same selector, wherever they are in the file.
+// Comments and rules left with nothing under them go too.
+function adoptGeneratedBlock(css, block) {
+  const heading = css.match(/\/\* ===== 1\. [^*]*\*\/\n\n/);
+  if (!heading) throw new Error('main.css has no @generated-tokens markers and no "1. VARIABLES" section to put them in');
+
+  const owned = parseDeclarations(block);
+  const stripped = css.replace(/(?<=^|\n)([^\s{}][^{}]*?)\{([^{}]*)\}(\n*)/g, (match, selector, body, trail) => {
+    const props = owned.get(selector.replace(/\/\*[\s\S]*?\*\//g, '').trim());
+    if (!props) return match;
+    const lines = body.split('\n').filter(line => {
+      const declaration = line.match(/^\s*(--[\w-]+)\s*:/);
+      return !declaration || !props.has(declaration[1]);
+    });
+    const kept = lines.filter((line, i) => {
+      if (!/^\s*\/\*.*\*\/\s*$/.test(line)) return true;
+      const next = lines.slice(i + 1).find(rest => rest.trim());
+      return next !== undefined && !/^\s*\/\*/.test(next);
+    }).join('\n').replace(/\n{3,}/g, '\n\n').replace(/^\n{2,}/, '\n').replace(/\n\n(\s*)$/, '\n$1');
+    return kept.trim() ? `${selector}{${kept}}${trail}` : '';
+  });
+
+  const start = stripped.indexOf(heading[0]) + heading[0].length;
+  return `${stripped.slice(0, start)}${block}\n\n${stripped.slice(start)}`;
+}
+
+// Parse `selector { --prop: value; }` rules into selector → Map(prop → value)
+function parseDeclarations(css) {
+  const rules = new Map();
+  const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  for (const [, selector, body] of text.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+    const decls = rules.get(selector.trim()) || new Map();
+    for (const [, prop, value] of body.matchAll(/(--[\w-]+)\s*:\s*([^;]+);/g)) {
+      decls.set(prop, value.trim());
+    }
+    rules.set(selector.trim(), decls);
+  }
+  return rules;
+}
+
+/**
+ * Compare main.css against a freshly generated block.
+ *
+ * @returns {string[]|null} Human-readable drift, empty when in sync; null
+ *   when main.css has no block yet, so there is nothing to compare
+ */
+export function checkMainCss(css, block) {
+  const parts = extractGeneratedBlock(css);
+  if (!parts) return null;
+
+  const drift = [];
+  const actual = parseDeclarations(parts.block);
+  const expected = parseDeclarations(block);
+
+  for (const [selector, decls] of expected) {
+    const have = actual.get(selector) || new Map();
+    for (const [prop, value] of decls) {
+      if (!have.has(prop)) drift.push(`${selector} ${prop}: missing (expected ${value})`);
+      else if (have.get(prop) !== value) drift.push(`${selector} ${prop}: ${have.get(prop)} (expected ${value})`);
+    }
+    for (const prop of have.keys()) {
+      if (!decls.has(prop)) drift.push(`${selector} ${prop}: not in token JSON`);
+    }
+  }
+  for (const selector of actual.keys()) {
+    if (!expected.has(selector)) drift.push(`${selector}: unexpected rule in generated block`);
+  }
+
+  // Hand-written redefinitions of generated tokens anywhere else in the file
+  const generated = new Set([...expected.values()].flatMap(decls => [...decls.keys()]));
+  for (const [selector, decls] of parseDeclarations(`${parts.before}\n${parts.after}`)) {
+    for (const prop of decls.keys()) {
+      if (generated.has(prop)) drift.push(`${selector} ${prop}: redefined outside the generated block`);
+    }
+  }
+
+  return drift;
+}
@@ -0,0 +1,133 @@
+/**
+ * Theme Modes
+ *
+ * A mode is one alias file of UI tokens: light, dark, and any others in
+ * the alias directory (high-contrast, dim, sepia, ...). Modes come from
+ * `tokens.modes` in heavy.config.js, or are discovered as every alias file
+ * that isn't one of the shared files:
+ *
+ *   tokens: {
+ *     modes: {
+ *       light: {},
+ *       dark: { media: '(prefers-color-scheme: dark)' },
+ *       'high-contrast': { media: '(prefers-contrast: more)' },
+ *       dim: { parent: 'dark' },
+ *     },
+ *   },
+ *
+ * A discovered file can declare the same options itself, under
+ * `"$extensions": { "hds": { "parent": "dark" } }` at its root.
+ *
+ * `light` is the default mode (:root). Every other mode inherits from its
+ * parent — the default mode unless declared — and only needs the tokens
+ * it changes. `media` maps the mode into `data-theme="auto"`.
+ */
+
+import fs from 'fs';
+import { SHARED_TOKEN_FILES, readTokenFile, collectTokens, setTokenAtPath } from './tokens.js';
+import { createResolver } from './resolve.js';
+
+export const DEFAULT_MODE = 'light';
+
+// Reserved for the media-query mode
+export const AUTO_MODE = 'auto';
+
+// Media queries for well-known mode names, unless configured otherwise
+const DEFAULT_MEDIA = {
+  dark: '(prefers-color-scheme: dark)',
+  'high-contrast': '(prefers-contrast: more)',
+};
+
+const MODE_FILE = /\.tokens\.json$/;
+
+function discoverModeNames(aliasDir) {
+  const shared = new Set(SHARED_TOKEN_FILES.filter(([layer]) => layer === 'alias').map(([, filename]) => filename));
+  const found = fs.existsSync(aliasDir)
+    ? fs.readdirSync(aliasDir).filter(filename => MODE_FILE.test(filename) && !shared.has(filename))
+    : [];
+  const others = found.map(filename => filename.replace(MODE_FILE, '')).filter(name => name !== DEFAULT_MODE && name !== 'dark').sort();
+  // light and dark always exist, as before modes were configurable
+  return [DEFAULT_MODE, 'dark', ...others];
+}
+
+// A mode's tokens over its parent's, with group `$type`s pushed down to each token
+function inherit(parentTokens, ownTokens) {
+  const tree = {};
+  for (const source of [parentTokens, ownTokens]) {
+    for (const { path: tokenPath, token, type } of collectTokens(source || {})) {
+      setTokenAtPath(tree, tokenPath, type ? { ...token, $type: type } : token);
+    }
+  }
+  return tree;
+}
+
+/**
+ * Read every mode, parents before children.
+ *
+ * @param {object} config - From loadConfig()
+ * @returns {{ name: string, file: string, parent: string|null, media: string|null, own: object, tokens: object }[]}
+ *   `own` is the mode file as written; `tokens` includes everything inherited.
+ *   The first mode is the default.
+ */
+export function readModes(config) {
+  const configured = config.tokens.modes;
+  const names = configured ? Object.keys(configured) : discoverModeNames(config.aliasTokensDir);
+  if (!names.includes(DEFAULT_MODE)) names.unshift(DEFAULT_MODE);
+
+  const declared = new Map();
+  for (const name of names) {
+    if (name === AUTO_MODE) throw new Error(`Mode "${AUTO_MODE}" is reserved for the prefers-color-scheme / prefers-contrast mode`);
+    const filename = `${name}.tokens.json`;
+    const own = readTokenFile(config.aliasTokensDir, filename) || {};
+    const options = { ...own.$extensions?.hds, ...configured?.[name] };
+    const parent = name === DEFAULT_MODE ? null : options.parent ?? DEFAULT_MODE;
+    if (parent && !names.includes(parent)) throw new Error(`Mode "${name}": unknown parent mode "${parent}"`);
+    declared.set(name, {
+      name,
+      file: `alias/${filename}`,
+      parent,
+      media: ('media' in options ? options.media : DEFAULT_MEDIA[name]) ?? null,
+      own,
+    });
+  }
+
+  // Parents first, so each mode can inherit from an already merged parent
+  const modes = [];
+  const visit = (name, chain) => {
+    if (modes.some(mode => mode.name === name)) return;
+    if (chain.includes(name)) throw new Error(`Circular mode parents: ${[...chain, name].join(' → ')}`);
+    const mode = declared.get(name);
+    if (mode.parent) visit(mode.parent, [...chain, name]);
+    const parent = modes.find(m => m.name === mode.parent);
+    modes.push({ ...mode, tokens: inherit(parent?.tokens, mode.own) });
+  };
+  for (const name of [DEFAULT_MODE, ...names]) visit(name, []);
+  return modes;
+}
+
+/**
+ * Mode files from this mode back to the default, default first.
+ */
+export function modeChain(modes, mode) {
+  const chain = [];
+  for (let current = mode; current; current = modes.find(m => m.name === current.parent)) {
+    chain.unshift(current);
+  }
+  return chain;
+}
+
+/**
+ * One resolver per mode: the shared files, the mode's ancestors and the
+ * mode itself (later sources win), then any extra sources (project overrides).
+ *
+ * @returns {Map<string, object>} Mode name → resolver
+ */
+export function createModeResolvers(modes, sharedSources, extraSources = []) {
+  const resolvers = new Map();
+  for (const mode of modes) {
+    const chain = modeChain(modes, mode).map(m => ({ file: m.file, tokens: m.own }));
+    resolvers.set(mode.name, createResolver([...sharedSources, ...chain, ...extraSources]));
+  }
+  return resolvers;
+}
+
@@ -0,0 +1,147 @@
+/**
+ * Token Module Output
+ *
+ * Emits the built tokens as an ES module plus matching type declarations,
+ * for code that needs token values outside CSS (canvas, charts, inline
+ * styles). Tokens nest by their custom property name segments:
+ *
+ *   import { tokens, cssVar } from 'heavy-design-system/dist/tokens.js';
+ *
+ *   tokens.action.primary.bg.default.value   // '#1C1C1C'
+ *   tokens.action.primary.bg.default.var     // 'var(--action-primary-bg-default)'
+ *   tokens.ui.bg.default.modes.dark          // '#161616'
+ *   cssVar('--ui-bg-default')                // type-checked against TokenName
+ *
+ * A token whose name is also a group is that group's `_`:
+ * `tokens.action.primary._` is `--action-primary`.
+ */
+
+const HEADER = [
+  '/* Auto-generated from token files - DO NOT EDIT */',
+  '/* Run `npm run build` to regenerate */',
+];
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Key for a token that is also a group
+const TOKEN_KEY = '_';
+
+function typeKey(key) {
+  return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Nest flat entries by their name segments. A token that is also a group
+ * (`--hds-action-primary` next to `--hds-action-primary-bg-default`) sits
+ * under the group's `_` key.
+ *
+ * @param {{ name: string, segments: string[], value: string, modes?: object }[]} entries
+ */
+function nest(entries) {
+  const root = {};
+  const isToken = node => typeof node?.name === 'string' && 'var' in node;
+  for (const entry of entries) {
+    let node = root;
+    const parents = entry.segments.slice(0, -1);
+    const leaf = entry.segments[entry.segments.length - 1];
+    for (const segment of parents) {
+      if (isToken(node[segment])) node[segment] = { [TOKEN_KEY]: node[segment] };
+      node = node[segment] ??= {};
+    }
+    const token = {
+      name: entry.name,
+      var: `var(${entry.name})`,
+      value: entry.value,
+      ...(entry.modes ? { modes: entry.modes } : {}),
+      ...(entry.deprecated ? { deprecated: entry.deprecated } : {}),
+    };
+    const group = node[leaf] && !isToken(node[leaf]) ? node[leaf] : null;
+    if (group ? group[TOKEN_KEY] : node[leaf]) {
+      const other = group ? group[TOKEN_KEY] : node[leaf];
+      throw new Error(`Token module: ${entry.name} and ${other.name} both nest as ${[...entry.segments, ...(group ? [TOKEN_KEY] : [])].join('.')}`);
+    }
+    if (group) group[TOKEN_KEY] = token;
+    else node[leaf] = token;
+  }
+  return root;
+}
+
+function typeTree(node, depth) {
+  const indent = '  '.repeat(depth);
+  const lines = ['{'];
+  for (const [key, child] of Object.entries(node)) {
+    const type = typeof child.name === 'string'
+      ? `${child.modes ? 'ModeToken' : 'Token'}<${JSON.stringify(child.name)}>`
+      : typeTree(child, depth + 1);
+    if (child.deprecated) lines.push(`${indent}  /** @deprecated ${child.deprecated.replace(/\*\//g, '* /')} */`);
+    lines.push(`${indent}  readonly ${typeKey(key)}: ${type};`);
+  }
+  lines.push(`${indent}}`);
+  return lines.join('\n');
+}
+
+/**
+ * @param {{ name: string, segments: string[], value: string, modes?: object, deprecated?: string }[]} entries
+ * @param {string[]} modes - Mode names, e.g. ['light', 'dark']
+ * @returns {{ js: string, dts: string }}
+ */
+export function generateTokenModule(entries, modes) {
+  const tree = nest(entries);
+  const names = entries.map(entry => JSON.stringify(entry.name));
+
+  const js = [
+    ...HEADER,
+    '',
+    `export const tokens = ${JSON.stringify(tree, null, 2)};`,
+    '',
+    'function flatten(node, out) {',
+    '  for (const child of Object.values(node)) {',
+    "    if (typeof child.name === 'string' && 'var' in child) out[child.name] = child;",
+    '    else flatten(child, out);',
+    '  }',
+    '  return out;',
+    '}',
+    '',
+    '/** Every token keyed by custom property name. */',
+    'export const tokensByName = flatten(tokens, {});',
+    '',
+    '/** `var()` reference for a token name. */',
+    'export function cssVar(name) {',
+    '  return `var(${name})`;',
+    '}',
+    '',
+  ].join('\n');
+
+  const dts = [
+    ...HEADER,
+    '',
+    `export type TokenName =\n  | ${names.length ? names.join('\n  | ') : 'never'};`,
+    '',
+    `export type ModeName = ${modes.length ? modes.map(m => JSON.stringify(m)).join(' | ') : 'never'};`,
+    '',
+    'export interface Token<N extends TokenName = TokenName> {',
+    '  /** Custom property name */',
+    '  readonly name: N;',
+    '  /** `var()` reference, for inline styles */',
+    '  readonly var: `var(${N})`;',
+    '  /** Resolved value (default mode) */',
+    '  readonly value: string;',
+    '  /** Why the token is deprecated and what replaces it */',
+    '  readonly deprecated?: string;',
+    '}',
+    '',
+    'export interface ModeToken<N extends TokenName = TokenName> extends Token<N> {',
+    '  /** Resolved value per mode */',
+    '  readonly modes: { readonly [M in ModeName]?: string };',
+    '}',
+    '',
+    `export declare const tokens: ${typeTree(tree, 0)};`,
+    '',
+    'export declare const tokensByName: { readonly [N in TokenName]: Token<N> | ModeToken<N> };',
+    '',
+    'export declare function cssVar<N extends TokenName>(name: N): `var(${N})`;',
+    '',
+  ].join('\n');
+
+  return { js, dts };
+}
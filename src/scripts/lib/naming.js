@@ -0,0 +1,139 @@
+/**
+ * Custom Property Naming
+ *
+ * One declarative layer that turns a token (source file + dot path) into a
+ * CSS custom property name. The tokens.css emitter, the main.css generator,
+ * and the style guide pages all name tokens through here, so documented
+ * names always match what ships.
+ *
+ * Options (`naming` in heavy.config.js — a preset name or an object):
+ *
+ *   {
+ *     extends: 'hds',       // start from a preset
+ *     prefix: 'hds',        // leading segment for every name
+ *     case: 'kebab',        // 'kebab' | 'snake' | 'camel'
+ *     groups: {
+ *       // '<source>:<path prefix>' → new leading segment ('' drops it)
+ *       'alias/spacing:space': 'gap',
+ *       // or an object to also override the prefix for that group
+ *       'base/colors': { rename: 'color', prefix: 'base' },
+ *     },
+ *   }
+ *
+ * Sources are token files without the extension (`base/colors`,
+ * `alias/spacing`, ...) plus `mode` for the theme mode files (light, dark, ...).
+ */
+
+export const NAMING_PRESETS = {
+  // main.css / React component naming
+  hds: {
+    prefix: 'hds',
+    case: 'kebab',
+    groups: {
+      'base/colors': { rename: 'color', prefix: 'base' },
+      'base/scale:ui': 'space',
+      'base/scale:type': 'type',
+      'alias/typography:font-size': 'font-size',
+      'alias/spacing:space': 'spacing',
+      'alias/spacing:screen': 'screen',
+      'alias/radius:container': 'radius',
+      'mode:ui': '',
+    },
+  },
+  // Original dist/tokens.css naming (--color-gray-45, --gap-md, --ui-bg-default)
+  legacy: {
+    prefix: '',
+    case: 'kebab',
+    groups: {
+      'base/colors': 'color',
+      'base/scale:ui': 'space',
+      'base/scale:type': 'type',
+      'alias/typography:font-size': 'font-size',
+      'alias/spacing:space': 'gap',
+      'alias/spacing:screen': 'screen',
+      'alias/radius:container': 'radius',
+    },
+  },
+};
+
+const CASES = {
+  kebab: segments => segments.join('-'),
+  snake: segments => segments.join('_').replace(/-/g, '_'),
+  camel: segments => segments
+    .flatMap(s => s.split('-'))
+    .filter(Boolean)
+    .map((s, i) => (i === 0 ? s : s.charAt(0).toUpperCase() + s.slice(1)))
+    .join(''),
+};
+
+/**
+ * Source label for a token file: `alias/spacing.tokens.json` → `alias/spacing`.
+ */
+export function sourceOf(file) {
+  return file.replace(/\.tokens\.json$/, '');
+}
+
+function resolveOptions(options) {
+  if (!options || typeof options === 'string') {
+    const preset = NAMING_PRESETS[options || 'hds'];
+    if (!preset) throw new Error(`Unknown naming preset: ${options}`);
+    return preset;
+  }
+  const base = options.extends ? resolveOptions(options.extends) : { prefix: '', case: 'kebab', groups: {} };
+  return {
+    prefix: options.prefix ?? base.prefix,
+    case: options.case ?? base.case,
+    groups: { ...base.groups, ...options.groups },
+  };
+}
+
+/**
+ * @param {string|object} [options] - Preset name or naming options (default: 'hds')
+ */
+export function createNaming(options) {
+  const resolved = resolveOptions(options);
+  const format = CASES[resolved.case];
+  if (!format) throw new Error(`Unknown naming case: ${resolved.case}`);
+
+  // Longest path prefix first so 'mode:ui.bg' beats 'mode:ui'
+  const rules = Object.entries(resolved.groups)
+    .map(([key, rule]) => {
+      const [source, pathPrefix = ''] = key.split(':');
+      const { rename, prefix } = typeof rule === 'string' ? { rename: rule } : rule;
+      return { source, segments: pathPrefix ? pathPrefix.split('.') : [], rename, prefix };
+    })
+    .sort((a, b) => b.segments.length - a.segments.length);
+
+  function findRule(source, segments) {
+    return rules.find(rule =>
+      rule.source === source && rule.segments.every((s, i) => segments[i] === s)
+    );
+  }
+
+  return {
+    options: resolved,
+
+    /** Name segments before case formatting: `['hds', 'bg', 'default']`. */
+    segments(source, tokenPath) {
+      const segments = tokenPath.split('.');
+      const rule = findRule(source, segments);
+      let prefix = resolved.prefix;
+      let rest = segments;
+      if (rule) {
+        rest = [...(rule.rename ? rule.rename.split('.') : []), ...segments.slice(rule.segments.length)];
+        if (rule.prefix !== undefined) prefix = rule.prefix;
+      }
+      return [...(prefix ? [prefix] : []), ...rest];
+    },
+
+    /** Name without the leading `--`. */
+    name(source, tokenPath) {
+      return format(this.segments(source, tokenPath));
+    },
+
+    /** Full custom property name, e.g. `--hds-bg-default`. */
+    cssVar(source, tokenPath) {
+      return `--${this.name(source, tokenPath)}`;
+    },
+  };
+}
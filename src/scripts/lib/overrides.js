@@ -0,0 +1,162 @@
+/**
+ * Override Impact Report
+ *
+ * Compares the build with and without a project overrides file: which
+ * tokens changed in which mode (including aliases that follow an
+ * overridden token), which override keys matched nothing — and so created
+ * a new token instead of replacing one — and which contrast pairs got
+ * worse and fell below WCAG AA (see lib/contrast.js).
+ */
+
+import { getTokenValue } from './css.js';
+import { collectTokens } from './tokens.js';
+import { distance } from './validate.js';
+import { DEFAULT_CONTRAST_PAIRS, WCAG_AA, expandPairs, measurePairs, resolveColors } from './contrast.js';
+
+function closest(tokenPath, known) {
+  let best = null;
+  for (const candidate of known) {
+    const d = distance(tokenPath, candidate);
+    if (d <= 2 && (!best || d < best.d)) best = { candidate, d };
+  }
+  return best?.candidate ?? null;
+}
+
+/**
+ * @param {object} before - Build model without overrides (build-tokens.js buildModel)
+ * @param {object} after - Build model with the overrides applied
+ * @param {{ file: string, tokens: object }} overrides
+ * @param {Set<string>} knownPaths - Every token path the token files define
+ * @param {object[]|null} [pairs] - Contrast pair patterns; null skips the contrast check
+ * @returns {{ file: string, changed: object[], unmatched: object[], regressions: object[]|null }}
+ *   `regressions` is null when contrast wasn't checked
+ */
+export function overrideImpact(before, after, overrides, knownPaths, pairs = DEFAULT_CONTRAST_PAIRS) {
+  const overridePaths = collectTokens(overrides.tokens).map(entry => entry.path);
+  const overridden = new Set(overridePaths);
+
+  const changed = new Map();
+  const regressions = [];
+  for (const mode of after.modes) {
+    const base = before.modes.find(m => m.name === mode.name);
+    const baseEntries = new Map(base.entries.map(entry => [entry.path, entry]));
+
+    for (const entry of mode.entries) {
+      const previous = baseEntries.get(entry.path);
+      if (!previous) continue;
+      const from = String(getTokenValue(previous.token, base.resolver));
+      const to = String(getTokenValue(entry.token, mode.resolver));
+      if (from === to) continue;
+      const change = changed.get(entry.path) || { path: entry.path, name: entry.name, override: overridden.has(entry.path), modes: {} };
+      change.modes[mode.name] = { before: from, after: to };
+      changed.set(entry.path, change);
+    }
+
+    if (!pairs) continue;
+    const beforeColors = resolveColors(base.entries, base.resolver);
+    const afterColors = resolveColors(mode.entries, mode.resolver);
+    const concrete = expandPairs(pairs, [...afterColors.keys()]);
+    const ratios = new Map(measurePairs(concrete, beforeColors).map(pair => [`${pair.foreground}|${pair.background}`, pair.ratio]));
+    for (const pair of measurePairs(concrete, afterColors)) {
+      const previous = ratios.get(`${pair.foreground}|${pair.background}`);
+      if (previous === undefined || pair.ratio >= WCAG_AA || pair.ratio >= previous - 0.005) continue;
+      regressions.push({ mode: mode.name, foreground: pair.foreground, background: pair.background, before: previous, after: pair.ratio });
+    }
+  }
+
+  const unmatched = overridePaths
+    .filter(tokenPath => !knownPaths.has(tokenPath))
+    .map(tokenPath => ({ path: tokenPath, suggestion: closest(tokenPath, knownPaths) }));
+
+  return { file: overrides.file, changed: [...changed.values()], unmatched, regressions: pairs ? regressions : null };
+}
+
+const ratio = n => `${n.toFixed(2)}:1`;
+
+/**
+ * Console lines for a report.
+ */
+export function formatImpact(report) {
+  const lines = [`Override impact (${report.file}):`];
+  if (!report.changed.length && !report.unmatched.length && !report.regressions?.length) {
+    lines.push('  no token values changed');
+    return lines;
+  }
+  if (report.changed.length) {
+    lines.push(`  ${report.changed.length} token${report.changed.length === 1 ? '' : 's'} changed:`);
+    for (const change of report.changed) {
+      const values = Object.entries(change.modes).map(([mode, { before, after }]) => `${mode} ${before} → ${after}`);
+      lines.push(`    ${change.name}${change.override ? '' : ' (alias)'}: ${values.join(' · ')}`);
+    }
+  }
+  if (report.unmatched.length) {
+    lines.push(`  ⚠ ${report.unmatched.length} override key${report.unmatched.length === 1 ? '' : 's'} matched no token (added as new):`);
+    for (const { path, suggestion } of report.unmatched) {
+      lines.push(`    ${path}${suggestion ? ` (did you mean ${suggestion}?)` : ''}`);
+    }
+  }
+  if (report.regressions?.length) {
+    lines.push(`  ⚠ ${report.regressions.length} contrast regression${report.regressions.length === 1 ? '' : 's'} below ${WCAG_AA}:1:`);
+    for (const r of report.regressions) {
+      lines.push(`    ${r.mode}: ${r.foreground} on ${r.background} ${ratio(r.before)} → ${ratio(r.after)}`);
+    }
+  }
+  return lines;
+}
+
+const escapeHtml = value => String(value).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+
+function swatch(value) {
+  return `<span class="swatch" style="background: ${escapeHtml(value)}"></span>`;
+}
+
+/**
+ * Standalone HTML page for a report.
+ */
+export function impactHTML(report) {
+  const modes = [...new Set(report.changed.flatMap(change => Object.keys(change.modes)))];
+  const changedRows = report.changed.map(change => `      <tr>
+        <td><code>${escapeHtml(change.name)}</code>${change.override ? '' : ' <small>alias</small>'}</td>
+${modes.map(mode => {
+    const values = change.modes[mode];
+    return values
+      ? `        <td>${swatch(values.before)}<code>${escapeHtml(values.before)}</code> → ${swatch(values.after)}<code>${escapeHtml(values.after)}</code></td>`
+      : '        <td>—</td>';
+  }).join('\n')}
+      </tr>`).join('\n');
+  const unmatchedRows = report.unmatched.map(({ path, suggestion }) =>
+    `      <tr><td><code>${escapeHtml(path)}</code></td><td>${suggestion ? `<code>${escapeHtml(suggestion)}</code>` : '—'}</td></tr>`).join('\n');
+  const regressionRows = (report.regressions || []).map(r =>
+    `      <tr><td>${escapeHtml(r.mode)}</td><td><code>${escapeHtml(r.foreground)}</code></td><td><code>${escapeHtml(r.background)}</code></td><td>${ratio(r.before)}</td><td class="fail">${ratio(r.after)}</td></tr>`).join('\n');
+
+  const table = (head, rows, empty) => (rows
+    ? `    <table>\n      <tr>${head.map(h => `<th>${h}</th>`).join('')}</tr>\n${rows}\n    </table>`
+    : `    <p>${empty}</p>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Override impact — ${escapeHtml(report.file)}</title>
+  <style>
+    body { font: 14px/1.5 system-ui, sans-serif; margin: 32px; color: #161616; }
+    table { border-collapse: collapse; margin-bottom: 32px; }
+    th, td { text-align: left; padding: 6px 12px; border-bottom: 1px solid #E4E4E4; }
+    .swatch { display: inline-block; width: 12px; height: 12px; margin-right: 4px; border: 1px solid #0002; vertical-align: middle; }
+    .fail { color: #D9212D; font-weight: 600; }
+  </style>
+</head>
+<body>
+  <h1>Override impact</h1>
+  <p><code>${escapeHtml(report.file)}</code></p>
+  <h2>Changed tokens (${report.changed.length})</h2>
+${table(['Token', ...modes.map(escapeHtml)], changedRows, 'No token values changed.')}
+  <h2>Unmatched override keys (${report.unmatched.length})</h2>
+${table(['Key', 'Did you mean'], unmatchedRows, 'Every override key replaces an existing token.')}
+${report.regressions ? `  <h2>Contrast regressions (${report.regressions.length})</h2>
+${table(['Mode', 'Foreground', 'Background', 'Before', 'After'], regressionRows, `No pair dropped below ${WCAG_AA}:1.`)}` : `  <h2>Contrast regressions</h2>
+    <p>Contrast check off.</p>`}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,114 @@
+/**
+ * Color Ramps
+ *
+ * Generates a base color family — stops 0 (lightest) to 95 (darkest),
+ * plus black and white — from one seed color, in OKLCH. Each stop takes
+ * its lightness from a curve and its chroma from a curve scaled to the
+ * seed; the hue stays the seed's. The stop closest in lightness to the
+ * seed is the seed itself. Stops outside sRGB are gamut mapped by
+ * lowering chroma until the clipped color is indistinguishable (CSS Color 4).
+ *
+ * Ramps come from `tokens.ramps` in the config:
+ *
+ *   ramps: {
+ *     brand: { seed: '#D9212D' },
+ *     teal: { seed: 'oklch(0.6 0.12 190)', chroma: [0.1, 0.2, ...] },
+ *   }
+ *
+ * `lightness` (OKLCH L, 0–1) and `chroma` (multiples of the peak) take one
+ * value per stop. The defaults follow the hand-tuned gray and red families,
+ * so generated families line up with them stop for stop.
+ *
+ * `colorSpace: 'oklch'` writes each stop as its unmapped OKLCH color, with
+ * the gamut-mapped sRGB hex as fallback, so wide-gamut screens get the
+ * full chroma (see lib/css.js).
+ */
+
+import { parseColorSpace, parseColor, colorValue, componentsToHex, toOklch, gamutMap } from './color.js';
+
+export const RAMP_STOPS = Array.from({ length: 20 }, (_, i) => String(i * 5));
+
+// OKLCH lightness of gray-0 … gray-95
+export const DEFAULT_LIGHTNESS = [
+  0.979, 0.955, 0.919, 0.879, 0.83, 0.77, 0.699, 0.63, 0.569, 0.51,
+  0.45, 0.402, 0.341, 0.289, 0.239, 0.2, 0.159, 0.122, 0.067, 0,
+];
+
+// Chroma of red-0 … red-95 relative to its peak at red-40
+export const DEFAULT_CHROMA = [
+  0.05, 0.1, 0.19, 0.29, 0.44, 0.63, 0.83, 0.94, 1, 0.96,
+  0.85, 0.75, 0.64, 0.55, 0.45, 0.38, 0.3, 0.23, 0.14, 0,
+];
+
+/**
+ * Seed color → OKLCH `[L, C, H]`, or null. An `oklch()` seed is kept as
+ * written, even outside sRGB; any other color is read as sRGB.
+ */
+export function parseSeed(seed) {
+  const color = parseColorSpace(seed);
+  if (color?.colorSpace === 'oklch') return color.components;
+  const srgb = parseColor(seed);
+  return srgb ? toOklch(srgb.components) : null;
+}
+
+function curve(name, option, key, fallback) {
+  if (option === undefined) return fallback;
+  if (!Array.isArray(option) || option.length !== RAMP_STOPS.length || !option.every(n => typeof n === 'number' && n >= 0)) {
+    throw new Error(`Ramp "${name}": ${key} needs ${RAMP_STOPS.length} non-negative numbers, one per stop (0–95)`);
+  }
+  return option;
+}
+
+/**
+ * Validate `tokens.ramps` into a list of ramp options.
+ *
+ * @returns {{ name: string, seed: string, oklch: number[], lightness: number[], chroma: number[], colorSpace: string }[]}
+ */
+export function readRamps(ramps) {
+  return Object.entries(ramps || {}).map(([name, options]) => {
+    const seed = options?.seed;
+    const oklch = parseSeed(seed);
+    if (!oklch) throw new Error(`Ramp "${name}": seed ${JSON.stringify(seed)} is not a color`);
+    const colorSpace = options.colorSpace ?? 'srgb';
+    if (!['srgb', 'oklch'].includes(colorSpace)) throw new Error(`Ramp "${name}": colorSpace must be srgb or oklch, got ${JSON.stringify(colorSpace)}`);
+    return {
+      name,
+      seed,
+      oklch,
+      lightness: curve(name, options.lightness, 'lightness', DEFAULT_LIGHTNESS),
+      chroma: curve(name, options.chroma, 'chroma', DEFAULT_CHROMA),
+      colorSpace,
+    };
+  });
+}
+
+/**
+ * Every stop of a ramp from readRamps().
+ *
+ * @returns {{ stop: string, oklch: number[], components: number[], mapped: boolean, seed: boolean }[]}
+ */
+export function generateRamp({ oklch: [seedL, seedC, hue], lightness, chroma }) {
+  const seedIndex = lightness.reduce((best, L, i) => (Math.abs(L - seedL) < Math.abs(lightness[best] - seedL) ? i : best), 0);
+  const peak = chroma[seedIndex] ? seedC / chroma[seedIndex] : seedC;
+
+  return RAMP_STOPS.map((stop, i) => {
+    const oklch = i === seedIndex ? [seedL, seedC, hue] : [lightness[i], peak * chroma[i], hue];
+    return { stop, oklch, ...gamutMap(oklch), seed: i === seedIndex };
+  });
+}
+
+/**
+ * DTCG group for a generated family, as colors.tokens.json holds it.
+ */
+export function rampTokens(ramp, stops) {
+  const group = { $description: `20-step OKLCH scale from seed ${ramp.seed}, 0=lightest 95=darkest` };
+  for (const { stop, oklch: [L, C, H], components } of stops) {
+    const $value = ramp.colorSpace === 'oklch'
+      ? { colorSpace: 'oklch', components: [+L.toFixed(4), +C.toFixed(4), +H.toFixed(2)], alpha: 1, hex: componentsToHex(components) }
+      : colorValue(components);
+    group[stop] = { $type: 'color', $value };
+  }
+  group.black = { $type: 'color', $value: colorValue([0, 0, 0]) };
+  group.white = { $type: 'color', $value: colorValue([1, 1, 1]) };
+  return group;
+}
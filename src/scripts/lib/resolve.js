@@ -0,0 +1,157 @@
+/**
+ * DTCG Alias Resolver
+ *
+ * Resolves `{group.token}` references over a merged token tree:
+ *
+ *   - alias → alias chains of any depth ({forms.input.bg} → {ui.bg.inset} → {gray.10})
+ *   - references into any loaded file (colors, scale, typography, radius, ...)
+ *   - references nested inside composite values (objects, arrays)
+ *   - references embedded in strings ("{space.sm} {space.md}")
+ *
+ * Unresolved and circular references are collected as problems carrying
+ * the source file and token path rather than passed through silently.
+ */
+
+import { collectTokens } from './tokens.js';
+
+const EXACT_REF = /^\{([^{}]+)\}$/;
+const EMBEDDED_REF = /\{([^{}]+)\}/g;
+
+export class TokenReferenceError extends Error {
+  constructor(problems) {
+    super(`${problems.length} unresolvable token reference${problems.length === 1 ? '' : 's'}:\n${problems.map(formatProblem).join('\n')}`);
+    this.name = 'TokenReferenceError';
+    this.problems = problems;
+  }
+}
+
+export function formatProblem(problem) {
+  const where = `${problem.file} → ${problem.path}`;
+  if (problem.kind === 'circular') {
+    return `  ${where}: circular reference ${problem.chain.map(p => `{${p}}`).join(' → ')}`;
+  }
+  return `  ${where}: unresolved reference {${problem.ref}}`;
+}
+
+/**
+ * Check several resolvers (e.g. one per mode) and merge their problems.
+ * Shared tokens are checked by every resolver, so each problem is reported once.
+ */
+export function collectProblems(...resolvers) {
+  const problems = new Map();
+  for (const resolver of resolvers) {
+    for (const problem of resolver.check()) {
+      problems.set(`${problem.file}|${problem.path}|${problem.ref}`, problem);
+    }
+  }
+  return [...problems.values()];
+}
+
+/**
+ * Return the referenced path when a value is a bare `{alias}`, else null.
+ */
+export function getRef(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.match(EXACT_REF);
+  return match ? match[1] : null;
+}
+
+/**
+ * Create a resolver over one or more token sources. Later sources win
+ * when two define the same path (e.g. a mode file over the shared files,
+ * project overrides over a mode file).
+ *
+ * @param {{ file: string, tokens: object }[]} sources
+ */
+export function createResolver(sources) {
+  const index = new Map();
+  for (const { file, tokens } of sources) {
+    if (!tokens) continue;
+    for (const entry of collectTokens(tokens)) {
+      // A later file may redefine a token without repeating its $type
+      index.set(entry.path, { ...entry, type: entry.type ?? index.get(entry.path)?.type, file });
+    }
+  }
+
+  const cache = new Map();
+  const problems = new Map();
+
+  function report(problem) {
+    const key = `${problem.file}|${problem.path}|${problem.kind}|${problem.ref}`;
+    if (!problems.has(key)) problems.set(key, problem);
+  }
+
+  function resolvePath(ref, ctx) {
+    const entry = index.get(ref);
+    if (!entry) {
+      report({ kind: 'unresolved', ref, file: ctx.file, path: ctx.path });
+      return `{${ref}}`;
+    }
+    if (ctx.stack.includes(ref)) {
+      const chain = [...ctx.stack.slice(ctx.stack.indexOf(ref)), ref];
+      report({ kind: 'circular', ref, chain, file: entry.file, path: entry.path });
+      return `{${ref}}`;
+    }
+    if (cache.has(ref)) return cache.get(ref);
+
+    const value = resolveValue(entry.token.$value, { file: entry.file, path: ref, stack: [...ctx.stack, ref] });
+    cache.set(ref, value);
+    return value;
+  }
+
+  function resolveValue(value, ctx) {
+    if (typeof value === 'string') {
+      const ref = getRef(value);
+      if (ref) return resolvePath(ref, ctx);
+      if (!value.includes('{')) return value;
+      return value.replace(EMBEDDED_REF, (match, embedded) => {
+        const resolved = resolvePath(embedded, ctx);
+        return typeof resolved === 'object' ? match : String(resolved);
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(v => resolveValue(v, ctx));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, v] of Object.entries(value)) {
+        result[key] = resolveValue(v, ctx);
+      }
+      return result;
+    }
+    return value;
+  }
+
+  return {
+    /** Look up a token entry ({ path, token, type, file }) by dot path. */
+    get(tokenPath) {
+      return index.get(tokenPath) || null;
+    },
+
+    has(tokenPath) {
+      return index.has(tokenPath);
+    },
+
+    entries() {
+      return [...index.values()];
+    },
+
+    /** Fully resolve a raw `$value` (or any value containing references). */
+    resolve(value, ctx = { file: '(inline)', path: '(inline)' }) {
+      return resolveValue(value, { stack: [], ...ctx });
+    },
+
+    /** Resolve the token at a dot path. */
+    resolveToken(tokenPath) {
+      return resolvePath(tokenPath, { file: '(lookup)', path: tokenPath, stack: [] });
+    },
+
+    /** Resolve every indexed token and return all problems found. */
+    check() {
+      for (const entry of index.values()) {
+        resolvePath(entry.path, { file: entry.file, path: entry.path, stack: [] });
+      }
+      return [...problems.values()];
+    },
+  };
+}
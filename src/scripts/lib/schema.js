@@ -0,0 +1,184 @@
+/**
+ * JSON Schema Checks
+ *
+ * Just enough of JSON Schema (draft 2020-12) to check token values against
+ * src/schemas/tokens.schema.json, so the schema stays the one definition of
+ * what a valid token looks like:
+ *
+ *   $ref (local #/$defs/… only), type, enum, const, pattern, minimum,
+ *   maximum, minItems, maxItems, items, prefixItems, required, properties,
+ *   patternProperties, additionalProperties, allOf, anyOf, oneOf, if/then/else
+ *
+ * `oneOf` is checked like `anyOf`: the token schema never has two matching
+ * branches. Annotations (title, description, default) are ignored.
+ *
+ * Messages name the `$defs` entry being checked ("invalid dimension value
+ * "12pt""), and when no branch of a `oneOf` matches, the one branch whose
+ * type fits the value explains what is wrong with it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const TOKEN_SCHEMA_PATH = path.resolve(__dirname, '../../schemas/tokens.schema.json');
+
+let tokenSchema = null;
+
+/**
+ * The token file schema, read once.
+ */
+export function readTokenSchema() {
+  tokenSchema ??= JSON.parse(fs.readFileSync(TOKEN_SCHEMA_PATH, 'utf-8'));
+  return tokenSchema;
+}
+
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function typeMatches(type, value) {
+  const actual = jsonType(value);
+  return [].concat(type).some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+// `dimensionValue` → `dimension value`
+function labelOf(ref) {
+  return ref.split('/').pop().replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+}
+
+function article(word) {
+  return /^[aeiou]/.test(word) ? `an ${word}` : `a ${word}`;
+}
+
+/**
+ * Create a checker over one schema document.
+ *
+ * @param {object} root - The schema document `$ref`s resolve against
+ * @returns {(value: any, schema?: object|boolean|string) => { path: string, message: string }[]}
+ *   Pass a subschema or a `#/$defs/…` pointer; `path` is the dot path inside the value ('' for the value itself)
+ */
+export function createSchemaChecker(root) {
+  function deref(ref) {
+    if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref ${ref}`);
+    return ref.slice(2).split('/').reduce((node, key) => {
+      if (node?.[key] === undefined) throw new Error(`Unknown $ref ${ref}`);
+      return node[key];
+    }, root);
+  }
+
+  // Follow a chain of bare $refs to the schema that does the work
+  function target(schema) {
+    let label = null;
+    while (schema && typeof schema === 'object' && schema.$ref) {
+      label = labelOf(schema.$ref);
+      schema = deref(schema.$ref);
+    }
+    return { schema, label };
+  }
+
+  const join = (at, key) => (at ? `${at}.${key}` : String(key));
+
+  function check(value, schema, at, label) {
+    if (schema === true || schema === undefined) return [];
+    if (schema === false) return [{ path: at, message: 'not allowed' }];
+    if (schema.$ref) {
+      const resolved = target(schema);
+      return check(value, resolved.schema, at, resolved.label);
+    }
+
+    const shown = JSON.stringify(value);
+    if (schema.type !== undefined && !typeMatches(schema.type, value)) {
+      const expected = label ? article(label) : [].concat(schema.type).map(article).join(' or ');
+      return [{ path: at, message: `expected ${expected}, got ${shown}` }];
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+      return [{ path: at, message: `expected ${JSON.stringify(schema.const)}, got ${shown}` }];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      return [{ path: at, message: `expected one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${shown}` }];
+    }
+
+    const errors = [];
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path: at, message: `invalid ${label || 'value'} ${shown}` });
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: at, message: `must be at least ${schema.minimum}, got ${value}` });
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: at, message: `must be at most ${schema.maximum}, got ${value}` });
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path: at, message: `needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}, got ${value.length}` });
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path: at, message: `allows at most ${schema.maxItems} items, got ${value.length}` });
+      const prefix = schema.prefixItems || [];
+      value.forEach((item, i) => {
+        const itemSchema = i < prefix.length ? prefix[i] : schema.items;
+        errors.push(...check(item, itemSchema, join(at, i), null));
+        if (i < prefix.length && schema.items !== undefined) errors.push(...check(item, schema.items, join(at, i), null));
+      });
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const missing = (schema.required || []).filter(key => value[key] === undefined);
+      if (missing.length) errors.push({ path: at, message: `${label ? `${label} is ` : ''}missing ${missing.join(', ')}` });
+      const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, sub]) => [new RegExp(pattern, 'u'), sub]);
+      for (const [key, child] of Object.entries(value)) {
+        let known = false;
+        if (schema.properties && key in schema.properties) {
+          known = true;
+          errors.push(...check(child, schema.properties[key], join(at, key), null));
+        }
+        for (const [pattern, sub] of patterns) {
+          if (!pattern.test(key)) continue;
+          known = true;
+          errors.push(...check(child, sub, join(at, key), null));
+        }
+        if (!known && schema.additionalProperties !== undefined) {
+          errors.push(...(schema.additionalProperties === false
+            ? [{ path: at, message: `${label ? `${label} has ` : ''}unknown field ${key}` }]
+            : check(child, schema.additionalProperties, join(at, key), null)));
+        }
+      }
+    }
+
+    for (const sub of schema.allOf || []) errors.push(...check(value, sub, at, label));
+    for (const keyword of ['anyOf', 'oneOf']) {
+      if (schema[keyword]) errors.push(...checkBranches(value, schema[keyword], at, label));
+    }
+    if (schema.if !== undefined) {
+      const branch = check(value, schema.if, at, label).length ? schema.else : schema.then;
+      errors.push(...check(value, branch, at, label));
+    }
+    return errors;
+  }
+
+  function checkBranches(value, branches, at, label) {
+    const results = branches.map(branch => check(value, branch, at, label));
+    if (results.some(errors => !errors.length)) return [];
+    if (branches.every(branch => Object.keys(branch).length === 1 && branch.required)) {
+      return [{ path: at, message: `${label ? `${label} ` : ''}needs ${branches.map(branch => branch.required.join(' and ')).join(' or ')}` }];
+    }
+
+    // A reference only explains the failure when the value looks like one
+    const looksLikeReference = typeof value === 'string' && value.startsWith('{');
+    const fitting = branches
+      .map((branch, i) => ({ ...target(branch), errors: results[i] }))
+      .filter(({ schema, label: branchLabel }) => (branchLabel === 'reference' ? looksLikeReference : schema?.type === undefined || typeMatches(schema.type, value)));
+    if (fitting.length === 1) return fitting[0].errors;
+
+    const shown = JSON.stringify(value);
+    if (label) return [{ path: at, message: `expected ${article(label)}, got ${shown}` }];
+    const options = branches.map(branch => {
+      const resolved = target(branch);
+      return resolved.label || [].concat(resolved.schema?.type || 'value').join(' or ');
+    });
+    return [{ path: at, message: `expected ${options.map(article).join(' or ')}, got ${shown}` }];
+  }
+
+  return (value, schema = true) => check(value, typeof schema === 'string' ? { $ref: schema } : schema, '', null);
+}
@@ -0,0 +1,117 @@
+/**
+ * Theme Class Aliases
+ *
+ * Lets a theme's components.css use the HDS component classes while older
+ * markup keeps its own names. `aliases.json` next to components.css maps
+ * each legacy selector to the HDS selector it stands for:
+ *
+ *   {
+ *     "button": ".hds-btn",
+ *     ".btn-primary": ".hds-btn--primary",
+ *     ".match-list li": ".hds-list-item",
+ *     ".preview.error": ".hds-card.hds-status-msg--error"
+ *   }
+ *
+ * Every rule whose selector uses an aliased HDS selector gets the legacy
+ * version added to its selector list, so `.hds-btn--primary:hover` also
+ * matches `.btn-primary:hover`. Compound HDS selectors are replaced before
+ * their parts, and an HDS selector with several legacy names gets one
+ * selector per name. build-themes.js fails on an alias that matches no rule.
+ */
+
+import fs from 'fs';
+
+export const THEME_ALIASES_FILE = 'aliases.json';
+
+/**
+ * Read an aliases file.
+ *
+ * @returns {Record<string, string>} Legacy selector → HDS selector
+ */
+export function readThemeAliases(file) {
+  let aliases;
+  try {
+    aliases = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) throw new Error(`${file}: expected an object of legacy → HDS selectors`);
+  for (const [legacy, hds] of Object.entries(aliases)) {
+    if (typeof hds !== 'string' || !/^(\.[A-Za-z0-9_-]+)+$/.test(hds)) {
+      throw new Error(`${file}: "${legacy}" must map to one or more classes, like ".hds-btn--primary"`);
+    }
+  }
+  return aliases;
+}
+
+// Split a selector list on top-level commas
+function splitSelectors(list) {
+  const selectors = [];
+  let depth = 0;
+  let current = '';
+  for (const char of list) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      selectors.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  return [...selectors, current.trim()].filter(Boolean);
+}
+
+/**
+ * Add legacy selectors to every rule that uses an aliased HDS selector.
+ *
+ * @param {string} css - components.css
+ * @param {Record<string, string>} aliases - From readThemeAliases()
+ * @returns {{ css: string, unmatched: string[] }} `unmatched` lists legacy selectors whose HDS selector no rule uses
+ */
+export function applyThemeAliases(css, aliases) {
+  // HDS selector → legacy names, longest (most compound) first
+  const byHds = new Map();
+  for (const [legacy, hds] of Object.entries(aliases)) {
+    if (!byHds.has(hds)) byHds.set(hds, []);
+    byHds.get(hds).push(legacy);
+  }
+  const entries = [...byHds]
+    .sort(([a], [b]) => b.length - a.length)
+    .map(([hds, legacy]) => [new RegExp(`${hds.replace(/[.+?^${}()|[\]\\]/g, '\\$&')}(?![\\w-])`, 'g'), hds, legacy]);
+  const matched = new Set();
+
+  const legacyVersions = selector => {
+    let variants = [selector];
+    for (const [pattern, hds, legacyNames] of entries) {
+      if (!variants.some(variant => variant.match(pattern))) continue;
+      matched.add(hds);
+      variants = variants.flatMap(variant => legacyNames.map(legacy => variant.replace(pattern, (_, offset) => {
+        // An element name only makes sense at the start of a compound selector
+        if (/^[a-z]/i.test(legacy) && offset > 0 && !/[\s>+~(,]/.test(variant[offset - 1])) {
+          throw new Error(`"${legacy}" can't replace ${hds} in "${selector}": element aliases must start a compound selector`);
+        }
+        return legacy;
+      })));
+    }
+    return variants.filter(variant => variant !== selector);
+  };
+
+  // The boundary is a lookbehind so a nested rule right after `@media … {` is still matched
+  const result = css.replace(/(?<=^|[{}])([^{}]*?)\{/g, (match, prelude) => {
+    // Leading comments and whitespace stay where they are
+    const commentEnd = prelude.lastIndexOf('*/');
+    const start = commentEnd === -1 ? 0 : commentEnd + 2;
+    const lead = prelude.slice(0, start) + prelude.slice(start).match(/^\s*/)[0];
+    const list = prelude.slice(lead.length).trimEnd();
+    if (!list || list.startsWith('@')) return match;
+
+    const selectors = splitSelectors(list);
+    const added = selectors.flatMap(legacyVersions).filter(selector => !selectors.includes(selector));
+    if (!added.length) return match;
+    return `${lead}${[...selectors, ...new Set(added)].join(',\n')} {`;
+  });
+
+  const unmatched = Object.entries(aliases).filter(([, hds]) => !matched.has(hds)).map(([legacy]) => legacy);
+  return { css: result, unmatched };
+}
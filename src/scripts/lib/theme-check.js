@@ -0,0 +1,57 @@
+/**
+ * Theme Completeness
+ *
+ * Checks a theme's variables against what its components.css reads (see
+ * lib/usage.js for the scan itself):
+ *
+ *   missing    var(--x) with no fallback, and the theme defines no --x;
+ *              fails build-themes.js
+ *   fallback   var(--x, …) the theme never defines, so only the fallback applies
+ *   unused     a variable nothing in the theme reads (plugins may still use it)
+ *   partial    defined in a mode block but not the base block, so every
+ *              other mode has it undefined
+ *
+ * The base block is the first rule in the variables (`:root`); later mode
+ * blocks override it and only need the variables that change.
+ */
+
+import { crossReference } from './usage.js';
+
+// Top-level rules of a variables file and the custom properties each defines
+function variableBlocks(css) {
+  const source = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  return [...source.matchAll(/([^{}]+)\{([^{}]*)\}/g)].map(([, selector, body]) => ({
+    selector: selector.trim(),
+    names: new Set([...body.matchAll(/(--[A-Za-z0-9_-]+)\s*:/g)].map(match => match[1])),
+  })).filter(block => block.names.size);
+}
+
+/**
+ * Check one built theme.
+ *
+ * @param {{ file: string, text: string }} variables - The theme's variables; `file` labels locations
+ * @param {{ file: string, text: string }[]} components - Its components.css files, parents' first
+ * @param {{ ignore?: RegExp[] }} [options] - From usageOptions()
+ * @returns {{ missing: object[], fallback: object[], unused: object[], partial: { name: string, selectors: string[] }[] }}
+ *   missing, fallback and unused are `{ name, locations: { file, line }[] }`
+ */
+export function checkTheme(variables, components, options = {}) {
+  const usage = crossReference([variables, ...components], options);
+  const [base = { names: new Set() }, ...modes] = variableBlocks(variables.text);
+  const partial = new Map();
+  for (const { selector, names } of modes) {
+    for (const name of names) {
+      if (base.names.has(name)) continue;
+      if (!partial.has(name)) partial.set(name, []);
+      partial.get(name).push(selector);
+    }
+  }
+
+  return {
+    missing: usage.undefined,
+    fallback: usage.fallback,
+    // Custom properties local to components.css aren't theme variables
+    unused: usage.unused.filter(({ locations }) => locations.some(({ file }) => file === variables.file)),
+    partial: [...partial].map(([name, selectors]) => ({ name, selectors })),
+  };
+}
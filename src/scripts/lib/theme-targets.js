@@ -0,0 +1,155 @@
+/**
+ * Theme Distribution Targets
+ *
+ * Where build-themes.js copies built themes, from `themes.targets`:
+ *
+ *   themes: {
+ *     targets: [
+ *       '../keith-templates/figma-plugin/heavy-theme.css',       // heavy-plugin
+ *       '../plugins/*-plugin/heavy-theme.css',                   // every existing match
+ *       { path: '../notes/ui/theme.css', theme: 'heavy-compact' },
+ *     ],
+ *     versionHeader: true,
+ *   }
+ *
+ * A plain path gets the default theme. A path whose directory doesn't exist
+ * (a sibling checkout that isn't cloned) is skipped, not created. A glob
+ * (`*`, `?`, `**` for any depth) only replaces files that already exist.
+ * Files already holding the same CSS are left untouched.
+ *
+ * With `versionHeader` each copy starts with a comment naming the HDS
+ * version, theme and content hash, so a plugin can tell which build it
+ * embeds.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const GLOB = /[*?]/;
+
+// Glob segment → RegExp, `*` and `?` never crossing a separator
+function segmentPattern(segment) {
+  const source = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+  return new RegExp(`^${source}$`);
+}
+
+function childDirs(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+    .map(entry => path.join(dir, entry.name));
+}
+
+// Existing paths under `dir` matching the remaining glob segments
+function matchSegments(dir, segments) {
+  if (!segments.length) return fs.existsSync(dir) ? [dir] : [];
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return [];
+  const [segment, ...rest] = segments;
+  if (segment === '**') {
+    return [...matchSegments(dir, rest), ...childDirs(dir).flatMap(child => matchSegments(child, segments))];
+  }
+  if (!GLOB.test(segment)) return matchSegments(path.join(dir, segment), rest);
+  const pattern = segmentPattern(segment);
+  return fs.readdirSync(dir).filter(name => pattern.test(name)).flatMap(name => matchSegments(path.join(dir, name), rest));
+}
+
+/**
+ * Existing files matching an absolute glob, sorted.
+ */
+export function globFiles(pattern) {
+  const { root } = path.parse(pattern);
+  const segments = pattern.slice(root.length).split(/[\\/]+/).filter(Boolean);
+  return [...new Set(matchSegments(root, segments))].filter(file => fs.statSync(file).isFile()).sort();
+}
+
+/**
+ * Resolve `themes.targets` (paths already absolute, see lib/config.js) to files.
+ *
+ * @param {(string|{ path: string, theme?: string })[]} targets
+ * @param {string} defaultTheme - Theme for targets that don't name one
+ * @returns {{ target: string, theme: string, files: string[], skipped: string|null }[]}
+ *   `skipped` says why a target has no files
+ */
+export function resolveTargets(targets, defaultTheme) {
+  return targets.map(entry => {
+    const { path: target, theme = defaultTheme } = typeof entry === 'string' ? { path: entry } : entry;
+    if (!target) throw new Error(`Theme target needs a path: ${JSON.stringify(entry)}`);
+    if (GLOB.test(target)) {
+      const files = globFiles(target);
+      return { target, theme, files, skipped: files.length ? null : 'no existing files match' };
+    }
+    const dir = path.dirname(target);
+    return fs.existsSync(dir)
+      ? { target, theme, files: [target], skipped: null }
+      : { target, theme, files: [], skipped: `${dir} not found` };
+  });
+}
+
+/**
+ * Comment identifying the HDS build a copied theme came from.
+ */
+export function versionHeader({ version, theme, hash }) {
+  return `/* Heavy Design System ${version} · ${theme} · ${hash} */\n`;
+}
+
+/**
+ * Changed lines between two texts, `-` / `+` prefixed, with `context`
+ * unchanged lines around each change and `@@ line` markers between hunks.
+ *
+ * @returns {string[]} At most `limit` lines; empty when the texts match
+ */
+export function lineDiff(before, after, { context = 2, limit = 40 } = {}) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Trim the common head and tail so only the changed middle goes through the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+  if (start === endA && start === endB) return [];
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > 4e6) {
+    return [`@@ ${start + 1}: ${midA.length} lines replaced by ${midB.length} (too large to diff)`];
+  }
+  const width = midB.length + 1;
+  const lcs = new Uint32Array((midA.length + 1) * width);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = midA[i] === midB[j] ? lcs[(i + 1) * width + j + 1] + 1 : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  // Edit script over the full texts: [' ' | '-' | '+', line, old line number]
+  const ops = a.slice(0, start).map((line, i) => [' ', line, i + 1]);
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      ops.push([' ', midA[i], start + i + 1]);
+      i++;
+      j++;
+    } else if (i < midA.length && (j === midB.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      ops.push(['-', midA[i], start + i + 1]);
+      i++;
+    } else {
+      ops.push(['+', midB[j], start + i + 1]);
+      j++;
+    }
+  }
+  ops.push(...a.slice(endA).map((line, k) => [' ', line, endA + k + 1]));
+
+  const lines = [];
+  let shownUntil = -1;
+  ops.forEach(([op], index) => {
+    if (op === ' ') return;
+    const from = Math.max(index - context, shownUntil + 1);
+    const to = Math.min(index + context, ops.length - 1);
+    if (from > shownUntil + 1 || shownUntil < 0) lines.push(`@@ line ${ops[from][2]}`);
+    for (let k = from; k <= to; k++) lines.push(`${ops[k][0]} ${ops[k][1]}`);
+    shownUntil = Math.max(shownUntil, to);
+  });
+  return lines.length > limit ? [...lines.slice(0, limit), `… ${lines.length - limit} more lines`] : lines;
+}
@@ -0,0 +1,195 @@
+/**
+ * Theme Variables
+ *
+ * Generates a theme's variables from the design tokens through a declared
+ * mapping, `variables.map.json` next to the theme's components.css:
+ *
+ *   {
+ *     "modes": { "dark": ":root", "light": "body.light-mode" },
+ *     "variables": {
+ *       "Colors — UI": {
+ *         "--color-bg": "{ui.bg.default}",
+ *         "--color-btn-bg": { "dark": "rgba(255, 255, 255, 0.08)", "light": "rgba(0, 0, 0, 0.06)" }
+ *       }
+ *     }
+ *   }
+ *
+ * `modes` maps HDS theme modes to the selector each is written under; the
+ * first is the base block. A value is a token reference, resolved in each
+ * mode, or any other CSS value, written as is — the explicit override for
+ * hand-tuned, theme-only values. An object gives a value per mode; a mode
+ * it leaves out keeps the base block's value. Later blocks only repeat the
+ * variables whose value differs from the base block.
+ *
+ * `"extends": "<theme>"` starts from another theme's mapping and supplies
+ * only the differences: modes and sections merge, a variable replaces the
+ * parent's, and two per-mode objects merge mode by mode.
+ *
+ * variableModes() reads the modes back out of variables CSS, generated or
+ * hand-written, for the themes.json manifest.
+ */
+
+import fs from 'fs';
+import { getRef } from './resolve.js';
+import { getTokenValue } from './css.js';
+
+export const THEME_MAP_FILE = 'variables.map.json';
+
+export class ThemeMapError extends Error {
+  constructor(file, message) {
+    super(`${file}: ${message}`);
+    this.name = 'ThemeMapError';
+  }
+}
+
+/**
+ * A theme mapping file as written, before `extends` is applied.
+ */
+export function readThemeMapFile(file) {
+  let map;
+  try {
+    map = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new ThemeMapError(file, error.message);
+  }
+  if (!map || typeof map !== 'object' || Array.isArray(map)) throw new ThemeMapError(file, 'expected an object');
+  if (map.extends !== undefined && (typeof map.extends !== 'string' || !map.extends)) {
+    throw new ThemeMapError(file, '"extends" must name a theme');
+  }
+  return map;
+}
+
+const isPerMode = value => Boolean(value) && typeof value === 'object';
+
+/**
+ * A mapping laid over the one it extends, both from readThemeMapFile().
+ * A variable the parent already maps stays in the parent's section.
+ */
+export function extendThemeMap(parent, child) {
+  const variables = {};
+  const sectionOf = new Map();
+  for (const [title, section] of [...Object.entries(parent.variables || {}), ...Object.entries(child.variables || {})]) {
+    // Left as is for readThemeMap() to report
+    if (!isPerMode(section) || !isPerMode(variables[title] ?? {})) {
+      variables[title] = section;
+      continue;
+    }
+    variables[title] = { ...variables[title] };
+    for (const [name, value] of Object.entries(section)) {
+      const target = variables[sectionOf.get(name) ?? title];
+      target[name] = isPerMode(target[name]) && isPerMode(value) ? { ...target[name], ...value } : value;
+      if (!sectionOf.has(name)) sectionOf.set(name, title);
+    }
+  }
+  return { modes: { ...parent.modes, ...child.modes }, variables };
+}
+
+/**
+ * Read and check a theme mapping file against the available modes.
+ *
+ * @param {string} file
+ * @param {string[]} modeNames - From readModes()
+ * @param {object} [map] - The mapping with `extends` applied (see extendThemeMap()); read from `file` when omitted
+ * @returns {{ modes: [string, string][], sections: [string, [string, string|object][]][] }}
+ */
+export function readThemeMap(file, modeNames, map = readThemeMapFile(file)) {
+  const modes = Object.entries(map.modes || {});
+  if (!modes.length) throw new ThemeMapError(file, '"modes" must map at least one mode to a selector');
+  for (const [mode, selector] of modes) {
+    if (!modeNames.includes(mode)) throw new ThemeMapError(file, `unknown mode "${mode}" (modes: ${modeNames.join(', ')})`);
+    if (typeof selector !== 'string' || !selector.trim()) throw new ThemeMapError(file, `mode "${mode}" needs a selector`);
+  }
+
+  const sections = Object.entries(map.variables || {}).map(([title, variables]) => {
+    if (!variables || typeof variables !== 'object') throw new ThemeMapError(file, `"${title}" must be an object of variables`);
+    for (const [name, value] of Object.entries(variables)) {
+      if (!name.startsWith('--')) throw new ThemeMapError(file, `"${name}" in "${title}" is not a custom property`);
+      const perMode = isPerMode(value) ? value : null;
+      if (perMode) {
+        const unknown = Object.keys(perMode).find(mode => !map.modes[mode]);
+        if (unknown) throw new ThemeMapError(file, `${name}: mode "${unknown}" is not in "modes"`);
+      }
+      const values = perMode ? Object.values(perMode) : [value];
+      if (!values.every(v => typeof v === 'string' || typeof v === 'number')) {
+        throw new ThemeMapError(file, `${name}: expected a token reference or CSS value, or one per mode`);
+      }
+    }
+    return [title, Object.entries(variables)];
+  });
+  return { modes, sections };
+}
+
+// CSS value of one mapped value in one mode
+function mappedValue(file, name, value, resolver) {
+  if (typeof value !== 'string' || !value.includes('{')) return String(value);
+  const ref = getRef(value);
+  if (ref) {
+    const entry = resolver.get(ref);
+    if (!entry) throw new ThemeMapError(file, `${name}: unknown token {${ref}}`);
+    return String(getTokenValue({ ...entry.token, $type: entry.type, $value: value }, resolver, undefined, { srgb: true }));
+  }
+  const resolved = resolver.resolve(value);
+  if (typeof resolved !== 'string' || /\{[^{}]+\}/.test(resolved)) throw new ThemeMapError(file, `${name}: unresolved reference in "${value}"`);
+  return resolved;
+}
+
+/**
+ * Theme variables CSS from a map from readThemeMap().
+ *
+ * @param {object} map
+ * @param {Map<string, object>} resolvers - Mode name → resolver (see lib/modes.js)
+ * @param {{ file: string, title: string }} info - Map path (for errors) and the theme's heading
+ */
+export function generateThemeVariables({ modes, sections }, resolvers, { file, title }) {
+  const [[baseMode]] = modes;
+  const valueIn = (mode, name, value) => {
+    const perMode = isPerMode(value) ? value : null;
+    const raw = perMode ? perMode[mode] ?? (mode === baseMode ? undefined : perMode[baseMode]) : value;
+    return raw === undefined ? null : mappedValue(file, name, raw, resolvers.get(mode));
+  };
+
+  const lines = [
+    `/* ${title} */`,
+    `/* Generated from the HDS tokens by build-themes.js through ${THEME_MAP_FILE} - DO NOT EDIT */`,
+  ];
+  modes.forEach(([mode, selector], i) => {
+    const blockLines = [];
+    for (const [sectionTitle, variables] of sections) {
+      const declarations = variables.flatMap(([name, value]) => {
+        const css = valueIn(mode, name, value);
+        if (css === null || (i > 0 && css === valueIn(baseMode, name, value))) return [];
+        return [`  ${name}: ${css};`];
+      });
+      if (!declarations.length) continue;
+      if (blockLines.length) blockLines.push('');
+      blockLines.push(`  /* ${sectionTitle} */`, ...declarations);
+    }
+    if (!blockLines.length) return;
+    lines.push('', `/* ${mode.charAt(0).toUpperCase() + mode.slice(1)} mode */`, `${selector} {`, ...blockLines, '}');
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Mode → selector for each block of variables CSS. A block is named by the
+ * `/* Dark mode *\/` comment generateThemeVariables() writes above it, by a
+ * `[data-theme="dark"]` or `.dark-mode` selector, or through `known`.
+ *
+ * @param {string} css
+ * @param {Record<string, string>} [known] - Selector → mode, e.g. from the theme's map
+ * @returns {Record<string, string>|null} Null when no block names a mode
+ */
+export function variableModes(css, known = {}) {
+  const modes = {};
+  for (const [, prelude, body] of css.matchAll(/([^{}]*)\{([^{}]*)\}/g)) {
+    if (!/--[A-Za-z0-9_-]+\s*:/.test(body)) continue;
+    const comments = [...prelude.matchAll(/\/\*([\s\S]*?)\*\//g)].map(match => match[1].trim());
+    const selector = prelude.replace(/\/\*[\s\S]*?\*\//g, '').trim();
+    const mode = known[selector]
+      ?? /^(\S+) mode$/i.exec(comments[comments.length - 1] ?? '')?.[1].toLowerCase()
+      ?? /\[data-theme=["']?([\w-]+)["']?\]/.exec(selector)?.[1]
+      ?? /\.([\w-]+)-mode\b/.exec(selector)?.[1];
+    if (mode && !(mode in modes)) modes[mode] = selector;
+  }
+  return Object.keys(modes).length ? modes : null;
+}
@@ -0,0 +1,174 @@
+/**
+ * Tokens Studio ⇄ DTCG
+ *
+ * Converts a Tokens Studio JSON file (one object of token sets, plus
+ * `$themes` / `$metadata`) into token files, and back.
+ *
+ * Token sets map to token files by name, like Figma collections
+ * (see lib/figma.js). A set enabled by exactly one theme is that theme's
+ * mode file (`Light` → alias/light); `tokens.importMap` overrides either.
+ * Both the legacy `value` / `type` keys and the DTCG `$value` / `$type`
+ * keys are read; export writes the legacy keys Tokens Studio defaults to.
+ */
+
+import { collectTokens, setTokenAtPath, slug, defaultFileLabel } from './tokens.js';
+import { getRef } from './resolve.js';
+import { colorValue, parseColorSpace, formatColorSpace, toHexString } from './color.js';
+
+const EXPORT_TYPES = { color: 'color', number: 'number', string: 'text', boolean: 'boolean' };
+
+// Tokens Studio types whose values are px dimensions
+const DIMENSION_TYPES = new Set([
+  'dimension', 'spacing', 'sizing', 'borderRadius', 'borderWidth', 'fontSizes', 'number',
+]);
+
+function isToken(node) {
+  return node && typeof node === 'object' && ('value' in node || '$value' in node);
+}
+
+function hasReference(value) {
+  return typeof value === 'string' && value.includes('{');
+}
+
+/**
+ * Convert one Tokens Studio token to DTCG.
+ */
+function convertToken(node, inheritedType) {
+  const value = node.$value ?? node.value;
+  const studioType = node.$type ?? node.type ?? inheritedType;
+  const description = node.$description ?? node.description;
+  let $type = 'string';
+  let $value = value;
+
+  if (studioType === 'color') {
+    $type = 'color';
+    const declared = hasReference(value) ? null : parseColorSpace(value);
+    // Wide-gamut colors keep their color space, with the sRGB hex as fallback
+    if (declared?.colorSpace === 'srgb') $value = colorValue(declared.components, declared.alpha);
+    else if (declared) $value = { ...declared, hex: toHexString(value) };
+  } else if (DIMENSION_TYPES.has(studioType) || studioType === 'fontWeights') {
+    const numeric = typeof value === 'number' || /^-?[\d.]+(px)?$/.test(String(value).trim());
+    if (hasReference(value) || numeric) {
+      $type = 'number';
+      if (!hasReference(value)) $value = parseFloat(value);
+    }
+  } else if (studioType === 'boolean') {
+    $type = 'boolean';
+  }
+
+  return { $type, $value, ...(description ? { $description: description } : {}) };
+}
+
+function convertSet(node, tree, prefix, inheritedType) {
+  const groupType = node.$type ?? node.type ?? inheritedType;
+  for (const [key, child] of Object.entries(node)) {
+    if (key.startsWith('$') || !child || typeof child !== 'object') continue;
+    const tokenPath = prefix ? `${prefix}.${key}` : key;
+    if (isToken(child)) setTokenAtPath(tree, tokenPath, convertToken(child, typeof groupType === 'string' ? groupType : undefined));
+    else convertSet(child, tree, tokenPath, groupType);
+  }
+  return tree;
+}
+
+// Sets enabled by exactly one theme belong to that theme's mode
+function modeSets(themes) {
+  if (!Array.isArray(themes) || themes.length < 2) return new Map();
+  const owners = new Map();
+  for (const theme of themes) {
+    for (const [set, status] of Object.entries(theme.selectedTokenSets || {})) {
+      if (status !== 'enabled') continue;
+      owners.set(set, [...(owners.get(set) || []), theme]);
+    }
+  }
+  return new Map([...owners].filter(([, owned]) => owned.length === 1).map(([set, [theme]]) => [set, theme]));
+}
+
+// The set a mode's own set is layered over: the theme's last other enabled set
+function parentSet(theme, set, order) {
+  const enabled = Object.entries(theme.selectedTokenSets || {})
+    .filter(([name, status]) => status === 'enabled' && name !== set)
+    .map(([name]) => name);
+  return enabled.sort((a, b) => order.indexOf(a) - order.indexOf(b)).pop() ?? null;
+}
+
+/**
+ * Tokens Studio JSON → token files.
+ *
+ * @param {object} data - Parsed Tokens Studio JSON
+ * @param {object} [importMap] - Set name → file label
+ * @returns {{ files: Object<string, object>, warnings: string[] }} Files keyed by label
+ */
+export function importTokensStudio(data, importMap = {}) {
+  const files = {};
+  const warnings = [];
+  const themed = modeSets(data.$themes);
+  const order = data.$metadata?.tokenSetOrder || Object.keys(data);
+  const sets = order.filter(name => !name.startsWith('$') && data[name]);
+  if (!sets.length) throw new Error('No token sets found in the Tokens Studio file');
+
+  const converted = new Map(sets.map(name => [name, convertSet(data[name], {}, '', undefined)]));
+  const labels = new Map();
+  for (const [name, tokens] of converted) {
+    const hasAliases = collectTokens(tokens).some(({ token }) => hasReference(token.$value));
+    labels.set(name, importMap[name]
+      || (themed.has(name) ? `alias/${slug(themed.get(name).name)}` : defaultFileLabel(name, hasAliases)));
+  }
+
+  for (const [name, tokens] of converted) {
+    const label = labels.get(name);
+    if (files[label]) warnings.push(`${name}: merged into ${label} with another set`);
+    files[label] = { ...files[label], ...tokens };
+    // A theme layering its set over another mode's set inherits from that mode (see lib/modes.js)
+    const parent = themed.has(name) ? labels.get(parentSet(themed.get(name), name, order)) : null;
+    if (parent?.startsWith('alias/')) {
+      files[label] = { $extensions: { hds: { parent: parent.slice('alias/'.length) } }, ...files[label] };
+    }
+  }
+
+  return { files, warnings };
+}
+
+function exportToken(entry) {
+  const { token, type } = entry;
+  let value = token.$value;
+  if (type === 'color' && !getRef(value) && typeof value === 'object') {
+    const declared = parseColorSpace(value);
+    value = declared && declared.colorSpace !== 'srgb' ? formatColorSpace(declared) : toHexString(value) ?? value;
+  }
+  return {
+    value,
+    type: EXPORT_TYPES[type] || 'other',
+    ...(token.$description ? { description: token.$description } : {}),
+  };
+}
+
+function exportSet(tokens) {
+  const set = {};
+  for (const entry of collectTokens(tokens || {})) {
+    setTokenAtPath(set, entry.path, exportToken(entry));
+  }
+  return set;
+}
+
+/**
+ * Token files → Tokens Studio JSON. Each shared file is a source set; each
+ * mode becomes a theme enabling its own set, after the sets it inherits.
+ *
+ * @param {{ label: string, tokens: object }[]} shared
+ * @param {{ name: string, label: string, tokens: object, sets?: string[] }[]} modes
+ *   `sets`: the mode's set labels, parents first (defaults to its own)
+ */
+export function exportTokensStudio(shared, modes) {
+  const data = {};
+  for (const { label, tokens } of [...shared, ...modes]) {
+    data[label] = exportSet(tokens);
+  }
+  const sources = Object.fromEntries(shared.map(({ label }) => [label, 'source']));
+  data.$themes = modes.map(mode => ({
+    id: slug(mode.name),
+    name: mode.name.charAt(0).toUpperCase() + mode.name.slice(1),
+    selectedTokenSets: { ...sources, ...Object.fromEntries((mode.sets || [mode.label]).map(set => [set, 'enabled'])) },
+  }));
+  data.$metadata = { tokenSetOrder: [...shared, ...modes].map(({ label }) => label) };
+  return data;
+}
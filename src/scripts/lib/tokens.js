@@ -0,0 +1,166 @@
+/**
+ * Token File Helpers
+ *
+ * Reading, merging, and flattening DTCG token JSON. Shared by
+ * build-tokens.js and build-pages.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseJSONSource } from './json-source.js';
+
+// Files merged into every mode's token tree, in load order
+export const SHARED_TOKEN_FILES = [
+  ['base', 'colors.tokens.json'],
+  ['base', 'scale.tokens.json'],
+  ['base', 'typography.tokens.json'],
+  ['alias', 'typography.tokens.json'],
+  ['alias', 'spacing.tokens.json'],
+  ['alias', 'radius.tokens.json'],
+  // Optional: motion, shadow, border, and gradient composites
+  ['alias', 'effects.tokens.json'],
+];
+
+/**
+ * Path for a token file label: `base/colors` → `<baseTokensDir>/colors.tokens.json`.
+ * Labels outside base/ and alias/ resolve under tokensDir.
+ */
+export function tokenFilePath(config, label) {
+  const [layer, ...rest] = label.split('/');
+  const dirs = { base: config.baseTokensDir, alias: config.aliasTokensDir };
+  if (dirs[layer] && rest.length) return path.join(dirs[layer], `${rest.join('/')}.tokens.json`);
+  return path.join(config.tokensDir, `${label}.tokens.json`);
+}
+
+export function slug(name) {
+  return name.trim().toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9/_-]/g, '');
+}
+
+/**
+ * File label for an imported collection or token set: names that already
+ * look like labels (`base/colors`) are kept, anything else goes under
+ * base/ — or alias/ when it references other tokens.
+ */
+export function defaultFileLabel(name, hasAliases) {
+  if (name.includes('/')) return slug(name);
+  return `${hasAliases ? 'alias' : 'base'}/${slug(name)}`;
+}
+
+export function writeTokenFile(filePath, tokens) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(tokens, null, 2) + '\n');
+}
+
+/**
+ * Set a token at a dot path, creating groups along the way.
+ */
+export function setTokenAtPath(tree, tokenPath, token) {
+  const segments = tokenPath.split('.');
+  let node = tree;
+  for (const segment of segments.slice(0, -1)) {
+    node = node[segment] ??= {};
+  }
+  node[segments[segments.length - 1]] = token;
+  return tree;
+}
+
+export function readTokenFile(dir, filename) {
+  const filePath = path.join(dir, filename);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const text = fs.readFileSync(filePath, 'utf-8');
+  try {
+    return JSON.parse(text);
+  } catch {
+    // Re-parse for a file:line:column message
+    return parseJSONSource(text, filePath).value;
+  }
+}
+
+/**
+ * Read a token file with source positions for validation.
+ *
+ * @param {string} filePath
+ * @param {string} file - Label for messages, e.g. `base/colors.tokens.json`
+ * @returns {{ file: string, tokens: object, positions: Map, duplicates: object[] }|null}
+ */
+export function readTokenSource(filePath, file) {
+  if (!fs.existsSync(filePath)) return null;
+  const { value, positions, duplicates } = parseJSONSource(fs.readFileSync(filePath, 'utf-8'), file);
+  return { file, tokens: value, positions, duplicates };
+}
+
+/**
+ * Read the shared base + alias files as resolver sources.
+ *
+ * @returns {{ file: string, tokens: object }[]} Sources labelled `base/colors.tokens.json` etc.
+ */
+export function readSharedSources(config) {
+  const dirs = { base: config.baseTokensDir, alias: config.aliasTokensDir };
+  const sources = [];
+  for (const [layer, filename] of SHARED_TOKEN_FILES) {
+    const tokens = readTokenFile(dirs[layer], filename);
+    if (tokens) sources.push({ file: `${layer}/${filename}`, tokens });
+  }
+  return sources;
+}
+
+export function deepMerge(target, source) {
+  const result = { ...target };
+  for (const key of Object.keys(source)) {
+    if (key.startsWith('$')) continue;
+    if (source[key] && typeof source[key] === 'object' && !('$value' in source[key])) {
+      result[key] = deepMerge(result[key] || {}, source[key]);
+    } else if (source[key]?.$type === undefined && result[key]?.$type !== undefined && source[key] && typeof source[key] === 'object') {
+      // A redefined token keeps the $type it had
+      result[key] = { $type: result[key].$type, ...source[key] };
+    } else {
+      result[key] = source[key];
+    }
+  }
+  return result;
+}
+
+export function flattenTokens(obj, prefix = '') {
+  const result = [];
+
+  for (const [key, value] of Object.entries(obj)) {
+    if (key.startsWith('$')) continue;
+
+    const tokenPath = prefix ? `${prefix}-${key}` : key;
+
+    if (value && typeof value === 'object' && '$type' in value) {
+      result.push({ name: tokenPath, token: value });
+    } else if (value && typeof value === 'object') {
+      result.push(...flattenTokens(value, tokenPath));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Walk a token tree and yield every token with its dot path.
+ * A token is any object carrying `$value`; `$type` is inherited from groups.
+ *
+ * @returns {{ path: string, token: object, type: string|undefined }[]}
+ */
+export function collectTokens(obj, prefix = '', inheritedType) {
+  const result = [];
+  const groupType = obj.$type ?? inheritedType;
+
+  for (const [key, value] of Object.entries(obj)) {
+    if (key.startsWith('$') || !value || typeof value !== 'object') continue;
+
+    const tokenPath = prefix ? `${prefix}.${key}` : key;
+
+    if ('$value' in value) {
+      result.push({ path: tokenPath, token: value, type: value.$type ?? groupType });
+    } else {
+      result.push(...collectTokens(value, tokenPath, groupType));
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,150 @@
+/**
+ * Custom Property Usage
+ *
+ * Cross-references custom property definitions (`--hds-bg-inset: …` in CSS
+ * and inline styles, `'--x': …` keys in TSX) with `var()` references across
+ * the CSS, TSX and HTML sources, and finds:
+ *
+ *   unused     defined, but no var() anywhere reads it
+ *   undefined  var(--x) with no fallback, and --x is defined nowhere
+ *   fallback   var(--x, …) where --x is defined nowhere, so only the
+ *              fallback ever applies (fine for intentional hooks like
+ *              --stack-space; list those in `ignore`)
+ *
+ * Options come from `tokens.usage` in the config:
+ *
+ *   usage: {
+ *     ignore: ['--stack-space', '--sg-*'],  // names, `*` matches any run of characters
+ *     failOn: ['undefined'],                // findings that fail scan-tokens.js
+ *   }
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const FINDINGS = ['unused', 'undefined', 'fallback'];
+
+const NAME = '--[A-Za-z0-9_-]+';
+const REFERENCE = new RegExp(`var\\(\\s*(${NAME})\\s*(,)?`, 'g');
+// `--x:` after a rule or style attribute boundary, or a quoted `'--x':` key
+const DEFINITION = new RegExp(`(?:^|[\\s{;"'\`])(${NAME})['"\`]?\\s*:(?!:)`, 'gm');
+
+/**
+ * Normalize `tokens.usage` from the config.
+ *
+ * @returns {{ ignore: RegExp[], failOn: string[] }}
+ */
+export function usageOptions(options) {
+  const ignore = options?.ignore ?? [];
+  const failOn = options?.failOn ?? [];
+  if (!Array.isArray(ignore) || !ignore.every(name => typeof name === 'string')) {
+    throw new Error('usage.ignore must be a list of custom property names');
+  }
+  const unknown = [].concat(failOn).filter(finding => !FINDINGS.includes(finding));
+  if (unknown.length) throw new Error(`usage.failOn: unknown finding ${unknown.join(', ')} (expected ${FINDINGS.join(', ')})`);
+  return {
+    ignore: ignore.map(name => new RegExp(`^${name.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`)),
+    failOn: [].concat(failOn),
+  };
+}
+
+// CSS comments blanked out, keeping line breaks so positions still match
+function stripComments(text) {
+  return text.replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '));
+}
+
+function lineAt(lineStarts, index) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (lineStarts[mid] <= index) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+}
+
+/**
+ * Definitions and var() references in one source file.
+ *
+ * @returns {{ definitions: { name: string, file: string, line: number }[],
+ *   references: { name: string, file: string, line: number, fallback: boolean }[] }}
+ */
+export function scanText(text, file) {
+  const source = file.endsWith('.css') ? stripComments(text) : text;
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) if (source[i] === '\n') lineStarts.push(i + 1);
+
+  const definitions = [...source.matchAll(DEFINITION)].map(match => ({
+    name: match[1],
+    file,
+    line: lineAt(lineStarts, match.index + match[0].indexOf(match[1])),
+  }));
+  const references = [...source.matchAll(REFERENCE)].map(match => ({
+    name: match[1],
+    file,
+    line: lineAt(lineStarts, match.index),
+    fallback: Boolean(match[2]),
+  }));
+  return { definitions, references };
+}
+
+/**
+ * Files under a directory with one of the given extensions, sorted.
+ * A missing directory has none.
+ */
+export function listFiles(dir, extensions) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(file, extensions);
+    return entry.isFile() && extensions.some(ext => entry.name.endsWith(ext)) ? [file] : [];
+  }).sort();
+}
+
+/**
+ * Cross-reference scanned files.
+ *
+ * @param {{ file: string, text: string, report?: boolean }[]} files - `report: false`
+ *   files (a third-party framework) define and use properties but get no findings of their own
+ * @param {{ ignore: RegExp[] }} options - From usageOptions()
+ * @returns {{ definitions: number, references: number, unused: object[], undefined: object[], fallback: object[] }}
+ *   Each finding is `{ name, locations: { file, line }[] }`
+ */
+export function crossReference(files, { ignore = [] } = {}) {
+  const defined = new Map();
+  const used = new Set();
+  const references = [];
+  for (const { file, text, report = true } of files) {
+    const scan = scanText(text, file);
+    for (const definition of scan.definitions) {
+      if (!defined.has(definition.name)) defined.set(definition.name, []);
+      if (report) defined.get(definition.name).push(definition);
+    }
+    for (const reference of scan.references) {
+      used.add(reference.name);
+      if (report) references.push(reference);
+    }
+  }
+
+  const ignored = name => ignore.some(pattern => pattern.test(name));
+  const group = locations => {
+    const byName = new Map();
+    for (const { name, file, line } of locations) {
+      if (ignored(name)) continue;
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push({ file, line });
+    }
+    return [...byName].sort(([a], [b]) => a.localeCompare(b)).map(([name, where]) => ({ name, locations: where }));
+  };
+
+  const missing = references.filter(reference => !defined.has(reference.name));
+  return {
+    definitions: defined.size,
+    references: references.length,
+    unused: group([...defined.values()].flat().filter(definition => !used.has(definition.name))),
+    undefined: group(missing.filter(reference => !reference.fallback)),
+    // A name read both with and without a fallback is reported as undefined only
+    fallback: group(missing.filter(reference => reference.fallback && !missing.some(other => other.name === reference.name && !other.fallback))),
+  };
+}
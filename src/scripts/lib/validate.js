@@ -0,0 +1,292 @@
+/**
+ * Token File Validation
+ *
+ * Checks token files against src/schemas/tokens.schema.json (through
+ * lib/schema.js) before anything is emitted, and reports each problem with
+ * its file, line, column, and token path. The schema defines the reserved
+ * keys, the known types and what each type's `$value` looks like; this
+ * walk adds what a per-file schema can't see:
+ *
+ *   - `$type` inherited from a parent group, or for mode and overrides
+ *     files from the same token in an earlier file, before `$value` is
+ *     checked against it; typos in reserved keys get a suggestion
+ *   - duplicate keys, the same token path in two shared files, and two
+ *     tokens that would emit the same custom property
+ *   - `replacedBy` on a deprecated token names an existing token
+ *   - breakpoint, duration, delay, ease, shadow and z-index groups hold
+ *     tokens of their type (see lib/foundations.js)
+ *   - `fluid` sits on a number or dimension token, with minViewport below
+ *     maxViewport and, without `max`, a px or rem `$value`
+ */
+
+import { readTokenSchema, createSchemaChecker } from './schema.js';
+import { collectTokens } from './tokens.js';
+import { sourceOf } from './naming.js';
+import { collectDeprecations, replacementOf } from './deprecation.js';
+import { fluidOf, FLUID_MIN_VIEWPORT, FLUID_MAX_VIEWPORT } from './fluid.js';
+import { FOUNDATION_TYPES } from './foundations.js';
+
+const schema = readTokenSchema();
+const checkSchema = createSchemaChecker(schema);
+
+const ROOT_KEYS = Object.keys(schema.properties);
+const GROUP_KEYS = Object.keys(schema.$defs.group.properties);
+const TOKEN_KEYS = Object.keys(schema.$defs.token.properties);
+export const TOKEN_TYPES = schema.$defs.type.enum;
+
+// $type → schema for its $value, from the token definition's if/then rules
+const VALUE_SCHEMAS = Object.fromEntries(schema.$defs.token.allOf.map(rule => [rule.if.properties.$type.const, rule.then.properties.$value]));
+
+// First schema problem as a message, prefixed with where inside the value it is
+function schemaMessage(value, subschema, label) {
+  const [error] = checkSchema(value, subschema);
+  if (!error) return null;
+  return error.path ? `${label}.${error.path}: ${error.message}` : error.message;
+}
+
+// `$extensions.hds.fluid` on a token of a given type (see lib/fluid.js)
+function validateFluid(fluid, type) {
+  if (!['number', 'dimension'].includes(type)) return 'fluid needs a number or dimension token';
+  const message = schemaMessage(fluid, '#/$defs/fluid', 'fluid');
+  if (message) return message.startsWith('fluid') ? message : `fluid: ${message}`;
+  if ((fluid.minViewport ?? FLUID_MIN_VIEWPORT) >= (fluid.maxViewport ?? FLUID_MAX_VIEWPORT)) return 'fluid minViewport must be below maxViewport';
+  return null;
+}
+
+// Without `max` the token's own $value is the fluid max, so it must be a size too
+function validateFluidValue(fluid, value) {
+  if (fluid.max !== undefined || !checkSchema(value, '#/$defs/fluidSize').length) return null;
+  return `fluid max ($value) must be a number, a px or rem size, or a reference, got ${JSON.stringify(value)}`;
+}
+
+export class TokenValidationError extends Error {
+  constructor(issues) {
+    super(`${issues.length} invalid token${issues.length === 1 ? '' : 's'}:\n${issues.map(formatIssue).join('\n')}`);
+    this.name = 'TokenValidationError';
+    this.issues = issues;
+  }
+}
+
+export function formatIssue(issue) {
+  const where = issue.line ? `${issue.file}:${issue.line}:${issue.column}` : issue.file;
+  return `  ${where}${issue.path ? ` → ${issue.path}` : ''}: ${issue.message}`;
+}
+
+/**
+ * Edit distance between two strings, for typo suggestions.
+ */
+export function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = current;
+    }
+  }
+  return row[b.length];
+}
+
+function unknownKeyMessage(key, allowed) {
+  const suggestion = allowed.find(k => distance(key, k) <= 2);
+  return `unknown reserved key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`;
+}
+
+/**
+ * Validate one token file.
+ *
+ * @param {{ file: string, tokens: object, positions?: Map, duplicates?: object[] }} source
+ * @param {Map<string, string>} [knownTypes] - Token path → $type from earlier files, for tokens this file redefines
+ * @returns {{ file: string, path: string, line?: number, column?: number, message: string }[]}
+ */
+export function validateTokenFile({ file, tokens, positions = new Map(), duplicates = [] }, knownTypes = new Map()) {
+  const issues = [];
+
+  function report(tokenPath, message, key = tokenPath) {
+    const position = positions.get(key) || positions.get(tokenPath) || {};
+    issues.push({ file, path: tokenPath, line: position.line, column: position.column, message });
+  }
+
+  for (const duplicate of duplicates) {
+    issues.push({ file, path: duplicate.path, line: duplicate.line, column: duplicate.column, message: 'duplicate key (JSON keeps only the last one)' });
+  }
+
+  if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+    report('', 'token file must contain a JSON object');
+    return issues;
+  }
+
+  function walk(node, prefix, inheritedType, reservedKeys) {
+    for (const [key, child] of Object.entries(node)) {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+
+      if (key.startsWith('$')) {
+        if (!reservedKeys.includes(key)) report(prefix, unknownKeyMessage(key, reservedKeys), keyPath);
+        continue;
+      }
+      if (/[.{}]/.test(key)) {
+        report(keyPath, `name "${key}" must not contain ".", "{" or "}"`);
+      }
+      if (!child || typeof child !== 'object' || Array.isArray(child)) {
+        report(keyPath, `expected a token or group, got ${JSON.stringify(child)}`);
+        continue;
+      }
+
+      const type = child.$type ?? inheritedType;
+      if (child.$type !== undefined && !TOKEN_TYPES.includes(child.$type)) {
+        report(keyPath, `unknown $type "${child.$type}" (expected ${TOKEN_TYPES.join(', ')})`, `${keyPath}.$type`);
+      }
+      for (const key of ['$description', '$deprecated']) {
+        const message = child[key] === undefined ? null : schemaMessage(child[key], schema.$defs.group.properties[key], key);
+        if (message) report(keyPath, `${key}: ${message}`, `${keyPath}.${key}`);
+      }
+
+      if (!('$value' in child)) {
+        const hasChildren = Object.keys(child).some(k => !k.startsWith('$'));
+        const typo = Object.keys(child).find(k => k.startsWith('$') && !GROUP_KEYS.includes(k) && distance(k, '$value') <= 2);
+        if (!hasChildren && (child.$type !== undefined || typo)) {
+          report(keyPath, typo ? `token has no $value (found "${typo}")` : 'token has no $value', typo ? `${keyPath}.${typo}` : keyPath);
+          continue;
+        }
+        walk(child, keyPath, type, GROUP_KEYS);
+        continue;
+      }
+
+      // Token
+      for (const tokenKey of Object.keys(child)) {
+        if (!tokenKey.startsWith('$')) {
+          report(`${keyPath}.${tokenKey}`, 'tokens cannot contain nested tokens or groups');
+        } else if (!TOKEN_KEYS.includes(tokenKey)) {
+          report(keyPath, unknownKeyMessage(tokenKey, TOKEN_KEYS), `${keyPath}.${tokenKey}`);
+        }
+      }
+      const tokenType = type ?? knownTypes.get(keyPath);
+      if (tokenType === undefined) {
+        report(keyPath, 'token has no $type (set it on the token or a parent group)');
+      } else if (VALUE_SCHEMAS[tokenType]) {
+        const message = schemaMessage(child.$value, VALUE_SCHEMAS[tokenType], tokenType);
+        if (message) report(keyPath, message, `${keyPath}.$value`);
+      }
+      const group = keyPath.split('.')[0];
+      if (FOUNDATION_TYPES[group] && tokenType !== undefined && tokenType !== FOUNDATION_TYPES[group]) {
+        report(keyPath, `${group} tokens must be ${FOUNDATION_TYPES[group]} tokens, got ${tokenType}`, child.$type === undefined ? keyPath : `${keyPath}.$type`);
+      }
+      if (fluidOf(child) !== null) {
+        const message = validateFluid(fluidOf(child), tokenType);
+        const valueMessage = message ? null : validateFluidValue(fluidOf(child), child.$value);
+        if (message) report(keyPath, message, `${keyPath}.$extensions`);
+        if (valueMessage) report(keyPath, valueMessage, `${keyPath}.$value`);
+      }
+    }
+  }
+
+  walk(tokens, '', tokens.$type, ROOT_KEYS);
+  return issues;
+}
+
+/**
+ * Validate a set of token files together.
+ *
+ * @param {{ file: string, tokens: object, positions?: Map, duplicates?: object[], mode?: boolean }[]} sources
+ *   Shared files first; `mode: true` for theme mode and override files
+ * @param {object} [naming] - From createNaming(), to catch custom property collisions
+ */
+export function validateTokenSources(sources, naming) {
+  // A mode or overrides file may leave out the $type of a token it redefines
+  const knownTypes = new Map();
+  const issues = sources.flatMap(source => {
+    const fileIssues = validateTokenFile(source, source.mode ? knownTypes : new Map());
+    if (source.tokens && typeof source.tokens === 'object' && !Array.isArray(source.tokens)) {
+      for (const { path: tokenPath, type } of collectTokens(source.tokens)) {
+        if (type !== undefined) knownTypes.set(tokenPath, type);
+      }
+    }
+    return fileIssues;
+  });
+
+  const sharedPaths = new Map();
+  const cssNames = new Map();
+  for (const { file, tokens, positions = new Map(), mode } of sources) {
+    if (!tokens || typeof tokens !== 'object') continue;
+    const label = mode ? 'mode' : sourceOf(file);
+
+    function visit(node, prefix) {
+      for (const [key, child] of Object.entries(node)) {
+        if (key.startsWith('$') || !child || typeof child !== 'object') continue;
+        const tokenPath = prefix ? `${prefix}.${key}` : key;
+        if (!('$value' in child)) {
+          visit(child, tokenPath);
+          continue;
+        }
+        const position = positions.get(tokenPath) || {};
+
+        if (!mode) {
+          if (sharedPaths.has(tokenPath)) {
+            issues.push({ file, path: tokenPath, ...position, message: `also defined in ${sharedPaths.get(tokenPath)}` });
+          } else {
+            sharedPaths.set(tokenPath, file);
+          }
+        }
+
+        if (naming) {
+          const name = naming.cssVar(label, tokenPath);
+          const existing = cssNames.get(name);
+          if (existing && existing.path !== tokenPath) {
+            issues.push({ file, path: tokenPath, ...position, message: `emits ${name}, same as ${existing.path} in ${existing.file}` });
+          } else if (!existing) {
+            cssNames.set(name, { path: tokenPath, file });
+          }
+        }
+      }
+    }
+    visit(tokens, '');
+  }
+
+  // Replacements, once every file's token paths are known
+  const allPaths = new Set(sources.flatMap(({ tokens }) => (tokens && typeof tokens === 'object' ? [...tokenPaths(tokens).keys()] : [])));
+  for (const { file, tokens, positions = new Map() } of sources) {
+    if (!tokens || typeof tokens !== 'object') continue;
+    const deprecations = collectDeprecations(tokens);
+    for (const [tokenPath, token] of tokenPaths(tokens)) {
+      const replacedBy = replacementOf(token);
+      if (replacedBy === null) continue;
+      const position = positions.get(`${tokenPath}.$extensions`) || positions.get(tokenPath) || {};
+      let message = null;
+      if (typeof replacedBy !== 'string') message = 'replacedBy must be a token path';
+      else if (!deprecations.has(tokenPath)) message = 'replacedBy needs $deprecated on the token or its group';
+      else if (replacedBy === tokenPath) message = 'token is replaced by itself';
+      else if (!allPaths.has(replacedBy)) message = `replacedBy names unknown token "${replacedBy}"`;
+      if (message) issues.push({ file, path: tokenPath, ...position, message });
+    }
+  }
+
+  return issues;
+}
+
+// Token path → token, for every token in a tree
+function tokenPaths(node, prefix = '', result = new Map()) {
+  for (const [key, child] of Object.entries(node)) {
+    if (key.startsWith('$') || !child || typeof child !== 'object') continue;
+    const tokenPath = prefix ? `${prefix}.${key}` : key;
+    if ('$value' in child) result.set(tokenPath, child);
+    else tokenPaths(child, tokenPath, result);
+  }
+  return result;
+}
+
+/**
+ * Attach source positions to resolver problems (see lib/resolve.js).
+ */
+export function referenceIssues(problems, sources) {
+  const byFile = new Map(sources.map(source => [source.file, source]));
+  return problems.map(problem => {
+    const positions = byFile.get(problem.file)?.positions || new Map();
+    const position = positions.get(`${problem.path}.$value`) || positions.get(problem.path) || {};
+    const message = problem.kind === 'circular'
+      ? `circular reference ${problem.chain.map(p => `{${p}}`).join(' → ')}`
+      : `unresolved reference {${problem.ref}}`;
+    return { file: problem.file, path: problem.path, ...position, message };
+  });
+}
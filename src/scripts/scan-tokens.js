@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Scan Custom Property Usage
+ *
+ * Reports custom properties that are defined but never read, var()
+ * references to properties defined nowhere, and references that only
+ * ever get their fallback (see lib/usage.js).
+ *
+ * Scans main.css and the style-guide extensions, the React components,
+ * and the built tokens.css, brand tokens, themes and pages in dist (run it
+ * after a build). Themes are read as built, since their variables are
+ * generated from the tokens. The style-guide framework CSS counts for
+ * definitions and references but gets no findings of its own.
+ *
+ * Findings listed in `tokens.usage.failOn` (or --fail-on) exit non-zero,
+ * so `npm run build` can stop on them.
+ *
+ * Usage: npm run scan:tokens
+ *        npm run scan:tokens -- --fail-on=undefined,fallback
+ *        npm run scan:tokens -- --all       (list every finding, not the first 20)
+ *        npm run scan:tokens -- --json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadConfig, getArg } from './lib/config.js';
+import { usageOptions, listFiles, crossReference, FINDINGS } from './lib/usage.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SRC_DIR = path.resolve(__dirname, '..');
+
+const args = process.argv.slice(2);
+const config = await loadConfig(args);
+const DIST_DIR = config.distDir;
+
+const failOnArg = getArg(args, '--fail-on');
+const listAll = Boolean(getArg(args, '--all'));
+const jsonMode = Boolean(getArg(args, '--json'));
+
+const LIMIT = 20;
+
+const LABELS = {
+  undefined: 'Undefined references',
+  fallback: 'Fallback-only references',
+  unused: 'Unused custom properties',
+};
+
+// Files to scan; dist copies of the sources (main.css, style-guide.css) are skipped
+function sourceFiles() {
+  const files = [
+    ...listFiles(path.join(SRC_DIR, 'styles'), ['.css']),
+    ...listFiles(path.join(SRC_DIR, 'react'), ['.ts', '.tsx']),
+    ...[path.join(DIST_DIR, 'tokens.css'), ...listFiles(path.join(DIST_DIR, 'brands'), ['.css'])].filter(file => fs.existsSync(file)),
+    ...listFiles(path.join(DIST_DIR, 'themes'), ['.css']),
+    ...listFiles(DIST_DIR, ['.html']),
+  ].map(file => ({ file, report: true }));
+
+  const framework = path.join(config.styleGuideDir, 'src/style-guide.css');
+  if (fs.existsSync(framework)) files.push({ file: framework, report: false });
+  return files;
+}
+
+function formatFinding({ name, locations }) {
+  const where = locations.slice(0, 3).map(({ file, line }) => `${path.relative(process.cwd(), file)}:${line}`);
+  const more = locations.length > 3 ? ` (+${locations.length - 3} more)` : '';
+  return `  ${name}  ${where.join(', ')}${more}`;
+}
+
+function main() {
+  let options;
+  try {
+    options = usageOptions(config.tokens.usage);
+    if (failOnArg) options.failOn = usageOptions({ failOn: failOnArg === true ? [] : failOnArg.split(',').map(s => s.trim()).filter(Boolean) }).failOn;
+  } catch (error) {
+    console.error('Error scanning tokens:', error.message);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(path.join(DIST_DIR, 'tokens.css'))) {
+    console.warn(`⚠ ${path.relative(process.cwd(), path.join(DIST_DIR, 'tokens.css'))} not found: run npm run build:tokens first to include the generated tokens\n`);
+  }
+
+  const files = sourceFiles();
+  const result = crossReference(files.map(({ file, report }) => ({ file, report, text: fs.readFileSync(file, 'utf-8') })), options);
+  const failed = options.failOn.filter(finding => result[finding].length);
+
+  if (jsonMode) {
+    console.log(JSON.stringify({ files: files.length, ...result, failed }, null, 2));
+  } else {
+    console.log(`Scanned ${files.length} files: ${result.definitions} custom properties, ${result.references} var() references\n`);
+    for (const finding of ['undefined', 'fallback', 'unused']) {
+      const found = result[finding];
+      if (!found.length) continue;
+      const shown = listAll ? found : found.slice(0, LIMIT);
+      console.log(`${options.failOn.includes(finding) ? '✗' : '⚠'} ${LABELS[finding]}: ${found.length}`);
+      console.log(shown.map(formatFinding).join('\n'));
+      if (shown.length < found.length) console.log(`  … and ${found.length - shown.length} more (--all lists every one)`);
+      console.log('');
+    }
+    const counts = FINDINGS.map(finding => `${result[finding].length} ${finding}`).join(', ');
+    console.log(failed.length ? `✗ Usage scan failed on ${failed.join(', ')} (${counts})` : `✓ Usage scan: ${counts}`);
+  }
+
+  if (failed.length) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readBrands, brandSelector } from '../src/scripts/lib/brands.js';
+
+// A brands manifest next to the overrides files it lists
+function withManifest(manifest, overrides, run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hds-brands-'));
+  for (const file of overrides) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), '{}');
+  }
+  const manifestPath = path.join(dir, 'brands.json');
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+  try {
+    return run({ dir, manifestPath });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('reads brands with override paths relative to the manifest', () => withManifest({
+  $schema: 'ignored',
+  'keith-slides': 'slides/alias-overrides.json',
+  notes: { overrides: 'notes/alias-overrides.json', scope: true },
+}, ['slides/alias-overrides.json', 'notes/alias-overrides.json'], ({ dir, manifestPath }) => {
+  assert.deepEqual(readBrands(manifestPath), [
+    { name: 'keith-slides', overridesPath: path.join(dir, 'slides/alias-overrides.json'), scope: false },
+    { name: 'notes', overridesPath: path.join(dir, 'notes/alias-overrides.json'), scope: true },
+  ]);
+}));
+
+test('bad manifests name the brand at fault', () => withManifest({}, ['ok.json'], ({ dir, manifestPath }) => {
+  assert.throws(() => readBrands(path.join(dir, 'nope.json')), /Brands manifest not found/);
+  assert.throws(() => readBrands(manifestPath), /lists no brands/);
+  assert.throws(() => readBrands({ 'a b': 'ok.json' }, dir), /Brand "a b": names may only use/);
+  assert.throws(() => readBrands({ a: { scope: true } }, dir), /Brand "a": needs an "overrides" file/);
+  assert.throws(() => readBrands({ a: 'missing.json' }, dir), /Brand "a": overrides file not found/);
+}));
+
+test('brandSelector() scopes :root and mode selectors to the brand', () => {
+  assert.equal(brandSelector(':root', 'notes'), '[data-brand="notes"]');
+  assert.equal(brandSelector('[data-theme="dark"]', 'notes'), [
+    '[data-brand="notes"][data-theme="dark"]',
+    '[data-theme="dark"] [data-brand="notes"]',
+    '[data-brand="notes"] [data-theme="dark"]',
+  ].join(',\n'));
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SCRIPT = fileURLToPath(new URL('../src/scripts/build-tokens.js', import.meta.url));
+
+const FIXTURE = {
+  'base/colors.tokens.json': { gray: { $type: 'color', 10: { $value: '#eeeeee' }, 90: { $value: '#111111' } } },
+  'alias/light.tokens.json': { ui: { $type: 'color', bg: { $value: '{gray.10}' }, fg: { $value: '{gray.90}' } } },
+  'alias/dark.tokens.json': { ui: { $type: 'color', bg: { $value: '{gray.90}' }, fg: { $value: '{gray.10}' } } },
+};
+
+// Build the fixture tokens into a temp directory and return tokens.css
+function buildTokens(...args) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hds-build-'));
+  for (const [file, tokens] of Object.entries(FIXTURE)) {
+    fs.mkdirSync(path.dirname(path.join(dir, 'tokens', file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'tokens', file), JSON.stringify(tokens));
+  }
+  const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !name.startsWith('HDS_')));
+  try {
+    execFileSync(process.execPath, [SCRIPT, `--tokens-dir=${path.join(dir, 'tokens')}`, `--dist-dir=${path.join(dir, 'dist')}`, ...args], { env, stdio: 'pipe' });
+    return fs.readFileSync(path.join(dir, 'dist', 'tokens.css'), 'utf-8');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('--output-references keeps aliases as var() chains with the value in a comment', () => {
+  const flat = buildTokens();
+  const chained = buildTokens('--output-references');
+  const references = chained.split('\n').filter(line => /^ {2}--[\w-]+: var\(--[\w-]+\); \/\* .+ \*\/$/.test(line));
+  assert.deepEqual(references.slice(0, 2), ['  --ui-bg: var(--color-gray-10); /* #eeeeee */', '  --ui-fg: var(--color-gray-90); /* #111111 */']);
+  // Same declarations, each resolving to the literal the flat build writes
+  for (const line of references) {
+    const [, name, value] = line.match(/^ {2}(--[\w-]+): .+ \/\* (.+) \*\/$/);
+    assert.ok(flat.includes(`  ${name}: ${value};`), `${name}: ${value}`);
+  }
+  assert.equal(flat.split('\n').length, chained.split('\n').length);
+});
@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseColor, parseColorSpace, gamutMap, formatColorSpace, toHexString } from '../src/scripts/lib/color.js';
+
+const round = values => values.map(n => Math.round(n * 1000) / 1000);
+
+test('parseColorSpace() keeps the declared space of objects and strings', () => {
+  assert.deepEqual(parseColorSpace('oklch(62.8% 0.25 29.2 / 50%)'), { colorSpace: 'oklch', components: [0.628, 0.25, 29.2], alpha: 0.5 });
+  assert.deepEqual(parseColorSpace('color(display-p3 1 0 0)'), { colorSpace: 'display-p3', components: [1, 0, 0], alpha: 1 });
+  assert.deepEqual(parseColorSpace({ colorSpace: 'oklch', components: [0.5, 0.1, 200] }), { colorSpace: 'oklch', components: [0.5, 0.1, 200], alpha: 1 });
+  assert.equal(parseColorSpace({ colorSpace: 'lab', components: [50, 0, 0] }), null);
+  assert.deepEqual(parseColorSpace('#ff000080'), { colorSpace: 'srgb', components: [1, 0, 0], alpha: 0.502 });
+});
+
+test('parseColor() returns sRGB: a wide-gamut object\'s hex, or the color gamut mapped', () => {
+  assert.deepEqual(parseColor({ colorSpace: 'display-p3', components: [1, 0, 0], hex: '#FF0000' }), { components: [1, 0, 0], alpha: 1 });
+  const { components } = parseColor('color(display-p3 1 0 0)');
+  assert.ok(components.every(c => c >= 0 && c <= 1));
+  assert.equal(toHexString('color(display-p3 0 0 0)'), '#000000');
+});
+
+test('gamutMap() leaves sRGB colors alone and lowers chroma for the rest', () => {
+  const red = gamutMap([0.628, 0.2577, 29.23]);
+  assert.equal(red.mapped, false);
+  assert.deepEqual(round(red.components), [1, 0, 0]);
+
+  const p3Green = gamutMap([0.85, 0.37, 145]);
+  assert.equal(p3Green.mapped, true);
+  assert.ok(p3Green.components.every(c => c >= 0 && c <= 1));
+  assert.deepEqual(gamutMap([1, 0.1, 0]), { components: [1, 1, 1], mapped: true });
+});
+
+test('formatColorSpace() writes the CSS color function', () => {
+  assert.equal(formatColorSpace({ colorSpace: 'oklch', components: [0.62834, 0.25, 29.23] }), 'oklch(0.628 0.25 29.2)');
+  assert.equal(formatColorSpace({ colorSpace: 'display-p3', components: [1, 0.5, 0], alpha: 0.5 }), 'color(display-p3 1 0.5 0 / 0.5)');
+});
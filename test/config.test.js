@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { pathToFileURL } from 'url';
+import { loadConfig, getArg, getArgs } from '../src/scripts/lib/config.js';
+
+const ENV_KEYS = ['HDS_CONFIG', 'HDS_TOKENS_DIR', 'HDS_DIST_DIR', 'HDS_THEME_TARGETS'];
+
+// A heavy.config.json in a temp directory, with the HDS_* variables cleared around the test
+function withConfig(fileConfig, run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hds-config-'));
+  const configPath = path.join(dir, 'heavy.config.json');
+  fs.writeFileSync(configPath, JSON.stringify(fileConfig));
+  const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  return Promise.resolve(run({ dir, configPath })).finally(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+}
+
+test('getArg() reads --name=value, a bare flag, or nothing', () => {
+  assert.equal(getArg(['--dist-dir=out'], '--dist-dir'), 'out');
+  assert.equal(getArg(['--check'], '--check'), true);
+  assert.equal(getArg(['--checked'], '--check'), null);
+  assert.deepEqual(getArgs(['--a=1', '--b=2', '--a=3'], '--a'), ['1', '3']);
+});
+
+test('config file paths resolve against the file, derived dirs follow tokensDir', () => withConfig(
+  { tokensDir: 'tokens', distDir: 'out' },
+  async ({ dir, configPath }) => {
+    const config = await loadConfig([`--config=${configPath}`]);
+    assert.equal(config.configPath, configPath);
+    assert.equal(config.tokensDir, path.join(dir, 'tokens'));
+    assert.equal(config.baseTokensDir, path.join(dir, 'tokens', 'base'));
+    assert.equal(config.aliasTokensDir, path.join(dir, 'tokens', 'alias'));
+    assert.equal(config.distDir, path.join(dir, 'out'));
+  },
+));
+
+test('flags beat env, env beats the config file', () => withConfig(
+  { tokensDir: 'tokens', distDir: 'out' },
+  async ({ configPath }) => {
+    process.env.HDS_TOKENS_DIR = '/env/tokens';
+    process.env.HDS_DIST_DIR = '/env/dist';
+    const config = await loadConfig([`--config=${configPath}`, '--dist-dir=/flag/dist']);
+    assert.equal(config.tokensDir, '/env/tokens');
+    assert.equal(config.distDir, '/flag/dist');
+  },
+));
+
+test('--theme-targets replaces the configured targets', () => withConfig(
+  { themes: { targets: ['a/theme.css'] } },
+  async ({ dir, configPath }) => {
+    assert.deepEqual((await loadConfig([`--config=${configPath}`])).themes.targets, [path.join(dir, 'a/theme.css')]);
+    const config = await loadConfig([`--config=${configPath}`, '--theme-targets=/x/one.css, /x/two.css']);
+    assert.deepEqual(config.themes.targets, ['/x/one.css', '/x/two.css']);
+    assert.deepEqual((await loadConfig([`--config=${configPath}`, '--theme-targets'])).themes.targets, []);
+  },
+));
+
+test('a missing --config file is an error', () => withConfig({}, async ({ dir }) => {
+  await assert.rejects(loadConfig([`--config=${path.join(dir, 'nope.json')}`]), /Config file not found/);
+}));
+
+test('a path flag without a value exits with a usage error', () => {
+  const configUrl = pathToFileURL(path.resolve('src/scripts/lib/config.js')).href;
+  const result = spawnSync(process.execPath, [
+    '--input-type=module',
+    '-e',
+    `import { loadConfig } from '${configUrl}'; await loadConfig(['--tokens-dir']);`,
+  ], { encoding: 'utf-8' });
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /Usage error: --tokens-dir needs a value/);
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { expandPairs, measurePairs, contrastOptions, auditContrast, formatContrast, ContrastError, DEFAULT_CONTRAST_PAIRS } from '../src/scripts/lib/contrast.js';
+import { contrastRatio, apcaContrast } from '../src/scripts/lib/color.js';
+
+const round = n => Math.round(n * 100) / 100;
+
+test('contrastRatio() follows WCAG 2.x, compositing translucent foregrounds', () => {
+  assert.equal(round(contrastRatio('#000000', '#ffffff')), 21);
+  assert.equal(round(contrastRatio('#767676', '#ffffff')), 4.54);
+  assert.equal(round(contrastRatio('rgba(0, 0, 0, 0.5)', '#ffffff')), 3.98);
+  assert.equal(contrastRatio('{ui.text}', '#ffffff'), null);
+});
+
+test('apcaContrast() is positive for dark on light and negative for light on dark', () => {
+  assert.equal(round(apcaContrast('#000000', '#ffffff')), 106.04);
+  assert.equal(round(apcaContrast('#ffffff', '#000000')), -107.88);
+  assert.equal(apcaContrast('#ffffff', '#ffffff'), 0);
+});
+
+test('expandPairs() matches wildcards and carries them into the background, leaving out inactive text', () => {
+  const paths = ['action.primary.text.default', 'action.primary.bg.default', 'action.danger.bg.default', 'ui.text.default', 'ui.text.disabled', 'ui.bg.default'];
+  assert.deepEqual(expandPairs(DEFAULT_CONTRAST_PAIRS, paths).map(pair => `${pair.foreground} on ${pair.background}`), [
+    'ui.text.default on ui.bg.default',
+    'action.primary.text.default on action.primary.bg.default',
+  ]);
+});
+
+test('measurePairs() skips pairs that are not both colors', () => {
+  const colors = new Map([['fg', '#000000'], ['bg', '#ffffff'], ['gap', '4px']]);
+  const measured = measurePairs([{ foreground: 'fg', background: 'bg' }, { foreground: 'fg', background: 'gap' }], colors);
+  assert.deepEqual(measured.map(pair => [pair.background, round(pair.ratio)]), [['bg', 21]]);
+});
+
+test('contrastOptions() fills in defaults and takes the level from the command line', () => {
+  assert.deepEqual(contrastOptions(undefined), { pairs: DEFAULT_CONTRAST_PAIRS, minRatio: 4.5, minLc: null, level: 'warn' });
+  assert.equal(contrastOptions({ level: 'warn' }, 'error').level, 'error');
+  assert.throws(() => contrastOptions({ level: 'strict' }), /Contrast level must be one of error, warn, off, got "strict"/);
+});
+
+test('auditContrast() checks every pair in every mode against its thresholds', () => {
+  const modes = [
+    { name: 'light', colors: new Map([['ui.text.default', '#666666'], ['ui.text.muted', '#888888'], ['ui.bg.default', '#ffffff']]) },
+    { name: 'dark', colors: new Map([['ui.text.default', '#ffffff'], ['ui.text.muted', '#888888'], ['ui.bg.default', '#000000']]) },
+  ];
+  const options = contrastOptions({
+    pairs: [{ foreground: 'ui.text.*', background: 'ui.bg.*' }, { foreground: 'ui.text.muted', background: 'ui.bg.*', minRatio: 3 }],
+    minLc: 70,
+  });
+  const results = auditContrast(modes, options);
+  assert.deepEqual(results.map(r => [r.mode, r.foreground, r.minRatio, r.pass]), [
+    ['light', 'ui.text.default', 4.5, true],
+    ['light', 'ui.text.muted', 3, false],
+    ['dark', 'ui.text.default', 4.5, true],
+    ['dark', 'ui.text.muted', 3, false],
+  ]);
+  const failures = results.filter(r => !r.pass);
+  assert.equal(formatContrast(failures[0]), '  light: ui.text.muted on ui.bg.default 3.54:1 (needs 3:1), Lc 63.1 (needs 70)');
+  assert.match(new ContrastError(failures).message, /^2 contrast pairs below threshold:\n {2}light: /);
+});
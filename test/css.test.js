@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getTokenValue, referenceValue, wideGamutRules } from '../src/scripts/lib/css.js';
+import { createResolver } from '../src/scripts/lib/resolve.js';
+
+const resolver = createResolver([{
+  file: 'base/colors.tokens.json',
+  tokens: { gray: { $type: 'color', 90: { $value: { colorSpace: 'srgb', components: [0, 0, 0], alpha: 0.5 } } } },
+}]);
+
+test('referenceValue() turns references into var(), or gives up on unknown ones', () => {
+  const names = new Map([['gray.10', '--color-gray-10'], ['space.sm', '--gap-sm']]);
+  assert.equal(referenceValue('{gray.10}', names), 'var(--color-gray-10)');
+  assert.equal(referenceValue('{space.sm} {space.sm}', names), 'var(--gap-sm) var(--gap-sm)');
+  assert.equal(referenceValue('{space.sm} {space.lg}', names), null);
+  assert.equal(referenceValue('#fff', names), null);
+});
+
+test('colors are hex, or rgba() when translucent; numbers are px', () => {
+  assert.equal(getTokenValue({ $type: 'color', $value: { colorSpace: 'srgb', components: [1, 1, 1], alpha: 1, hex: '#FFFFFF' } }), '#FFFFFF');
+  assert.equal(getTokenValue({ $type: 'color', $value: '{gray.90}' }, resolver), 'rgba(0, 0, 0, 0.5)');
+  assert.equal(getTokenValue({ $type: 'number', $value: 12 }), '12px');
+  assert.equal(getTokenValue({ $type: 'string', $value: 'Inter, sans-serif' }), 'Inter, sans-serif');
+});
+
+test('unit types take px and ms for bare numbers, and keep other units', () => {
+  assert.equal(getTokenValue({ $type: 'dimension', $value: 0 }), '0');
+  assert.equal(getTokenValue({ $type: 'dimension', $value: { value: 1.5, unit: 'rem' } }), '1.5rem');
+  assert.equal(getTokenValue({ $type: 'duration', $value: 200 }), '200ms');
+  assert.equal(getTokenValue({ $type: 'cubicBezier', $value: [0.4, 0, 0.2, 1] }), 'cubic-bezier(0.4, 0, 0.2, 1)');
+});
+
+test('composites become shorthands, with references inside kept as var()', () => {
+  const names = new Map([['gray.90', '--color-gray-90']]);
+  const shadow = { $type: 'shadow', $value: [{ offsetX: 0, offsetY: 2, blur: 4, color: '{gray.90}' }, { offsetX: 0, offsetY: 1, color: '#000000', inset: true }] };
+  assert.equal(getTokenValue(shadow, resolver, names), '0 2px 4px 0 var(--color-gray-90), inset 0 1px 0 0 #000000');
+  assert.equal(getTokenValue(shadow, resolver), '0 2px 4px 0 rgba(0, 0, 0, 0.5), inset 0 1px 0 0 #000000');
+  assert.equal(getTokenValue({ $type: 'border', $value: { width: 1, style: 'dashed', color: '#000000' } }), '1px dashed #000000');
+  assert.equal(getTokenValue({ $type: 'transition', $value: { duration: 150, timingFunction: [0, 0, 1, 1] } }), '150ms cubic-bezier(0, 0, 1, 1)');
+  assert.equal(getTokenValue({
+    $type: 'typography',
+    $value: { fontFamily: ['Inter', 'Helvetica Neue'], fontSize: 16, fontWeight: 600, lineHeight: 1.5 },
+  }), '600 16px/1.5 Inter, "Helvetica Neue"');
+});
+
+test('a gradient lists its stops as percentages', () => {
+  assert.equal(getTokenValue({
+    $type: 'gradient',
+    $value: [{ color: '#FFFFFF', position: 0 }, { color: '{gray.90}', position: 1 }],
+  }, resolver), 'linear-gradient(#FFFFFF 0%, rgba(0, 0, 0, 0.5) 100%)');
+});
+
+test('wide-gamut colors keep their color space, or give their sRGB fallback', () => {
+  const token = { $type: 'color', $value: { colorSpace: 'oklch', components: [0.5, 0.1, 200], alpha: 1, hex: '#123456' } };
+  assert.equal(getTokenValue(token), 'oklch(0.5 0.1 200)');
+  assert.equal(getTokenValue(token, undefined, undefined, { srgb: true }), '#123456');
+  assert.equal(getTokenValue({ $type: 'color', $value: 'color(display-p3 1 0 0)' }), 'color(display-p3 1 0 0)');
+});
+
+test('wideGamutRules() re-declares wide-gamut values behind @supports', () => {
+  assert.deepEqual(wideGamutRules('  :root {', [
+    { name: '--a', value: 'oklch(0.5 0.1 200)' },
+    { name: '--b', value: '#ffffff' },
+    { name: '--c', value: 'color(display-p3 1 0 0)' },
+  ]), [
+    '',
+    '@supports (color: oklch(0 0 0)) {',
+    '  :root {',
+    '    --a: oklch(0.5 0.1 200);',
+    '  }',
+    '}',
+    '',
+    '@supports (color: color(display-p3 0 0 0)) {',
+    '  :root {',
+    '    --c: color(display-p3 1 0 0);',
+    '  }',
+    '}',
+  ]);
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { collectDeprecations, deprecationWarnings, replacementOf } from '../src/scripts/lib/deprecation.js';
+import { validateTokenSources } from '../src/scripts/lib/validate.js';
+
+const light = {
+  file: 'alias/light.tokens.json',
+  tokens: {
+    ui: {
+      $type: 'color',
+      text: {
+        default: { $value: '#161616' },
+        muted: { $value: '{ui.text.default}', $deprecated: 'Muted is the default now', $extensions: { hds: { replacedBy: 'ui.text.default' } } },
+      },
+      old: {
+        $deprecated: true,
+        border: { $value: '#cccccc' },
+        focus: { $value: '#0000ff', $deprecated: false },
+      },
+      link: { $value: '{ui.text.muted}' },
+      shadow: { $type: 'shadow', $value: { offsetX: 0, offsetY: 1, color: '{ui.old.border}' } },
+    },
+  },
+};
+
+const cssName = tokenPath => `--${tokenPath.replace(/\./g, '-')}`;
+
+test('replacementOf() reads replacedBy with or without the hds namespace', () => {
+  assert.equal(replacementOf({ $extensions: { hds: { replacedBy: 'a.b' } } }), 'a.b');
+  assert.equal(replacementOf({ $extensions: { replacedBy: 'a.c' } }), 'a.c');
+  assert.equal(replacementOf({ $value: 1 }), null);
+});
+
+test('collectDeprecations() inherits group $deprecated unless a token opts out', () => {
+  assert.deepEqual([...collectDeprecations(light.tokens)], [
+    ['ui.text.muted', { message: 'Muted is the default now', replacedBy: 'ui.text.default' }],
+    ['ui.old.border', { message: null, replacedBy: null }],
+  ]);
+});
+
+test('warns about deprecated tokens and every token still referencing one', () => {
+  const { deprecated, references } = deprecationWarnings([light], cssName);
+  assert.deepEqual(deprecated.map(issue => issue.message), [
+    '--ui-text-muted is deprecated, use --ui-text-default (Muted is the default now)',
+    '--ui-old-border is deprecated, no replacement',
+  ]);
+  assert.deepEqual(references.map(issue => `${issue.path}: ${issue.message}`), [
+    'ui.link: references deprecated {ui.text.muted}, use {ui.text.default}',
+    'ui.shadow: references deprecated {ui.old.border}',
+  ]);
+});
+
+test('replacedBy must name another existing token, on a deprecated token', () => {
+  const replaced = (replacedBy, $deprecated = true) => ({ $value: '#000000', $deprecated, $extensions: { hds: { replacedBy } } });
+  const issues = validateTokenSources([{
+    file: 'alias/light.tokens.json',
+    tokens: { ui: { $type: 'color', a: replaced('ui.b'), c: replaced('ui.c'), d: replaced('ui.a', false) } },
+  }]);
+  assert.deepEqual(issues.map(issue => `${issue.path}: ${issue.message}`), [
+    'ui.a: replacedBy names unknown token "ui.b"',
+    'ui.c: token is replaced by itself',
+    'ui.d: replacedBy needs $deprecated on the token or its group',
+  ]);
+});
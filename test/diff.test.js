@@ -0,0 +1,118 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readSnapshot, diffSnapshots, suggestBump, bumpVersion, SHARED_SCOPE } from '../src/scripts/lib/diff.js';
+import { changelogEntry, prependChangelog, renderChangelog } from '../src/scripts/lib/changelog.js';
+import { createNaming } from '../src/scripts/lib/naming.js';
+
+// A snapshot as readSnapshot() returns it: scope → token path → token
+function snapshot(scopes) {
+  return new Map(Object.entries(scopes).map(([scope, tokens]) => [scope, new Map(Object.entries(tokens).map(([tokenPath, token]) => [
+    tokenPath,
+    { name: `--${tokenPath.replace(/\./g, '-')}`, type: 'color', deprecated: false, ...token },
+  ]))]));
+}
+
+const before = snapshot({
+  [SHARED_SCOPE]: { 'gray.10': { value: '#eeeeee' }, 'gray.20': { value: '#dddddd' }, 'space.sm': { type: 'number', value: '4px' } },
+  light: { 'ui.bg.default': { value: '#eeeeee' }, 'ui.bg.muted': { value: '#dddddd' } },
+  dark: { 'ui.bg.default': { value: '#111111' }, 'ui.bg.muted': { value: '#222222' } },
+});
+
+test('classifies added, removed, renamed, retyped, deprecated and changed tokens', () => {
+  const after = snapshot({
+    [SHARED_SCOPE]: { 'gray.10': { value: '#f0f0f0' }, 'gray.25': { value: '#dddddd' }, 'space.sm': { type: 'dimension', value: '4px' } },
+    light: { 'ui.bg.default': { value: '#f0f0f0', deprecated: true }, 'ui.bg.subtle': { value: '#dddddd' }, 'ui.bg.card': { value: '#ffffff' } },
+    dark: { 'ui.bg.default': { value: '#111111', deprecated: true }, 'ui.bg.subtle': { value: '#333333' }, 'ui.bg.card': { value: '#000000' } },
+  });
+  const diff = diffSnapshots(before, after);
+  assert.deepEqual(diff.changes.map(change => [change.kind, change.path, change.scopes.join(' ')]), [
+    ['renamed', 'gray.20', SHARED_SCOPE],
+    ['changed', 'gray.10', SHARED_SCOPE],
+    ['retyped', 'space.sm', SHARED_SCOPE],
+    ['renamed', 'ui.bg.muted', 'light dark'],
+    ['added', 'ui.bg.card', 'light dark'],
+    ['changed', 'ui.bg.default', 'light'],
+    ['deprecated', 'ui.bg.default', 'light dark'],
+  ]);
+  assert.equal(diff.changes[3].to, 'ui.bg.subtle');
+  assert.equal(suggestBump(diff), 'major');
+});
+
+test('suggests minor for additions and new modes, patch for values, null for nothing', () => {
+  const none = { modesAdded: [], modesRemoved: [], changes: [] };
+  assert.equal(suggestBump(none), null);
+  assert.equal(suggestBump({ ...none, changes: [{ kind: 'changed' }] }), 'patch');
+  assert.equal(suggestBump({ ...none, changes: [{ kind: 'changed' }, { kind: 'deprecated' }] }), 'minor');
+  assert.equal(suggestBump({ ...none, modesAdded: ['dim'] }), 'minor');
+  assert.equal(suggestBump({ ...none, modesRemoved: ['dim'] }), 'major');
+  assert.deepEqual(diffSnapshots(before, new Map([...before, ['dim', new Map()]])).modesAdded, ['dim']);
+});
+
+test('bumpVersion() keeps a v prefix and resets lower parts', () => {
+  assert.equal(bumpVersion('1.2.3', 'major'), '2.0.0');
+  assert.equal(bumpVersion('v1.2.3', 'minor'), 'v1.3.0');
+  assert.equal(bumpVersion('1.2.3', 'patch'), '1.2.4');
+  assert.equal(bumpVersion('next', 'patch'), null);
+  assert.equal(bumpVersion('1.2.3', null), null);
+});
+
+test('readSnapshot() resolves shared tokens once and every mode in full', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hds-diff-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'base'));
+    fs.mkdirSync(path.join(dir, 'alias'));
+    fs.writeFileSync(path.join(dir, 'base/colors.tokens.json'), JSON.stringify({ gray: { $type: 'color', 10: { $value: '#eeeeee' } } }));
+    fs.writeFileSync(path.join(dir, 'alias/light.tokens.json'), JSON.stringify({ ui: { $type: 'color', bg: { $value: '{gray.10}' } } }));
+    fs.writeFileSync(path.join(dir, 'alias/dark.tokens.json'), JSON.stringify({ ui: { $type: 'color', $deprecated: true, bg: { $value: '#111111' } } }));
+    const scopes = readSnapshot({ tokens: {} }, dir, createNaming('legacy'));
+    assert.deepEqual([...scopes.keys()], [SHARED_SCOPE, 'light', 'dark']);
+    assert.deepEqual(scopes.get(SHARED_SCOPE).get('gray.10'), { name: '--color-gray-10', type: 'color', value: '#eeeeee', deprecated: false });
+    assert.deepEqual(scopes.get('light').get('ui.bg'), { name: '--ui-bg', type: 'color', value: '#eeeeee', deprecated: false });
+    assert.deepEqual(scopes.get('dark').get('ui.bg'), { name: '--ui-bg', type: 'color', value: '#111111', deprecated: true });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('changelog entries group changes by section, newest first', () => {
+  const diff = {
+    modesAdded: ['dim'],
+    modesRemoved: [],
+    changes: [
+      { kind: 'added', name: '--ui-bg-card', scopes: ['light', 'dark'] },
+      { kind: 'changed', name: '--color-gray-10', scopes: [SHARED_SCOPE], values: { [SHARED_SCOPE]: { before: '#eeeeee', after: '#f0f0f0' } } },
+    ],
+  };
+  const entry = changelogEntry(diff, { release: '1.3.0', date: '2026-10-19', bump: 'minor', from: 'v1.2.0', to: 'working tree' });
+  assert.equal(entry, [
+    '## 1.3.0 — 2026-10-19',
+    '',
+    'Suggested bump: **minor** (v1.2.0 → working tree)',
+    '',
+    '### Added',
+    '- Mode `dim`',
+    '- `--ui-bg-card` (light, dark)',
+    '',
+    '### Changed',
+    '- `--color-gray-10`: `#eeeeee` → `#f0f0f0`',
+    '',
+  ].join('\n'));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hds-changelog-'));
+  try {
+    const file = path.join(dir, 'CHANGELOG.md');
+    prependChangelog(file, changelogEntry({ modesAdded: [], modesRemoved: [], changes: [] }, { release: '1.2.0', date: '2026-10-01', bump: null, from: 'v1.1.0', to: 'v1.2.0' }));
+    prependChangelog(file, entry);
+    const markdown = fs.readFileSync(file, 'utf-8');
+    assert.match(markdown, /^# Token Changelog\n\n## 1\.3\.0 — 2026-10-19\n[\s\S]*\n\n## 1\.2\.0 — 2026-10-01\n\nNo token changes \(v1\.1\.0 → v1\.2\.0\)\n$/);
+
+    const releases = renderChangelog(markdown, text => text.replace(/</g, '&lt;'));
+    assert.deepEqual(releases.map(release => release.title), ['1.3.0 — 2026-10-19', '1.2.0 — 2026-10-01']);
+    assert.match(releases[0].html, /^<p>Suggested bump: <strong>minor<\/strong>[^<]*<\/p>\n<h4>Added<\/h4>\n<ul>\n<li>Mode <code>dim<\/code><\/li>/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
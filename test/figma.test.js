@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { importFigmaVariables, exportFigmaVariables } from '../src/scripts/lib/figma.js';
+import { createResolver } from '../src/scripts/lib/resolve.js';
+
+const figmaExport = {
+  meta: {
+    variableCollections: {
+      'c:1': { id: 'c:1', name: 'Primitives', modes: [{ modeId: '1:0', name: 'Value' }], defaultModeId: '1:0' },
+      'c:2': { id: 'c:2', name: 'Theme', modes: [{ modeId: '2:0', name: 'Light' }, { modeId: '2:1', name: 'Dark' }], defaultModeId: '2:0' },
+    },
+    variables: {
+      'v:1': { id: 'v:1', name: 'gray/10', variableCollectionId: 'c:1', resolvedType: 'COLOR', valuesByMode: { '1:0': { r: 1, g: 1, b: 1, a: 1 } } },
+      'v:2': { id: 'v:2', name: 'gray/90', variableCollectionId: 'c:1', resolvedType: 'COLOR', valuesByMode: { '1:0': { r: 0, g: 0, b: 0, a: 1 } } },
+      'v:3': { id: 'v:3', name: 'radius/sm', variableCollectionId: 'c:1', resolvedType: 'FLOAT', valuesByMode: { '1:0': 4 } },
+      'v:4': {
+        id: 'v:4',
+        name: 'ui/bg/default',
+        variableCollectionId: 'c:2',
+        resolvedType: 'COLOR',
+        description: 'Page background',
+        valuesByMode: { '2:0': { type: 'VARIABLE_ALIAS', id: 'v:1' }, '2:1': { type: 'VARIABLE_ALIAS', id: 'v:2' } },
+      },
+    },
+  },
+};
+
+test('imports one file per collection, and one per mode when there are several', () => {
+  const { files, warnings } = importFigmaVariables(figmaExport);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(Object.keys(files).sort(), ['alias/dark', 'alias/light', 'base/primitives']);
+  assert.deepEqual(files['base/primitives'].gray[10].$value, { colorSpace: 'srgb', components: [1, 1, 1], alpha: 1, hex: '#FFFFFF' });
+  assert.deepEqual(files['base/primitives'].radius.sm, { $type: 'number', $value: 4 });
+  assert.deepEqual(files['alias/light'].ui.bg.default, { $type: 'color', $value: '{gray.10}', $description: 'Page background' });
+  assert.equal(files['alias/dark'].ui.bg.default.$value, '{gray.90}');
+});
+
+test('the import map renames collections and modes', () => {
+  const { files } = importFigmaVariables(figmaExport, { Primitives: 'base/colors', Theme: { Light: 'alias/day' } });
+  assert.deepEqual(Object.keys(files).sort(), ['alias/day', 'base/colors']);
+});
+
+test('aliases to unknown variables are skipped with a warning', () => {
+  const data = structuredClone(figmaExport);
+  data.meta.variables['v:4'].valuesByMode['2:1'] = { type: 'VARIABLE_ALIAS', id: 'v:404' };
+  const { files, warnings } = importFigmaVariables(data);
+  assert.equal(files['alias/dark'].ui, undefined);
+  assert.match(warnings[0], /Theme → ui\/bg\/default: alias to unknown variable v:404/);
+});
+
+test('an export without collections is an error', () => {
+  assert.throws(() => importFigmaVariables({ meta: {} }), /No variable collections/);
+});
+
+test('export → import round-trips values and aliases', () => {
+  const { files } = importFigmaVariables(figmaExport);
+  const base = { file: 'base/primitives', tokens: files['base/primitives'] };
+  const modes = ['light', 'dark'].map(name => ({
+    name,
+    tokens: files[`alias/${name}`],
+    resolver: createResolver([base, { file: `alias/${name}`, tokens: files[`alias/${name}`] }]),
+  }));
+  const { data, warnings } = exportFigmaVariables([
+    { name: 'Primitives', modes: [{ name: 'Value', tokens: base.tokens, resolver: createResolver([base]) }] },
+    { name: 'Theme', modes },
+  ]);
+  assert.deepEqual(warnings, []);
+
+  const bg = Object.values(data.meta.variables).find(v => v.name === 'ui/bg/default');
+  assert.deepEqual(Object.values(bg.valuesByMode).map(value => value.type), ['VARIABLE_ALIAS', 'VARIABLE_ALIAS']);
+  assert.deepEqual(importFigmaVariables(data).files, files);
+});
+
+test('a mode missing a token exports the first mode\'s value', () => {
+  const tokens = { space: { $type: 'number', sm: { $value: 4 }, md: { $value: 8 } } };
+  const { data } = exportFigmaVariables([{
+    name: 'Theme',
+    modes: [{ name: 'Light', tokens }, { name: 'Dark', tokens: { space: { $type: 'number', sm: { $value: 2 } } } }],
+  }]);
+  const md = Object.values(data.meta.variables).find(v => v.name === 'space/md');
+  assert.deepEqual(md.valuesByMode, { '1:0': 8, '1:1': 8 });
+});
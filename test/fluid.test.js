@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createResolver } from '../src/scripts/lib/resolve.js';
+import { fluidOf, fluidRange, fluidSizeAt, fluidClamp, FLUID_MIN_VIEWPORT, FLUID_MAX_VIEWPORT } from '../src/scripts/lib/fluid.js';
+
+const fluid = (value, options) => ({ $value: value, $extensions: { hds: { fluid: options } } });
+
+test('a token without fluid options is not fluid', () => {
+  assert.equal(fluidOf({ $value: 16 }), null);
+  assert.equal(fluidRange({ $value: 16 }), null);
+});
+
+test('fluidRange() resolves references and defaults to the sm–2xl viewports', () => {
+  const resolver = createResolver([{
+    file: 'base/scale.tokens.json',
+    tokens: { type: { $type: 'number', 28: { $value: 28 }, 40: { $value: 40 } } },
+  }]);
+  assert.deepEqual(fluidRange(fluid('{type.40}', { min: '{type.28}' }), resolver), {
+    min: 28,
+    max: 40,
+    minViewport: FLUID_MIN_VIEWPORT,
+    maxViewport: FLUID_MAX_VIEWPORT,
+    unit: 'px',
+  });
+});
+
+test('rem sizes stay rem only when both ends are rem', () => {
+  assert.equal(fluidRange(fluid('2.5rem', { min: '1.75rem' })).unit, 'rem');
+  assert.equal(fluidRange(fluid('40px', { min: '1.75rem' })).unit, 'px');
+  assert.equal(fluidRange(fluid('2.5rem', { min: '1.75rem' })).min, 28);
+});
+
+test('fluidSizeAt() interpolates linearly and holds outside the range', () => {
+  const range = { min: 28, max: 40, minViewport: 480, maxViewport: 1440 };
+  assert.equal(fluidSizeAt(range, 320), 28);
+  assert.equal(fluidSizeAt(range, 960), 34);
+  assert.equal(fluidSizeAt(range, 1920), 40);
+});
+
+test('fluidClamp() writes the slope through both ends', () => {
+  assert.equal(fluidClamp({ min: 28, max: 40, minViewport: 480, maxViewport: 1440, unit: 'px' }), 'clamp(28px, 22px + 1.25vw, 40px)');
+  assert.equal(fluidClamp({ min: 28, max: 40, minViewport: 480, maxViewport: 1440, unit: 'rem' }), 'clamp(1.75rem, 1.375rem + 1.25vw, 2.5rem)');
+  // Shrinking tokens keep clamp()'s min below its max
+  assert.equal(fluidClamp({ min: 40, max: 28, minViewport: 480, maxViewport: 1440, unit: 'px' }), 'clamp(28px, 46px - 1.25vw, 40px)');
+});
+
+test('rejects sizes that aren\'t px or rem and empty viewport ranges', () => {
+  assert.throws(() => fluidRange(fluid('40px', { min: '2em' }), null, 'type.h1'), /^Error: type\.h1: fluid min and max must be px or rem sizes/);
+  assert.throws(
+    () => fluidRange(fluid('40px', { min: '28px', minViewport: 1440, maxViewport: 1440 }), null, 'type.h1'),
+    /type\.h1: fluid minViewport \(1440\) must be below maxViewport \(1440\)/,
+  );
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { foundationTokens, customMediaRules } from '../src/scripts/lib/foundations.js';
+import { createNaming } from '../src/scripts/lib/naming.js';
+import { validateTokenSources } from '../src/scripts/lib/validate.js';
+
+const naming = createNaming('hds');
+
+const effects = {
+  file: 'alias/effects.tokens.json',
+  tokens: {
+    'z-index': { $type: 'number', modal: { $value: 100 } },
+    duration: { $type: 'duration', fast: { $value: '120ms', $description: 'Snappy' } },
+    shadow: { $type: 'shadow', sm: { $value: { offsetX: 0, offsetY: 1, blur: 2, color: '#00000033' } } },
+  },
+};
+
+test('collects foundation groups from the shared files in group order', () => {
+  const { breakpoints, motion, elevation } = foundationTokens([effects], naming);
+  assert.deepEqual(elevation.map(entry => [entry.group, entry.path, entry.name, entry.fallback]), [
+    ['shadow', 'shadow.sm', '--hds-shadow-sm', false],
+    ['z-index', 'z-index.modal', '--hds-z-index-modal', false],
+  ]);
+  // Stacking order is unitless
+  assert.equal(elevation[1].token.$type, 'string');
+  assert.deepEqual(motion.filter(entry => entry.group === 'duration').map(entry => [entry.path, entry.description, entry.fallback]), [
+    ['duration.fast', 'Snappy', false],
+  ]);
+  assert.equal(breakpoints.length, 5);
+});
+
+test('groups no file defines fall back to the main.css defaults', () => {
+  const { breakpoints, motion } = foundationTokens([effects], naming);
+  assert.ok(breakpoints.every(entry => entry.fallback));
+  assert.deepEqual(breakpoints.map(entry => entry.path).slice(0, 2), ['breakpoint.sm', 'breakpoint.md']);
+  assert.deepEqual([...new Set(motion.map(entry => entry.group))], ['duration', 'delay', 'ease']);
+  assert.ok(motion.filter(entry => entry.group !== 'duration').every(entry => entry.fallback));
+});
+
+test('customMediaRules() writes mobile-first @custom-media queries', () => {
+  assert.deepEqual(customMediaRules([{ name: '--hds-breakpoint-md', value: '768px' }]), ['@custom-media --hds-breakpoint-md (min-width: 768px);']);
+});
+
+test('foundation groups hold tokens of their type', () => {
+  const issues = validateTokenSources([{ file: 'alias/effects.tokens.json', tokens: { duration: { $type: 'number', fast: { $value: 150 } } } }]);
+  assert.deepEqual(issues.map(issue => `${issue.path}: ${issue.message}`), ['duration.fast: duration tokens must be duration tokens, got number']);
+});
@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateMainVariables, syncMainCss, checkMainCss, extractGeneratedBlock, GENERATED_START, GENERATED_END } from '../src/scripts/lib/main-css.js';
+import { createResolver } from '../src/scripts/lib/resolve.js';
+
+const colors = { gray: { $type: 'color', 10: { $value: '#EEEEEE' }, 90: { $value: '#111111' } } };
+
+function mode(file, tokens) {
+  return { tokens, resolver: createResolver([{ file: 'base/colors.tokens.json', tokens: colors }, { file, tokens }]) };
+}
+
+const block = generateMainVariables({
+  colors,
+  light: mode('alias/light.tokens.json', { ui: { bg: { default: { $type: 'color', $value: '{gray.10}' } } } }),
+  dark: mode('alias/dark.tokens.json', { ui: { bg: { default: { $type: 'color', $value: '{gray.90}' } } } }),
+});
+
+const handWritten = [
+  '/* ===== 1. VARIABLES ===== */',
+  '',
+  ':root {',
+  '  /* Base Colors */',
+  '  --base-color-gray-10: #eeeeee;',
+  '',
+  '  /* Spacing */',
+  '  --hds-space-4: 4px;',
+  '}',
+  '',
+  '[data-theme="dark"] {',
+  '  --hds-bg-default: #111111;',
+  '}',
+  '',
+  '/* ===== 2. BASE ===== */',
+  '',
+].join('\n');
+
+test('generates base colors and semantic tokens as var() references, per mode', () => {
+  assert.ok(block.startsWith(GENERATED_START) && block.endsWith(GENERATED_END));
+  assert.match(block, /:root \{\n {2}\/\* Base Colors — Gray \*\/\n {2}--base-color-gray-10: #eeeeee;\n {2}--base-color-gray-90: #111111;\n\n {2}\/\* UI Tokens \*\/\n {2}--hds-bg-default: var\(--base-color-gray-10\);\n\}/);
+  assert.match(block, /\[data-theme="dark"\] \{\n {2}\/\* UI Tokens \*\/\n {2}--hds-bg-default: var\(--base-color-gray-90\);\n\}/);
+});
+
+test('the first sync adds the markers and drops the declarations the block now owns', () => {
+  const css = syncMainCss(handWritten, block);
+  const parts = extractGeneratedBlock(css);
+  assert.equal(parts.block, block);
+  assert.equal(parts.before, '/* ===== 1. VARIABLES ===== */\n\n');
+  assert.equal(parts.after, '\n\n:root {\n  /* Spacing */\n  --hds-space-4: 4px;\n}\n\n/* ===== 2. BASE ===== */\n');
+  assert.equal(syncMainCss(css, block), css);
+});
+
+test('check reports drift inside the block, and nothing without markers', () => {
+  const css = syncMainCss(handWritten, block);
+  assert.deepEqual(checkMainCss(css, block), []);
+  const drifted = css.replace('--base-color-gray-90: #111111;', '--base-color-gray-90: #000000;');
+  assert.deepEqual(checkMainCss(drifted, block), [':root --base-color-gray-90: #000000 (expected #111111)']);
+  assert.equal(checkMainCss(handWritten, block), null);
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readModes, modeChain, createModeResolvers } from '../src/scripts/lib/modes.js';
+
+// An alias directory holding the given mode files
+function withAliasDir(files, run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hds-modes-'));
+  for (const [filename, tokens] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, filename), JSON.stringify(tokens));
+  }
+  try {
+    return run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const light = { ui: { $type: 'color', bg: { $value: '#ffffff' }, fg: { $value: '#000000' } } };
+const dark = { ui: { bg: { $value: '#000000' }, fg: { $value: '#ffffff' } } };
+
+test('discovers light, dark and every other alias file that is not a shared one', () => withAliasDir({
+  'light.tokens.json': light,
+  'dark.tokens.json': dark,
+  'sepia.tokens.json': { ui: { bg: { $value: '#f4ecd8' } } },
+  'spacing.tokens.json': { space: { $type: 'number', sm: { $value: 4 } } },
+}, aliasTokensDir => {
+  const modes = readModes({ tokens: {}, aliasTokensDir });
+  assert.deepEqual(modes.map(mode => [mode.name, mode.parent, mode.media]), [
+    ['light', null, null],
+    ['dark', 'light', '(prefers-color-scheme: dark)'],
+    ['sepia', 'light', null],
+  ]);
+  const sepia = modes.find(mode => mode.name === 'sepia');
+  assert.deepEqual(sepia.own, { ui: { bg: { $value: '#f4ecd8' } } });
+  assert.deepEqual(sepia.tokens.ui.fg, { $value: '#000000', $type: 'color' });
+}));
+
+test('a mode inherits from the parent its file or the config declares', () => withAliasDir({
+  'light.tokens.json': light,
+  'dark.tokens.json': dark,
+  'dim.tokens.json': { $extensions: { hds: { parent: 'dark' } }, ui: { bg: { $value: '#222222' } } },
+}, aliasTokensDir => {
+  const modes = readModes({ tokens: {}, aliasTokensDir });
+  const dim = modes.find(mode => mode.name === 'dim');
+  assert.equal(dim.parent, 'dark');
+  assert.equal(dim.tokens.ui.fg.$value, '#ffffff');
+  assert.deepEqual(modeChain(modes, dim).map(mode => mode.name), ['light', 'dark', 'dim']);
+
+  const resolver = createModeResolvers(modes, []).get('dim');
+  assert.equal(resolver.resolveToken('ui.bg'), '#222222');
+  assert.equal(resolver.resolveToken('ui.fg'), '#ffffff');
+
+  const configured = readModes({ tokens: { modes: { light: {}, dim: { parent: 'light', media: '(prefers-contrast: less)' } } }, aliasTokensDir });
+  assert.deepEqual(configured.map(mode => [mode.name, mode.parent, mode.media]), [['light', null, null], ['dim', 'light', '(prefers-contrast: less)']]);
+}));
+
+test('unknown and circular parents and the auto mode are errors', () => withAliasDir({ 'light.tokens.json': light }, aliasTokensDir => {
+  const read = modes => () => readModes({ tokens: { modes }, aliasTokensDir });
+  assert.throws(read({ dim: { parent: 'night' } }), /Mode "dim": unknown parent mode "night"/);
+  assert.throws(read({ a: { parent: 'b' }, b: { parent: 'a' } }), /Circular mode parents: a → b → a/);
+  assert.throws(read({ auto: {} }), /reserved/);
+}));
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTokenModule } from '../src/scripts/lib/module.js';
+
+const entry = (name, value, extra = {}) => ({ name, segments: name.slice(2).split('-'), value, ...extra });
+
+// Evaluate the generated module without writing it to disk
+async function load(js) {
+  return import(`data:text/javascript,${encodeURIComponent(js)}`);
+}
+
+test('nests tokens by name segments with var() and per-mode values', async () => {
+  const { js, dts } = generateTokenModule([
+    entry('--ui-bg-default', '#ffffff', { modes: { light: '#ffffff', dark: '#161616' } }),
+    entry('--gap-md', '8px'),
+  ], ['light', 'dark']);
+  const { tokens, tokensByName, cssVar } = await load(js);
+
+  assert.deepEqual(tokens.ui.bg.default, {
+    name: '--ui-bg-default',
+    var: 'var(--ui-bg-default)',
+    value: '#ffffff',
+    modes: { light: '#ffffff', dark: '#161616' },
+  });
+  assert.equal(tokensByName['--gap-md'].value, '8px');
+  assert.equal(cssVar('--gap-md'), 'var(--gap-md)');
+  assert.match(dts, /export type ModeName = "light" \| "dark";/);
+  assert.match(dts, /readonly default: ModeToken<"--ui-bg-default">;/);
+});
+
+test('a token that is also a group nests under _, in either order', async () => {
+  for (const entries of [
+    [entry('--action-primary', '#000000'), entry('--action-primary-bg-default', '#111111')],
+    [entry('--action-primary-bg-default', '#111111'), entry('--action-primary', '#000000')],
+  ]) {
+    const { tokens } = await load(generateTokenModule(entries, ['light']).js);
+    assert.equal(tokens.action.primary._.name, '--action-primary');
+    assert.equal(tokens.action.primary.bg.default.name, '--action-primary-bg-default');
+  }
+});
+
+test('two tokens nesting at the same place fail the build', () => {
+  assert.throws(
+    () => generateTokenModule([entry('--a-b', '1px'), { name: '--a_b', segments: ['a', 'b'], value: '2px' }], []),
+    /Token module: --a_b and --a-b both nest as a\.b/,
+  );
+  assert.throws(
+    () => generateTokenModule([
+      entry('--a-b', '1px'),
+      entry('--a-b-c', '2px'),
+      { name: '--a_b', segments: ['a', 'b'], value: '3px' },
+    ], []),
+    /Token module: --a_b and --a-b both nest as a\.b\._/,
+  );
+});
+
+test('deprecated tokens carry @deprecated in the declarations', () => {
+  const { dts } = generateTokenModule([entry('--gap-sm', '4px', { deprecated: 'use --gap-md' })], []);
+  assert.match(dts, /\/\*\* @deprecated use --gap-md \*\/\n\s+readonly sm: Token<"--gap-sm">;/);
+});
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createNaming, sourceOf } from '../src/scripts/lib/naming.js';
+
+test('sourceOf() drops the token file extension', () => {
+  assert.equal(sourceOf('alias/spacing.tokens.json'), 'alias/spacing');
+});
+
+test('hds preset matches main.css', () => {
+  const naming = createNaming('hds');
+  assert.equal(naming.cssVar('base/colors', 'gray.45'), '--base-color-gray-45');
+  assert.equal(naming.cssVar('base/scale', 'ui.16'), '--hds-space-16');
+  assert.equal(naming.cssVar('alias/spacing', 'space.md'), '--hds-spacing-md');
+  assert.equal(naming.cssVar('mode', 'ui.bg.default'), '--hds-bg-default');
+  assert.equal(naming.cssVar('mode', 'action.primary.bg.default'), '--hds-action-primary-bg-default');
+  assert.deepEqual(naming.segments('mode', 'ui.bg.default'), ['hds', 'bg', 'default']);
+});
+
+test('legacy preset matches the original tokens.css', () => {
+  const naming = createNaming('legacy');
+  assert.equal(naming.cssVar('base/colors', 'gray.45'), '--color-gray-45');
+  assert.equal(naming.cssVar('alias/spacing', 'space.md'), '--gap-md');
+  assert.equal(naming.cssVar('mode', 'ui.bg.default'), '--ui-bg-default');
+});
+
+test('custom options extend a preset, longest path prefix first', () => {
+  const naming = createNaming({
+    extends: 'hds',
+    case: 'snake',
+    groups: { 'mode:ui.bg': 'surface', 'alias/radius:container': { rename: 'r', prefix: '' } },
+  });
+  assert.equal(naming.cssVar('mode', 'ui.bg.default'), '--hds_surface_default');
+  assert.equal(naming.cssVar('mode', 'ui.text.default'), '--hds_text_default');
+  assert.equal(naming.cssVar('alias/radius', 'container.sm'), '--r_sm');
+  assert.equal(createNaming({ case: 'camel' }).name('mode', 'ui.bg-inset'), 'uiBgInset');
+});
+
+test('rejects unknown presets and cases', () => {
+  assert.throws(() => createNaming('nope'), /Unknown naming preset: nope/);
+  assert.throws(() => createNaming({ case: 'upper' }), /Unknown naming case: upper/);
+});
@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { overrideImpact, formatImpact, impactHTML } from '../src/scripts/lib/overrides.js';
+import { createResolver } from '../src/scripts/lib/resolve.js';
+
+const colors = { file: 'base/colors.tokens.json', tokens: { gray: { $type: 'color', 10: { $value: '#ffffff' }, 50: { $value: '#777777' }, 90: { $value: '#111111' } } } };
+const light = {
+  ui: {
+    $type: 'color',
+    bg: { default: { $value: '{gray.10}' }, raised: { $value: '{ui.bg.default}' } },
+    fg: { default: { $value: '{gray.90}' } },
+  },
+};
+const overrides = { file: 'alias-overrides.json', tokens: { ui: { fg: { default: { $value: '{gray.50}' } }, bg: { defualt: { $value: '#000000' } } } } };
+
+// The parts of build-tokens.js buildModel() the report reads, for one mode
+function model(extra) {
+  const sources = [colors, { file: 'alias/light.tokens.json', tokens: light }, ...extra];
+  const resolver = createResolver(sources);
+  const entries = ['ui.bg.default', 'ui.bg.raised', 'ui.fg.default'].map(path => ({
+    path,
+    name: `--${path.replace(/\./g, '-')}`,
+    token: { $type: 'color', $value: resolver.get(path).token.$value },
+  }));
+  return { modes: [{ name: 'light', entries, resolver }] };
+}
+
+const knownPaths = new Set(['gray.10', 'gray.50', 'gray.90', 'ui.bg.default', 'ui.bg.raised', 'ui.fg.default']);
+const pairs = [{ foreground: 'ui.fg.default', background: 'ui.bg.*' }];
+
+test('reports changed tokens, unmatched keys and contrast regressions', () => {
+  const report = overrideImpact(model([]), model([overrides]), overrides, knownPaths, pairs);
+  assert.deepEqual(report.changed, [
+    { path: 'ui.fg.default', name: '--ui-fg-default', override: true, modes: { light: { before: '#111111', after: '#777777' } } },
+  ]);
+  assert.deepEqual(report.unmatched, [{ path: 'ui.bg.defualt', suggestion: 'ui.bg.default' }]);
+  assert.deepEqual(report.regressions.map(r => [r.background, r.after.toFixed(2)]), [['ui.bg.default', '4.48'], ['ui.bg.raised', '4.48']]);
+});
+
+test('aliases that follow an overridden token are reported as changed too', () => {
+  const bg = { file: 'alias-overrides.json', tokens: { ui: { bg: { default: { $value: '#eeeeee' } } } } };
+  const report = overrideImpact(model([]), model([bg]), bg, knownPaths, pairs);
+  assert.deepEqual(report.changed.map(change => [change.path, change.override]), [['ui.bg.default', true], ['ui.bg.raised', false]]);
+  assert.deepEqual(report.regressions, []);
+});
+
+test('without pairs the contrast check is skipped', () => {
+  const report = overrideImpact(model([]), model([overrides]), overrides, knownPaths, null);
+  assert.equal(report.regressions, null);
+  assert.equal(formatImpact(report).length, 5);
+  assert.match(impactHTML(report), /<h2>Contrast regressions<\/h2>\n {4}<p>Contrast check off\.<\/p>/);
+});
+
+test('formats the report for the console and as HTML', () => {
+  const report = overrideImpact(model([]), model([overrides]), overrides, knownPaths, pairs);
+  assert.deepEqual(formatImpact(report), [
+    'Override impact (alias-overrides.json):',
+    '  1 token changed:',
+    '    --ui-fg-default: light #111111 → #777777',
+    '  ⚠ 1 override key matched no token (added as new):',
+    '    ui.bg.defualt (did you mean ui.bg.default?)',
+    '  ⚠ 2 contrast regressions below 4.5:1:',
+    '    light: ui.fg.default on ui.bg.default 18.88:1 → 4.48:1',
+    '    light: ui.fg.default on ui.bg.raised 18.88:1 → 4.48:1',
+  ]);
+  assert.deepEqual(formatImpact(overrideImpact(model([]), model([]), { file: 'none.json', tokens: {} }, knownPaths, pairs)), [
+    'Override impact (none.json):',
+    '  no token values changed',
+  ]);
+  const html = impactHTML(report);
+  assert.match(html, /<title>Override impact — alias-overrides\.json<\/title>/);
+  assert.match(html, /<h2>Contrast regressions \(2\)<\/h2>/);
+});
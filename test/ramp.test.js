@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readRamps, generateRamp, rampTokens, parseSeed, RAMP_STOPS } from '../src/scripts/lib/ramp.js';
+import { toOklch, fromOklch } from '../src/scripts/lib/color.js';
+
+const round = values => values.map(n => Math.round(n * 1000) / 1000);
+
+test('toOklch() and fromOklch() round-trip sRGB', () => {
+  assert.deepEqual(round(toOklch([1, 1, 1])), [1, 0, 0]);
+  assert.deepEqual(round(fromOklch(toOklch([0.85, 0.13, 0.18]))), [0.85, 0.13, 0.18]);
+});
+
+test('parseSeed() reads hex and oklch() seeds', () => {
+  assert.deepEqual(round(parseSeed('#D9212D')), round(toOklch([0xD9 / 255, 0x21 / 255, 0x2D / 255])));
+  assert.deepEqual(parseSeed('oklch(60% 0.12 190)'), [0.6, 0.12, 190]);
+  assert.equal(parseSeed('brand red'), null);
+});
+
+test('the stop closest in lightness to the seed is the seed itself', () => {
+  const [ramp] = readRamps({ brand: { seed: '#D9212D' } });
+  const stops = generateRamp(ramp);
+  assert.deepEqual(stops.map(stop => stop.stop), RAMP_STOPS);
+  assert.deepEqual(stops.filter(stop => stop.seed).map(stop => stop.stop), ['40']);
+  const tokens = rampTokens(ramp, stops);
+  assert.equal(tokens[40].$value.hex, '#D9212D');
+  assert.ok(stops.every((stop, i) => i === 0 || stop.oklch[0] < stops[i - 1].oklch[0]));
+  assert.deepEqual(tokens.white, { $type: 'color', $value: { colorSpace: 'srgb', components: [1, 1, 1], alpha: 1, hex: '#FFFFFF' } });
+});
+
+test('stops outside sRGB are gamut mapped', () => {
+  const [ramp] = readRamps({ neon: { seed: 'oklch(0.7 0.3 145)' } });
+  const stops = generateRamp(ramp);
+  assert.ok(stops.some(stop => stop.mapped));
+  for (const { components } of stops) assert.ok(components.every(c => c >= 0 && c <= 1));
+});
+
+test('colorSpace oklch writes the unmapped stops with an sRGB hex fallback', () => {
+  const [ramp] = readRamps({ neon: { seed: 'oklch(0.7 0.3 145)', colorSpace: 'oklch' } });
+  const stops = generateRamp(ramp);
+  const { $value } = rampTokens(ramp, stops)[stops.find(stop => stop.seed).stop];
+  assert.deepEqual($value.components, [0.7, 0.3, 145]);
+  assert.equal($value.colorSpace, 'oklch');
+  assert.match($value.hex, /^#[0-9A-F]{6}$/);
+  assert.throws(() => readRamps({ neon: { seed: '#00ff00', colorSpace: 'p3' } }), /Ramp "neon": colorSpace must be srgb or oklch/);
+});
+
+test('bad seeds and curves name the ramp', () => {
+  assert.throws(() => readRamps({ brand: { seed: 'nope' } }), /Ramp "brand": seed "nope" is not a color/);
+  assert.throws(() => readRamps({ brand: { seed: '#D9212D', chroma: [1, 2] } }), /Ramp "brand": chroma needs 20 non-negative numbers/);
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createResolver, collectProblems, getRef } from '../src/scripts/lib/resolve.js';
+
+const colors = {
+  file: 'base/colors.tokens.json',
+  tokens: { gray: { $type: 'color', 10: { $value: '#eeeeee' }, 90: { $value: '#111111' } } },
+};
+
+test('getRef() only matches a bare reference', () => {
+  assert.equal(getRef('{ui.bg.default}'), 'ui.bg.default');
+  assert.equal(getRef('{a} {b}'), null);
+  assert.equal(getRef(12), null);
+});
+
+test('resolves alias chains across sources', () => {
+  const resolver = createResolver([colors, {
+    file: 'alias/light.tokens.json',
+    tokens: { ui: { bg: { inset: { $value: '{gray.10}' }, default: { $value: '{ui.bg.inset}' } } } },
+  }]);
+  assert.equal(resolver.resolveToken('ui.bg.default'), '#eeeeee');
+  assert.deepEqual(resolver.check(), []);
+});
+
+test('resolves references inside composite values and strings', () => {
+  const resolver = createResolver([colors, {
+    file: 'alias/effects.tokens.json',
+    tokens: {
+      space: { sm: { $value: '4px' }, md: { $value: '8px' } },
+      pad: { $value: '{space.sm} {space.md}' },
+      shadow: { $value: { color: '{gray.90}', offsetX: 0, offsetY: '{space.sm}' } },
+    },
+  }]);
+  assert.equal(resolver.resolveToken('pad'), '4px 8px');
+  assert.deepEqual(resolver.resolveToken('shadow'), { color: '#111111', offsetX: 0, offsetY: '4px' });
+});
+
+test('later sources win and keep the earlier $type', () => {
+  const resolver = createResolver([colors, { file: 'overrides.json', tokens: { gray: { 10: { $value: '#ffffff' } } } }]);
+  assert.equal(resolver.resolveToken('gray.10'), '#ffffff');
+  assert.equal(resolver.get('gray.10').type, 'color');
+  assert.equal(resolver.get('gray.10').file, 'overrides.json');
+});
+
+test('reports unresolved and circular references with their file and path', () => {
+  const resolver = createResolver([{
+    file: 'alias/light.tokens.json',
+    tokens: {
+      missing: { $value: '{nope}' },
+      a: { $value: '{b}' },
+      b: { $value: '{a}' },
+    },
+  }]);
+  const problems = collectProblems(resolver);
+  assert.deepEqual(
+    problems.find(problem => problem.kind === 'unresolved'),
+    { kind: 'unresolved', ref: 'nope', file: 'alias/light.tokens.json', path: 'missing' },
+  );
+  const circular = problems.find(problem => problem.kind === 'circular');
+  assert.deepEqual(circular.chain, ['a', 'b', 'a']);
+  assert.equal(resolver.resolveToken('missing'), '{nope}');
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readThemeAliases, applyThemeAliases } from '../src/scripts/lib/theme-aliases.js';
+
+test('applyThemeAliases() adds the legacy selectors to every rule using an HDS selector', () => {
+  const css = [
+    '/* Buttons */',
+    '.hds-btn { padding: 8px; }',
+    '.hds-btn--primary:hover, .hds-btn--primary:focus-visible { color: red; }',
+    '.hds-btn-group { display: flex; }',
+    '@media (min-width: 600px) {',
+    '  .hds-card.hds-status-msg--error { border: 1px solid; }',
+    '}',
+  ].join('\n');
+  const { css: aliased, unmatched } = applyThemeAliases(css, {
+    button: '.hds-btn',
+    '.btn-primary': '.hds-btn--primary',
+    '.preview.error': '.hds-card.hds-status-msg--error',
+    '.preview': '.hds-card',
+    '.tab': '.hds-tab',
+  });
+  assert.equal(aliased, [
+    '/* Buttons */',
+    '.hds-btn,',
+    'button { padding: 8px; }',
+    '.hds-btn--primary:hover,',
+    '.hds-btn--primary:focus-visible,',
+    '.btn-primary:hover,',
+    '.btn-primary:focus-visible { color: red; }',
+    '.hds-btn-group { display: flex; }',
+    '@media (min-width: 600px) {',
+    '  .hds-card.hds-status-msg--error,',
+    '.preview.error { border: 1px solid; }',
+    '}',
+  ].join('\n'));
+  // .hds-card only appears inside the compound selector, which is replaced first
+  assert.deepEqual(unmatched, ['.preview', '.tab']);
+});
+
+test('an HDS selector with several legacy names gets one selector per name', () => {
+  const { css } = applyThemeAliases('.hds-list-item { margin: 0; }', { '.match-list li': '.hds-list-item', '.result': '.hds-list-item' });
+  assert.equal(css, '.hds-list-item,\n.match-list li,\n.result { margin: 0; }');
+});
+
+test('element aliases must start a compound selector', () => {
+  assert.throws(() => applyThemeAliases('.card.hds-btn { top: 0; }', { button: '.hds-btn' }), /"button" can't replace \.hds-btn in "\.card\.hds-btn"/);
+});
+
+test('readThemeAliases() wants legacy → class selectors', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hds-aliases-'));
+  const file = path.join(dir, 'aliases.json');
+  try {
+    fs.writeFileSync(file, JSON.stringify({ button: '.hds-btn', '.x': '.hds-card.hds-card--flat' }));
+    assert.deepEqual(readThemeAliases(file), { button: '.hds-btn', '.x': '.hds-card.hds-card--flat' });
+    fs.writeFileSync(file, JSON.stringify({ button: 'hds-btn' }));
+    assert.throws(() => readThemeAliases(file), /"button" must map to one or more classes/);
+    fs.writeFileSync(file, '[]');
+    assert.throws(() => readThemeAliases(file), /expected an object of legacy → HDS selectors/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
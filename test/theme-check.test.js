@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkTheme } from '../src/scripts/lib/theme-check.js';
+import { usageOptions } from '../src/scripts/lib/usage.js';
+
+const variables = {
+  file: 'variables.css',
+  text: [
+    '/* Dark mode */',
+    ':root {',
+    '  --color-bg: #111;',
+    '  --color-fg: #eee;',
+    '  --legacy-shadow: none;',
+    '}',
+    '',
+    '/* Light mode */',
+    'body.light-mode {',
+    '  --color-bg: #fff;',
+    '  --color-hover: #f4f4f4;',
+    '}',
+  ].join('\n'),
+};
+
+const components = [{
+  file: 'components.css',
+  text: [
+    '.btn {',
+    '  --btn-pad: 8px;',
+    '  padding: var(--btn-pad);',
+    '  background: var(--color-bg);',
+    '  color: var(--color-fg);',
+    '  border-color: var(--color-border);',
+    '  outline-color: var(--color-focus, blue);',
+    '}',
+    '.btn:hover { background: var(--color-hover); }',
+  ].join('\n'),
+}];
+
+test('checkTheme() reports missing, fallback, unused and partial variables', () => {
+  const report = checkTheme(variables, components);
+  assert.deepEqual(report.missing, [{ name: '--color-border', locations: [{ file: 'components.css', line: 6 }] }]);
+  assert.deepEqual(report.fallback, [{ name: '--color-focus', locations: [{ file: 'components.css', line: 7 }] }]);
+  // --btn-pad is local to components.css, not a theme variable
+  assert.deepEqual(report.unused, [{ name: '--legacy-shadow', locations: [{ file: 'variables.css', line: 5 }] }]);
+  assert.deepEqual(report.partial, [{ name: '--color-hover', selectors: ['body.light-mode'] }]);
+});
+
+test('ignored names are left out of every finding', () => {
+  const report = checkTheme(variables, components, usageOptions({ ignore: ['--color-border', '--legacy-*'] }));
+  assert.deepEqual(report.missing, []);
+  assert.deepEqual(report.unused, []);
+});
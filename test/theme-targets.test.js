@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { globFiles, resolveTargets, versionHeader, lineDiff } from '../src/scripts/lib/theme-targets.js';
+
+// Sibling checkouts in a temp directory: two plugins with a theme, one without
+function withCheckouts(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hds-targets-'));
+  for (const file of ['plugins/a-plugin/heavy-theme.css', 'plugins/b-plugin/ui/heavy-theme.css', 'plugins/c-plugin/README.md', 'plugins/.cache/heavy-theme.css']) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), '');
+  }
+  try {
+    return run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('globFiles() matches existing files only, ** at any depth', () => withCheckouts(dir => {
+  assert.deepEqual(globFiles(path.join(dir, 'plugins/*-plugin/heavy-theme.css')), [path.join(dir, 'plugins/a-plugin/heavy-theme.css')]);
+  assert.deepEqual(globFiles(path.join(dir, 'plugins/**/heavy-theme.css')), [
+    path.join(dir, 'plugins/a-plugin/heavy-theme.css'),
+    path.join(dir, 'plugins/b-plugin/ui/heavy-theme.css'),
+  ]);
+  assert.deepEqual(globFiles(path.join(dir, 'plugins/?-plugin/*.md')), [path.join(dir, 'plugins/c-plugin/README.md')]);
+}));
+
+test('resolveTargets() takes the default theme and skips what does not exist', () => withCheckouts(dir => {
+  const targets = resolveTargets([
+    path.join(dir, 'plugins/a-plugin/new-theme.css'),
+    { path: path.join(dir, 'notes/ui/theme.css'), theme: 'heavy-compact' },
+    path.join(dir, 'plugins/*-plugin/missing.css'),
+  ], 'heavy-plugin');
+  assert.deepEqual(targets.map(({ theme, files, skipped }) => [theme, files.length, skipped]), [
+    ['heavy-plugin', 1, null],
+    ['heavy-compact', 0, `${path.join(dir, 'notes/ui')} not found`],
+    ['heavy-plugin', 0, 'no existing files match'],
+  ]);
+  assert.throws(() => resolveTargets([{ theme: 'heavy-plugin' }], 'heavy-plugin'), /Theme target needs a path/);
+}));
+
+test('versionHeader() names the version, theme and hash', () => {
+  assert.equal(versionHeader({ version: '1.4.0', theme: 'heavy-plugin', hash: 'abc123' }), '/* Heavy Design System 1.4.0 · heavy-plugin · abc123 */\n');
+});
+
+test('lineDiff() shows changed lines with context and hunk markers', () => {
+  const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i'].join('\n');
+  const after = ['a', 'B', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'].join('\n');
+  assert.deepEqual(lineDiff(before, before), []);
+  assert.deepEqual(lineDiff(before, after, { context: 1 }), [
+    '@@ line 1', '  a', '- b', '+ B', '  c',
+    '@@ line 9', '  i', '+ j',
+  ]);
+  assert.deepEqual(lineDiff(before, after, { context: 0, limit: 2 }), ['@@ line 2', '- b', '… 3 more lines']);
+});
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readThemeMap, readThemeMapFile, extendThemeMap, generateThemeVariables, variableModes, ThemeMapError } from '../src/scripts/lib/theme-variables.js';
+import { createResolver } from '../src/scripts/lib/resolve.js';
+
+const colors = { file: 'base/colors.tokens.json', tokens: { gray: { $type: 'color', 10: { $value: '#eeeeee' }, 90: { $value: '#111111' } } } };
+const resolvers = new Map([
+  ['light', createResolver([colors, { file: 'alias/light.tokens.json', tokens: { ui: { $type: 'color', bg: { $value: '{gray.10}' }, fg: { $value: '{gray.90}' } } } }])],
+  ['dark', createResolver([colors, { file: 'alias/dark.tokens.json', tokens: { ui: { $type: 'color', bg: { $value: '{gray.90}' }, fg: { $value: '{gray.10}' } } } }])],
+]);
+
+// A variables.map.json in a temp directory
+function withMap(map, run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hds-theme-'));
+  const file = path.join(dir, 'variables.map.json');
+  fs.writeFileSync(file, typeof map === 'string' ? map : JSON.stringify(map));
+  try {
+    return run(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('resolves references per mode and repeats only what differs from the base block', () => withMap({
+  modes: { dark: ':root', light: 'body.light-mode' },
+  variables: {
+    'Colors — UI': { '--color-bg': '{ui.bg}', '--color-fg': '{ui.fg}', '--radius': '6px' },
+    Buttons: { '--btn-bg': { dark: 'rgba(255, 255, 255, 0.08)', light: 'rgba(0, 0, 0, 0.06)' }, '--btn-fg': { dark: '{gray.10}' } },
+  },
+}, file => {
+  const css = generateThemeVariables(readThemeMap(file, ['light', 'dark']), resolvers, { file, title: 'Heavy Plugin Variables' });
+  assert.equal(css, [
+    '/* Heavy Plugin Variables */',
+    '/* Generated from the HDS tokens by build-themes.js through variables.map.json - DO NOT EDIT */',
+    '',
+    '/* Dark mode */',
+    ':root {',
+    '  /* Colors — UI */',
+    '  --color-bg: #111111;',
+    '  --color-fg: #eeeeee;',
+    '  --radius: 6px;',
+    '',
+    '  /* Buttons */',
+    '  --btn-bg: rgba(255, 255, 255, 0.08);',
+    '  --btn-fg: #eeeeee;',
+    '}',
+    '',
+    '/* Light mode */',
+    'body.light-mode {',
+    '  /* Colors — UI */',
+    '  --color-bg: #eeeeee;',
+    '  --color-fg: #111111;',
+    '',
+    '  /* Buttons */',
+    '  --btn-bg: rgba(0, 0, 0, 0.06);',
+    '}',
+    '',
+  ].join('\n'));
+}));
+
+test('mapping mistakes are errors that name the file', () => {
+  const fails = (map, pattern) => withMap(map, file => assert.throws(() => {
+    generateThemeVariables(readThemeMap(file, ['light', 'dark']), resolvers, { file, title: 'x' });
+  }, error => error instanceof ThemeMapError && error.message.startsWith(file) && pattern.test(error.message)));
+  fails('{ "modes": ', /JSON/);
+  fails({ modes: {} }, /"modes" must map at least one mode/);
+  fails({ modes: { dim: ':root' } }, /unknown mode "dim" \(modes: light, dark\)/);
+  fails({ modes: { dark: ':root' }, variables: { UI: { 'color-bg': '#000' } } }, /"color-bg" in "UI" is not a custom property/);
+  fails({ modes: { dark: ':root' }, variables: { UI: { '--bg': { light: '#fff' } } } }, /--bg: mode "light" is not in "modes"/);
+  fails({ modes: { dark: ':root' }, variables: { UI: { '--bg': '{ui.nope}' } } }, /--bg: unknown token \{ui\.nope\}/);
+});
+
+test('extendThemeMap() merges modes and sections, and per-mode values mode by mode', () => {
+  const parent = {
+    modes: { dark: ':root', light: 'body.light-mode' },
+    variables: { UI: { '--bg': '{ui.bg}', '--btn': { dark: '#111', light: '#eee' } } },
+  };
+  const child = {
+    extends: 'heavy-plugin',
+    modes: { light: '[data-theme="light"]' },
+    variables: { Accents: { '--btn': { light: '#ddd' }, '--accent': '#f00' } },
+  };
+  assert.deepEqual(extendThemeMap(parent, child), {
+    modes: { dark: ':root', light: '[data-theme="light"]' },
+    variables: {
+      UI: { '--bg': '{ui.bg}', '--btn': { dark: '#111', light: '#ddd' } },
+      Accents: { '--accent': '#f00' },
+    },
+  });
+  withMap({ extends: '' }, file => assert.throws(() => readThemeMapFile(file), /"extends" must name a theme/));
+});
+
+test('variableModes() reads the mode of each block back out of the CSS', () => {
+  assert.deepEqual(variableModes('/* Dark mode */\n:root { --a: 1; }\n\n/* Light mode */\nbody.light-mode { --a: 2; }\n'), {
+    dark: ':root',
+    light: 'body.light-mode',
+  });
+  assert.deepEqual(variableModes('[data-theme="dark"] { --a: 1; }\n.sepia-mode { --a: 2; }\n.x { color: red; }'), {
+    dark: '[data-theme="dark"]',
+    sepia: '.sepia-mode',
+  });
+  assert.deepEqual(variableModes(':root { --a: 1; }', { ':root': 'light' }), { light: ':root' });
+  assert.equal(variableModes(':root { --a: 1; }'), null);
+});
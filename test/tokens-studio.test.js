@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { importTokensStudio, exportTokensStudio } from '../src/scripts/lib/tokens-studio.js';
+
+const studio = {
+  global: {
+    gray: { 10: { value: '#ffffff', type: 'color' }, 90: { $value: '#000000', $type: 'color' } },
+    spacing: { type: 'spacing', sm: { value: '4px' } },
+    font: { family: { value: 'Inter', type: 'fontFamilies' } },
+  },
+  light: { ui: { bg: { value: '{gray.10}', type: 'color', description: 'Page background' } } },
+  dark: { ui: { bg: { value: '{gray.90}', type: 'color' } } },
+  $themes: [
+    { id: 'light', name: 'Light', selectedTokenSets: { global: 'source', light: 'enabled' } },
+    { id: 'dark', name: 'Dark', selectedTokenSets: { global: 'source', dark: 'enabled' } },
+  ],
+  $metadata: { tokenSetOrder: ['global', 'light', 'dark'] },
+};
+
+test('imports sets as files, with a theme\'s own set as its mode file', () => {
+  const { files, warnings } = importTokensStudio(studio);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(Object.keys(files), ['base/global', 'alias/light', 'alias/dark']);
+  assert.equal(files['base/global'].gray[10].$value.hex, '#FFFFFF');
+  assert.equal(files['base/global'].gray[90].$type, 'color');
+  assert.deepEqual(files['base/global'].spacing.sm, { $type: 'number', $value: 4 });
+  assert.deepEqual(files['base/global'].font.family, { $type: 'string', $value: 'Inter' });
+  assert.deepEqual(files['alias/light'].ui.bg, { $type: 'color', $value: '{gray.10}', $description: 'Page background' });
+});
+
+test('the import map overrides set labels, and sets sharing a label are merged with a warning', () => {
+  const { files, warnings } = importTokensStudio(studio, { global: 'base/colors', dark: 'alias/light' });
+  assert.deepEqual(Object.keys(files), ['base/colors', 'alias/light']);
+  assert.equal(files['alias/light'].ui.bg.$value, '{gray.90}');
+  assert.deepEqual(warnings, ['dark: merged into alias/light with another set']);
+});
+
+test('a file without token sets is an error', () => {
+  assert.throws(() => importTokensStudio({ $themes: [] }), /No token sets/);
+});
+
+test('export writes legacy keys and one theme per mode, and imports back', () => {
+  const { files } = importTokensStudio(studio);
+  const data = exportTokensStudio(
+    [{ label: 'global', tokens: files['base/global'] }],
+    [{ name: 'light', label: 'light', tokens: files['alias/light'] }, { name: 'dark', label: 'dark', tokens: files['alias/dark'] }],
+  );
+  assert.deepEqual(data.global.gray[10], { value: '#FFFFFF', type: 'color' });
+  assert.deepEqual(data.$themes[1], { id: 'dark', name: 'Dark', selectedTokenSets: { global: 'source', dark: 'enabled' } });
+  assert.deepEqual(importTokensStudio(data).files, files);
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { scanText, crossReference, usageOptions } from '../src/scripts/lib/usage.js';
+
+test('scanText() finds definitions and var() references with their lines', () => {
+  const css = [
+    ':root {',
+    '  --hds-bg: #fff; /* --not-a-definition: x; */',
+    '  --hds-fg: var(--hds-bg, #000);',
+    '}',
+  ].join('\n');
+  assert.deepEqual(scanText(css, 'main.css'), {
+    definitions: [{ name: '--hds-bg', file: 'main.css', line: 2 }, { name: '--hds-fg', file: 'main.css', line: 3 }],
+    references: [{ name: '--hds-bg', file: 'main.css', line: 3, fallback: true }],
+  });
+  const tsx = `<div style={{ '--stack-space': '8px', gap: 'var(--stack-space)' }} />`;
+  assert.deepEqual(scanText(tsx, 'Stack.tsx').definitions.map(definition => definition.name), ['--stack-space']);
+});
+
+test('crossReference() reports unused, undefined and fallback-only properties', () => {
+  const report = crossReference([
+    { file: 'main.css', text: ':root {\n  --hds-bg: #fff;\n  --hds-unused: 0;\n}\n.a { color: var(--hds-bg); }' },
+    { file: 'page.html', text: '<p style="color: var(--hds-missing); margin: var(--hds-gap, 4px)"></p>' },
+    { file: 'vendor.css', text: ':root { --vendor-x: 1px; }\n.b { top: var(--vendor-y); }', report: false },
+  ], usageOptions({ ignore: ['--vendor-*'] }));
+  assert.equal(report.definitions, 3);
+  assert.equal(report.references, 3);
+  assert.deepEqual(report.unused, [{ name: '--hds-unused', locations: [{ file: 'main.css', line: 3 }] }]);
+  assert.deepEqual(report.undefined, [{ name: '--hds-missing', locations: [{ file: 'page.html', line: 1 }] }]);
+  assert.deepEqual(report.fallback, [{ name: '--hds-gap', locations: [{ file: 'page.html', line: 1 }] }]);
+});
+
+test('a name read with and without a fallback is only undefined', () => {
+  const report = crossReference([{ file: 'a.css', text: '.a { top: var(--x, 0); left: var(--x); }' }]);
+  assert.deepEqual(report.undefined.map(finding => finding.name), ['--x']);
+  assert.deepEqual(report.fallback, []);
+});
+
+test('usageOptions() checks ignore and failOn', () => {
+  const { ignore, failOn } = usageOptions({ ignore: ['--sg-*'], failOn: 'undefined' });
+  assert.ok(ignore[0].test('--sg-gap') && !ignore[0].test('--hds-sg-gap'));
+  assert.deepEqual(failOn, ['undefined']);
+  assert.throws(() => usageOptions({ ignore: '--sg-*' }), /usage\.ignore must be a list/);
+  assert.throws(() => usageOptions({ failOn: ['unused', 'typos'] }), /usage\.failOn: unknown finding typos/);
+});
@@ -0,0 +1,145 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJSONSource, JSONSourceError } from '../src/scripts/lib/json-source.js';
+import { validateTokenFile, validateTokenSources, referenceIssues, formatIssue, TokenValidationError } from '../src/scripts/lib/validate.js';
+import { createNaming } from '../src/scripts/lib/naming.js';
+import { createResolver, collectProblems } from '../src/scripts/lib/resolve.js';
+
+// A token source as readTokenSource() builds it, with positions
+function source(file, text, extra = {}) {
+  const { value, positions, duplicates } = parseJSONSource(text, file);
+  return { file, tokens: value, positions, duplicates, ...extra };
+}
+
+const messages = issues => issues.map(issue => `${issue.path}: ${issue.message}`);
+
+test('parseJSONSource() records key positions and duplicate keys', () => {
+  const { value, positions, duplicates } = parseJSONSource('{\n  "gray": {\n    "10": { "$value": "#fff" },\n    "10": { "$value": "#eee" }\n  }\n}', 'colors.json');
+  assert.equal(value.gray[10].$value, '#eee');
+  assert.deepEqual(positions.get('gray.10.$value'), { line: 4, column: 13 });
+  assert.deepEqual(duplicates, [{ path: 'gray.10', line: 4, column: 5 }]);
+});
+
+test('parseJSONSource() throws with file:line:column', () => {
+  assert.throws(() => parseJSONSource('{\n  "a": 1,\n}', 'bad.json'), error => {
+    assert.ok(error instanceof JSONSourceError);
+    assert.match(error.message, /^bad\.json:3:1: /);
+    return true;
+  });
+});
+
+test('reports values that do not match their type, at the $value line', () => {
+  const issues = validateTokenFile(source('base/colors.tokens.json', [
+    '{',
+    '  "gray": {',
+    '    "$type": "color",',
+    '    "10": { "$value": "#ffffff" },',
+    '    "20": { "$value": "not a color" }',
+    '  },',
+    '  "size": { "$type": "number", "$value": "12" }',
+    '}',
+  ].join('\n')));
+  assert.deepEqual(issues.map(issue => [issue.path, issue.line]), [['gray.20', 5], ['size', 7]]);
+  assert.match(formatIssue(issues[0]), /^ {2}base\/colors\.tokens\.json:5:\d+ → gray\.20: /);
+});
+
+test('suggests the reserved key a typo was meant to be', () => {
+  const issues = validateTokenFile(source('base/colors.tokens.json', '{ "gray": { "$type": "color", "10": { "$valeu": "#fff" } }, "x": { "$tpye": "color", "$value": "#000" } }'));
+  assert.deepEqual(messages(issues), [
+    'gray.10: token has no $value (found "$valeu")',
+    'x: unknown reserved key "$tpye" (did you mean "$type"?)',
+    'x: token has no $type (set it on the token or a parent group)',
+  ]);
+});
+
+test('unknown types, untyped tokens, nested tokens and bad names are reported', () => {
+  const issues = validateTokenFile({
+    file: 'base/misc.tokens.json',
+    tokens: {
+      a: { $type: 'colour', $value: '#fff' },
+      b: { $value: 1 },
+      c: { $type: 'number', $value: 1, d: { $value: 2 } },
+      'e.f': { $type: 'number', $value: 1 },
+    },
+  });
+  assert.deepEqual(issues.map(issue => issue.path), ['a', 'b', 'c.d', 'e.f']);
+  assert.match(issues[0].message, /unknown \$type "colour"/);
+});
+
+test('mode files inherit $type from the same token in earlier files', () => {
+  const shared = { file: 'base/colors.tokens.json', tokens: { gray: { $type: 'color', 10: { $value: '#fff' } } } };
+  const mode = { file: 'alias/light.tokens.json', tokens: { gray: { 10: { $value: 12 } } }, mode: true };
+  assert.match(messages(validateTokenSources([shared, mode])).join(), /^gray\.10: /);
+  assert.deepEqual(validateTokenSources([shared, { ...mode, tokens: { gray: { 10: { $value: '#eee' } } } }]), []);
+});
+
+test('reports a token path defined in two shared files, and custom property collisions', () => {
+  const naming = createNaming('legacy');
+  const issues = validateTokenSources([
+    { file: 'base/colors.tokens.json', tokens: { gray: { $type: 'color', 10: { $value: '#fff' } } } },
+    { file: 'base/more.tokens.json', tokens: { gray: { $type: 'color', 10: { $value: '#eee' } } } },
+    { file: 'alias/light.tokens.json', tokens: { 'ui-bg': { $type: 'color', $value: '#fff' }, ui: { bg: { $type: 'color', $value: '#000' } } }, mode: true },
+  ], naming);
+  assert.deepEqual(messages(issues), [
+    'gray.10: also defined in base/colors.tokens.json',
+    'ui.bg: emits --ui-bg, same as ui-bg in alias/light.tokens.json',
+  ]);
+});
+
+test('reference problems get the position of their $value', () => {
+  const sources = [source('alias/light.tokens.json', '{\n  "ui": {\n    "bg": { "$type": "color", "$value": "{gray.10}" }\n  }\n}')];
+  const issues = referenceIssues(collectProblems(createResolver(sources)), sources);
+  assert.deepEqual(issues, [{ file: 'alias/light.tokens.json', path: 'ui.bg', line: 3, column: 31, message: 'unresolved reference {gray.10}' }]);
+  assert.match(new TokenValidationError(issues).message, /^1 invalid token:\n {2}alias\/light\.tokens\.json:3:31 → ui\.bg: /);
+});
+
+test('composite and unit values are checked field by field', () => {
+  const issues = validateTokenFile({
+    file: 'alias/effects.tokens.json',
+    tokens: {
+      shadow: { $type: 'shadow', $value: { offsetX: 0, offsetY: '2px' } },
+      fast: { $type: 'duration', $value: 'fast' },
+      body: { $type: 'typography', $value: { fontSize: '1em' } },
+      ease: { $type: 'cubicBezier', $value: [0, 0, 1] },
+    },
+  });
+  assert.deepEqual(messages(issues), [
+    'shadow: shadow layer is missing color',
+    'fast: invalid duration value "fast"',
+    'body: typography value is missing fontFamily',
+    'ease: needs at least 4 items, got 3',
+  ]);
+});
+
+test('wide-gamut colors must use a known color space with components in range', () => {
+  const color = (colorSpace, components) => ({ $value: { colorSpace, components } });
+  const issues = validateTokenFile({
+    file: 'base/colors.tokens.json',
+    tokens: { brand: { $type: 'color', a: color('oklch', [0.5, 0.1, 400]), b: color('lab', [50, 0, 0]), c: color('display-p3', [1.2, 0, 0]), d: { $value: 'oklch(0.5 0.1 200)' } } },
+  });
+  assert.deepEqual(messages(issues), [
+    'brand.a: color.components.2: must be at most 360, got 400',
+    'brand.b: color.colorSpace: expected one of "srgb", "display-p3", "oklch", got "lab"',
+    'brand.c: color.components.0: must be at most 1, got 1.2',
+  ]);
+});
+
+test('fluid options need a number or dimension token and px or rem sizes', () => {
+  const fluid = ($type, $value, options) => ({ $type, $value, $extensions: { hds: { fluid: options } } });
+  const issues = validateTokenFile({
+    file: 'base/scale.tokens.json',
+    tokens: {
+      a: fluid('number', 40, { min: '2em' }),
+      b: fluid('number', 40, { min: 28, minViewport: 1440, maxViewport: 960 }),
+      c: fluid('string', 'Inter', { min: 28 }),
+      d: fluid('dimension', '3em', { min: 28 }),
+      e: fluid('dimension', '2.5rem', { min: '1.75rem' }),
+    },
+  });
+  assert.deepEqual(messages(issues), [
+    'a: fluid.min: invalid fluid size "2em"',
+    'b: fluid minViewport must be below maxViewport',
+    'c: fluid needs a number or dimension token',
+    'd: fluid max ($value) must be a number, a px or rem size, or a reference, got "3em"',
+  ]);
+});